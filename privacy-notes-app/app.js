@@ -7,6 +7,7 @@ class SecureNotesApp {
     constructor() {
         this.crypto = new CryptoManager();
         this.storage = new StorageManager();
+        this.clipboard = new ClipboardManager();
         this.currentNote = null;
         this.notes = [];
         this.filteredNotes = [];
@@ -15,6 +16,42 @@ class SecureNotesApp {
         this.searchQuery = '';
         this.isAuthenticated = false;
         this.currentUser = null;
+        // Vault the passphrase opened: the user's primary vault or its companion
+        this.vaultId = null;
+        // Keyfiles generated in this session, keyed by the file input they stand in for
+        this.generatedKeyfiles = {};
+        // Key of the locked note currently open in the editor ({ noteId, crypto })
+        this.noteLock = null;
+        // Auto-lock: last keyboard or mouse input, when the tab was hidden and the last timer tick
+        this.autoLockTimer = null;
+        this.autoLockCheckInterval = 15000;
+        this.lastActivity = Date.now();
+        this.hiddenSince = null;
+        this.lastAutoLockTick = 0;
+        // A tick this late means the machine slept. Hidden tabs may only get timers once a
+        // minute, so the gap is kept well above that.
+        this.sleepGap = 120000;
+        // Auto-save that is encrypting and writing right now, so locking can wait for it
+        this.autoSaving = null;
+        // Failed unlocks allowed before each further attempt has to wait, and the longest wait
+        this.freeUnlockAttempts = 3;
+        this.maxUnlockDelay = 15 * 60000;
+        this.backoffTimer = null;
+        // Set while an unlock is running, so pressing Enter again can't start another in parallel
+        this.unlocking = false;
+        // Toast counting down until the clipboard is cleared
+        this.clipboardToast = null;
+        // Refreshes the TOTP code of the open login note, and the secret it was parsed from
+        this.totpTimer = null;
+        this.totpParams = null;
+        // Device settings (localStorage, per user) that travel in a backup
+        this.backupSettings = ['auto_lock', 'clipboard_clear', 'remember_session', 'wipe_after', 'generator_options', 'audit_months'];
+        // Backup chosen on the restore screen, decoded but still encrypted
+        this.restoreBackup = null;
+        // Dry run of the import being previewed, with its notes decrypted
+        this.importPreview = null;
+        // Files chosen for import that wait for a KeePass master password
+        this.pendingImportFiles = null;
         
         this.init();
     }
@@ -31,7 +68,7 @@ class SecureNotesApp {
             this.setupEventListeners();
             
             // Check if this is a new user or returning user
-            this.checkUserStatus();
+            await this.checkUserStatus();
             
             // App initialized
         } catch (error) {
@@ -43,14 +80,17 @@ class SecureNotesApp {
     /**
      * Check if user has existing vault or needs setup
      */
-    checkUserStatus() {
+    async checkUserStatus() {
         // Generate or get user ID based on browser fingerprint
         this.currentUser = this.getUserId();
+        // Both vaults' notes are filed under the user; only their keys tell them apart
+        this.storage.setUserId(this.currentUser, this.crypto.getVaultIds(this.currentUser));
         
         // Check if user has existing vault
         const hasVault = localStorage.getItem(`user_vault_${this.currentUser}`);
         
         if (hasVault) {
+            if (await this.resumeSession()) return;
             this.showLoginScreen();
         } else {
             this.showSetupScreen();
@@ -91,11 +131,30 @@ class SecureNotesApp {
         document.getElementById('create-vault-btn').addEventListener('click', () => this.handleSetup());
         document.getElementById('setup-passphrase').addEventListener('input', () => this.validateSetupForm());
         document.getElementById('confirm-passphrase').addEventListener('input', () => this.validateSetupForm());
+        document.getElementById('generate-diceware').addEventListener('click', () => this.handleGenerateDiceware());
+        document.getElementById('setup-keyfile-toggle').addEventListener('change', (e) => {
+            document.getElementById('setup-keyfile-options').classList.toggle('hidden', !e.target.checked);
+        });
+        document.getElementById('setup-keyfile').addEventListener('change', () => this.handleKeyfileChosen('setup-keyfile', 'setup-keyfile-name'));
+        document.getElementById('setup-generate-keyfile').addEventListener('click', () => this.generateKeyfile('setup-keyfile', 'setup-keyfile-name'));
         document.getElementById('show-setup').addEventListener('click', (e) => {
             e.preventDefault();
             this.showSetupScreen();
         });
 
+        document.getElementById('show-restore').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showRestoreScreen();
+        });
+
+        // Restore screen
+        document.getElementById('restore-file').addEventListener('change', () => this.handleRestoreFileChosen());
+        document.getElementById('restore-btn').addEventListener('click', () => this.handleRestore());
+        document.getElementById('show-setup-from-restore').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showSetupScreen();
+        });
+
         // Link for users who already have a passphrase (from the setup screen)
         const showLoginEl = document.getElementById('show-login');
         if (showLoginEl) {
@@ -105,6 +164,21 @@ class SecureNotesApp {
             });
         }
 
+        // Recovery screen
+        document.getElementById('show-recovery').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showRecoveryScreen();
+        });
+        document.getElementById('show-login-from-recovery').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showLoginScreen();
+        });
+        document.getElementById('recover-btn').addEventListener('click', () => this.handleRecovery());
+        document.getElementById('toggle-recovery-mode').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleRecoveryMode();
+        });
+
         // Password toggle buttons
         document.querySelectorAll('.password-toggle').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -137,7 +211,9 @@ class SecureNotesApp {
 
         // Main app header
         document.getElementById('new-note-btn').addEventListener('click', () => this.createNewNote());
-        document.getElementById('lock-btn').addEventListener('click', () => this.lockApp());
+        document.getElementById('new-login-btn').addEventListener('click', () => this.createNewNote('login'));
+        document.getElementById('lock-btn').addEventListener('click', () => this.lockAfterSaving());
+        document.getElementById('settings-btn').addEventListener('click', () => this.showSettings());
         document.getElementById('search-input').addEventListener('input', (e) => this.handleSearch(e.target.value));
 
         // Welcome screen
@@ -170,6 +246,29 @@ class SecureNotesApp {
         document.getElementById('delete-note').addEventListener('click', () => this.deleteCurrentNote());
         document.getElementById('pin-note').addEventListener('click', () => this.togglePinNote());
         document.getElementById('archive-note').addEventListener('click', () => this.toggleArchiveNote());
+        document.getElementById('lock-note').addEventListener('click', () => this.handleLockButton());
+        document.getElementById('unlock-note-btn').addEventListener('click', () => this.handleUnlockNote());
+        document.getElementById('note-unlock-passphrase').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleUnlockNote();
+        });
+        document.getElementById('close-note-lock').addEventListener('click', () => this.hideNoteLockDialog());
+        document.getElementById('confirm-note-lock-btn').addEventListener('click', () => this.handleLockNote());
+        const copySecureBtn = document.getElementById('copy-secure');
+        // Keep focus and the selection in the field being copied from
+        copySecureBtn.addEventListener('mousedown', (e) => e.preventDefault());
+        copySecureBtn.addEventListener('click', () => this.handleSecureCopy());
+
+        // Credential notes
+        ['credential-username', 'credential-password', 'credential-url', 'credential-totp'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.scheduleAutoSave());
+        });
+        document.getElementById('credential-totp').addEventListener('input', () => this.refreshTotp());
+        document.getElementById('copy-totp').addEventListener('click', () => this.handleCopyTotp());
+        document.querySelectorAll('[data-copy-field]').forEach(button => {
+            button.addEventListener('click', () => this.handleCopyField(button.dataset.copyField));
+        });
+        document.getElementById('reveal-password').addEventListener('click', () => this.togglePasswordReveal());
+        document.getElementById('open-generator').addEventListener('click', () => this.showGenerator());
         const closeEditorBtn = document.getElementById('close-editor');
         if (closeEditorBtn) {
             closeEditorBtn.addEventListener('click', (e) => {
@@ -183,6 +282,33 @@ class SecureNotesApp {
         document.getElementById('note-content').addEventListener('input', () => this.scheduleAutoSave());
         document.getElementById('tags-input').addEventListener('input', () => this.scheduleAutoSave());
 
+        // Settings
+        document.getElementById('close-settings').addEventListener('click', () => this.hideSettings());
+        document.getElementById('change-passphrase-btn').addEventListener('click', () => this.handleChangePassphrase());
+        document.getElementById('wipe-toggle').addEventListener('change', () => this.handleWipeSettingChange());
+        document.getElementById('wipe-attempts').addEventListener('change', () => this.handleWipeSettingChange());
+        document.getElementById('create-decoy-btn').addEventListener('click', () => this.handleCreateDecoyVault());
+        document.getElementById('kdf-benchmark-btn').addEventListener('click', () => this.handleKdfBenchmark());
+        document.getElementById('regenerate-recovery-btn').addEventListener('click', () => this.handleRegenerateRecoveryKey());
+        document.getElementById('settings-keyfile').addEventListener('change', () => this.handleKeyfileChosen('settings-keyfile', 'settings-keyfile-name'));
+        document.getElementById('settings-generate-keyfile').addEventListener('click', () => this.generateKeyfile('settings-keyfile', 'settings-keyfile-name'));
+        document.getElementById('set-keyfile-btn').addEventListener('click', () => this.handleSetKeyfile(true));
+        document.getElementById('remove-keyfile-btn').addEventListener('click', () => this.handleSetKeyfile(false));
+        document.getElementById('revoke-recovery-btn').addEventListener('click', () => this.handleRevokeRecoveryKey());
+
+        // Password generator
+        document.getElementById('close-generator').addEventListener('click', () => this.hideGenerator());
+        document.getElementById('generator-regenerate').addEventListener('click', () => this.updateGeneratorPreview());
+        document.getElementById('generator-copy').addEventListener('click', () => this.handleCopyGenerated());
+        document.getElementById('generator-use').addEventListener('click', () => this.handleUseGeneratedPassword());
+        document.querySelectorAll('.generator-options input, .generator-options select').forEach(control => {
+            control.addEventListener(control.type === 'text' || control.type === 'number' ? 'input' : 'change', () => this.handleGeneratorOptionsChange());
+        });
+
+        // Recovery key sheet
+        document.getElementById('print-recovery-btn').addEventListener('click', () => this.printRecoveryKey());
+        document.getElementById('close-recovery-key').addEventListener('click', () => this.hideRecoveryKey());
+
         // Filter tabs
         document.querySelectorAll('.filter-tab').forEach(tab => {
             tab.addEventListener('click', (e) => this.setFilter(e.target.dataset.filter));
@@ -197,11 +323,46 @@ class SecureNotesApp {
         if (exportBtn) exportBtn.addEventListener('click', () => this.handleExport());
         if (importBtn) importBtn.addEventListener('click', () => importFile && importFile.click());
         if (clearBtn) clearBtn.addEventListener('click', () => this.handleClearAll());
+        document.getElementById('btn-import-other').addEventListener('click', () => document.getElementById('import-other-files').click());
+        document.getElementById('btn-import-folder').addEventListener('click', () => document.getElementById('import-other-folder').click());
+        document.getElementById('import-other-files').addEventListener('change', (e) => this.handleImportOtherApps(e));
+        document.getElementById('import-other-folder').addEventListener('change', (e) => this.handleImportOtherApps(e));
+        document.getElementById('close-import').addEventListener('click', () => this.hideImportPreview());
+        document.getElementById('close-kdbx').addEventListener('click', () => this.hideKdbxDialog());
+        document.getElementById('kdbx-open').addEventListener('click', () => this.handleOpenKdbx());
+        document.getElementById('kdbx-password').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.handleOpenKdbx();
+        });
+        document.getElementById('import-apply').addEventListener('click', () => this.handleApplyImport());
+        document.getElementById('btn-audit').addEventListener('click', () => this.showAudit());
+        document.getElementById('close-audit').addEventListener('click', () => this.hideAudit());
+        document.getElementById('audit-months').addEventListener('change', () => this.runAudit());
+        document.getElementById('audit-report').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-note-id]');
+            if (!link) return;
+            this.hideAudit();
+            this.openNote(link.dataset.noteId);
+        });
         if (importFile) importFile.addEventListener('change', (e) => this.handleImportFile(e));
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
 
+        // Auto-lock: any input counts as activity, and hiding the tab starts its own clock
+        ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { capture: true, passive: true });
+        });
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+        ['auto-lock-idle', 'auto-lock-hidden', 'auto-lock-sleep'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveAutoLockSettings());
+        });
+        document.getElementById('remember-session').addEventListener('change', () => this.handleRememberSessionChange());
+        document.getElementById('clipboard-clear').addEventListener('change', (e) => {
+            localStorage.setItem(`clipboard_clear_${this.currentUser}`, e.target.value);
+        });
+
         // Delegated click/pointer handler (fallback) to ensure buttons/note items work on mobile
         // Use pointerup to catch touch/stylus/mouse and include debug logs.
         const delegatedHandler = (e) => {
@@ -299,13 +460,34 @@ class SecureNotesApp {
             return;
         }
 
+        const wantsRecoveryKey = document.getElementById('setup-recovery-key').checked;
+        const split = this.getShareOptions('setup-');
+        if (wantsRecoveryKey && split && !this.validateShareOptions(split)) return;
+
+        let keyfileHash = null;
+        if (document.getElementById('setup-keyfile-toggle').checked) {
+            keyfileHash = await this.readKeyfileHash('setup-keyfile');
+            if (!keyfileHash) {
+                this.showError('Choose or generate a keyfile, or turn the keyfile option off');
+                return;
+            }
+        }
+
+        let wipeAfter = 0;
+        if (document.getElementById('setup-wipe-toggle').checked) {
+            wipeAfter = this.readWipeAttempts('setup-wipe-attempts');
+            if (!wipeAfter || !this.confirmWipeSetting(wipeAfter)) return;
+        }
+
         this.showLoading('Creating your secure vault...');
 
         try {
-            const success = await this.crypto.createUserVault(passphrase, this.currentUser);
+            const success = await this.crypto.createUserVault(passphrase, this.currentUser, keyfileHash);
 
             if (success) {
-                this.storage.setUserId(this.currentUser);
+                this.resetFailedUnlocks();
+                this.setWipeThreshold(wipeAfter);
+                this.vaultId = this.crypto.vaultId;
                 this.isAuthenticated = true;
                 await this.loadNotes();
                 this.showMainScreen();
@@ -314,8 +496,13 @@ class SecureNotesApp {
                 // Clear form
                 document.getElementById('setup-passphrase').value = '';
                 document.getElementById('confirm-passphrase').value = '';
+                this.clearKeyfileInput('setup-keyfile', 'setup-keyfile-name');
 
                 this.showSuccess('Vault created successfully! Your notes are now encrypted.');
+
+                if (wantsRecoveryKey) {
+                    await this.setupRecoveryKey(passphrase, split);
+                }
             } else {
                 this.hideLoading();
                 this.showError('Failed to create vault. Please try again.');
@@ -327,6 +514,73 @@ class SecureNotesApp {
         }
     }
 
+    /**
+     * Generate the recovery key offered during setup. The vault already exists at
+     * this point, so a failure here only means the key has to be made from settings.
+     * @param {string} passphrase - Passphrase the vault was just created with
+     * @param {Object|null} split - Share options from getShareOptions()
+     */
+    async setupRecoveryKey(passphrase, split) {
+        this.showLoading('Generating your recovery key...');
+
+        try {
+            const recoveryKey = await this.crypto.createRecoveryKey(passphrase, this.vaultId);
+            await this.presentRecoveryKey(recoveryKey, split);
+            this.hideLoading();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to create recovery key:', error);
+            this.showError('Could not create a recovery key. You can generate one in Settings.');
+        }
+    }
+
+    /**
+     * Read the "split into shares" options next to a recovery key button
+     * @param {string} prefix - Element id prefix ('setup-' on the setup screen, '' in settings)
+     * @returns {Object|null} - { count, threshold }, or null when the key isn't being split
+     */
+    getShareOptions(prefix) {
+        if (!document.getElementById(`${prefix}split-recovery`).checked) return null;
+
+        return {
+            count: parseInt(document.getElementById(`${prefix}share-count`).value, 10),
+            threshold: parseInt(document.getElementById(`${prefix}share-threshold`).value, 10)
+        };
+    }
+
+    /**
+     * Check share options before any key material is generated
+     * @param {Object} split - Share options from getShareOptions()
+     * @returns {boolean} - True if the options are usable
+     */
+    validateShareOptions(split) {
+        if (!(split.count >= 2 && split.count <= 16)) {
+            this.showError('Choose between 2 and 16 shares');
+            return false;
+        }
+
+        if (!(split.threshold >= 2 && split.threshold <= split.count)) {
+            this.showError('The number of shares needed must be at least 2 and no more than the number of shares');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Show a new recovery key, splitting it into shares first if requested
+     * @param {string} recoveryKey - Formatted recovery key
+     * @param {Object|null} split - Share options from getShareOptions()
+     */
+    async presentRecoveryKey(recoveryKey, split) {
+        if (split) {
+            const shares = await this.crypto.splitRecoveryKey(recoveryKey, split.count, split.threshold);
+            this.showRecoveryShares(shares, split.threshold);
+        } else {
+            this.showRecoveryKey(recoveryKey);
+        }
+    }
+
     /**
      * Validate setup form and update UI
      */
@@ -336,6 +590,7 @@ class SecureNotesApp {
         const createBtn = document.getElementById('create-vault-btn');
         const strengthBar = document.querySelector('.strength-fill');
         const strengthText = document.querySelector('.strength-text');
+        const strengthDetail = document.getElementById('strength-detail');
         
         // Analyze passphrase strength
         if (passphrase) {
@@ -348,9 +603,12 @@ class SecureNotesApp {
             if (analysis.feedback.length > 0) {
                 strengthText.textContent += ` - ${analysis.feedback[0]}`;
             }
+            strengthDetail.textContent = `About ${analysis.entropy} bits of entropy. ` +
+                `Cracking it offline would take ${analysis.crackTime} at 10,000 guesses a second.`;
         } else {
             strengthBar.className = 'strength-fill';
             strengthText.textContent = 'Enter a passphrase to see strength';
+            strengthDetail.textContent = '';
         }
         
         // Enable create button if conditions are met
@@ -361,10 +619,34 @@ class SecureNotesApp {
         createBtn.disabled = !isValid;
     }
 
+    /**
+     * Fill both setup passphrase fields with a random diceware passphrase, shown so it can be written down
+     */
+    handleGenerateDiceware() {
+        const wordCount = parseInt(document.getElementById('diceware-words').value, 10);
+        const passphrase = Diceware.generate(wordCount);
+
+        ['setup-passphrase', 'confirm-passphrase'].forEach(id => {
+            const input = document.getElementById(id);
+            input.value = passphrase;
+            input.type = 'text';
+
+            const toggle = document.querySelector(`.password-toggle[data-target="${id}"]`);
+            toggle.querySelector('i').className = 'fas fa-eye-slash';
+            toggle.classList.add('showing');
+            toggle.setAttribute('title', 'Hide password');
+        });
+
+        this.validateSetupForm();
+        this.showSuccess(`Generated ${wordCount} random words (${Math.floor(Diceware.entropyBits(wordCount))} bits). Write them down before creating the vault.`);
+    }
+
     /**
      * Handle login with passphrase
      */
     async handleLogin() {
+        if (this.unlocking) return;
+
         const passphrase = document.getElementById('passphrase').value;
         
         if (!passphrase.trim()) {
@@ -372,485 +654,2187 @@ class SecureNotesApp {
             return;
         }
 
-        this.showLoading('Verifying passphrase...');
+        if (this.getUnlockWait() > 0) {
+            this.updateLoginBackoff();
+            return;
+        }
+
+        this.setUnlocking(true);
 
         try {
-            this.storage.setUserId(this.currentUser);
-            const success = await this.crypto.initialize(passphrase, this.currentUser);
-            
-            if (success) {
-                this.isAuthenticated = true;
-                await this.loadNotes();
-                this.showMainScreen();
-                this.hideLoading();
+            // Check the keyfile up front so a wrong file isn't reported as a wrong passphrase
+            let keyfileHash = null;
+            if (this.crypto.requiresKeyfile(this.currentUser)) {
+                keyfileHash = await this.readKeyfileHash('login-keyfile');
+                if (!keyfileHash) {
+                    this.showError('This vault also needs its keyfile. Choose it to unlock.');
+                    return;
+                }
+            }
+
+            // Counted before the key is derived, so a reload midway can't skip the backoff
+            this.countUnlockAttempt();
+
+            if (keyfileHash && !await this.crypto.checkKeyfile(keyfileHash, this.currentUser)) {
+                if (await this.recordFailedUnlock()) return;
+                this.showError('That keyfile does not belong to this vault.');
+                return;
+            }
+
+            this.showLoading('Verifying passphrase...');
+
+            try {
+                await this.recoverPendingRekey();
+                this.crypto.sessionMinutes = this.getRememberMinutes();
+                const success = await this.crypto.initialize(passphrase, this.currentUser, keyfileHash);
                 
-                // Clear passphrase from input
-                document.getElementById('passphrase').value = '';
-            } else {
+                if (success) {
+                    if (this.crypto.legacyVault) {
+                        await this.migrateVault(passphrase);
+                    }
+
+                    this.resetFailedUnlocks();
+                    await this.rememberSession();
+                    this.vaultId = this.crypto.vaultId;
+                    this.isAuthenticated = true;
+                    await this.loadNotes();
+                    this.showMainScreen();
+                    this.hideLoading();
+                    
+                    // Clear passphrase and keyfile from inputs
+                    document.getElementById('passphrase').value = '';
+                    document.getElementById('login-keyfile').value = '';
+                } else {
+                    this.hideLoading();
+                    if (await this.recordFailedUnlock()) return;
+                    this.showError('Invalid passphrase. Please try again.');
+                }
+            } catch (error) {
                 this.hideLoading();
-                this.showError('Invalid passphrase. Please try again.');
+                console.error('Login failed:', error);
+                this.showError('Login failed. Please try again.');
             }
-        } catch (error) {
-            this.hideLoading();
-            console.error('Login failed:', error);
-            this.showError('Login failed. Please try again.');
+        } finally {
+            this.setUnlocking(false);
         }
     }
 
     /**
-     * Load and decrypt all notes
+     * Disable the login form while an unlock is running
+     * @param {boolean} busy - Whether an unlock is running
      */
-    async loadNotes() {
-        try {
-            this.showLoading('Loading your notes...');
-            
-            const encryptedNotes = await this.storage.getAllNotes();
-            this.notes = [];
-
-            for (const encryptedNote of encryptedNotes) {
-                try {
-                    const decryptedNote = await this.crypto.decryptNote(encryptedNote);
-                    this.notes.push(decryptedNote);
-                } catch (error) {
-                    console.error('Failed to decrypt note:', encryptedNote.id, error);
-                }
-            }
+    setUnlocking(busy) {
+        this.unlocking = busy;
+        document.getElementById('passphrase').disabled = busy;
+        this.updateLoginBackoff();
+    }
 
-            this.applyCurrentFilter();
-            this.updateNotesUI();
-            this.updateTagsUI();
-            
-            this.hideLoading();
-        } catch (error) {
-            this.hideLoading();
-            console.error('Failed to load notes:', error);
-            this.showError('Failed to load notes');
-        }
+    /**
+     * Read how long an unlock is remembered across reloads on this device
+     * @returns {number} - Minutes, 0 if sessions aren't remembered
+     */
+    getRememberMinutes() {
+        return Number(localStorage.getItem(`remember_session_${this.currentUser}`)) || 0;
     }
 
     /**
-     * Create a new note
+     * Settings: change how long an unlock is remembered. Turning it off ends the
+     * remembered session right away; turning it on takes effect at the next unlock.
      */
-    createNewNote() {
-        const newNote = {
-            id: this.storage.generateId(),
-            title: '',
-            content: '',
-            tags: [],
-            pinned: false,
-            archived: false,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+    async handleRememberSessionChange() {
+        const minutes = Number(document.getElementById('remember-session').value);
 
-        this.currentNote = newNote;
-        // Ensure overlays or sidebars aren't blocking the editor on mobile
-        try {
-            document.body.classList.remove('sidebar-open');
-            const mobileOverlay = document.getElementById('mobile-sidebar-overlay');
-            if (mobileOverlay) {
-                mobileOverlay.classList.add('hidden');
-                mobileOverlay.setAttribute('aria-hidden', 'true');
-            }
-        } catch (e) {
-            // ignore
+        if (minutes > 0) {
+            localStorage.setItem(`remember_session_${this.currentUser}`, String(minutes));
+        } else {
+            localStorage.removeItem(`remember_session_${this.currentUser}`);
+            await this.forgetSession();
         }
+    }
 
-        // Show the editor and populate fields
-        this.showNoteEditor();
-        this.populateEditor(newNote);
+    /**
+     * Store the session created by the unlock that just happened, if remembering is on.
+     * The session key goes to IndexedDB and the wrapped vault key to sessionStorage.
+     */
+    async rememberSession() {
+        const session = this.crypto.session;
+        this.crypto.session = null;
+        if (!session) return;
 
-        // Ensure editor is visible and scrolled into view on small screens
         try {
-            const editorEl = document.getElementById('note-editor');
-            if (editorEl) {
-                editorEl.classList.remove('hidden');
-                // ensure it's scrolled into view on small screens
-                setTimeout(() => { try { editorEl.scrollIntoView({ behavior: 'smooth', block: 'center' }); } catch (e) {} }, 120);
-            }
-        } catch (e) {
-            // ignore
-        }
-        
-        // Focus on content textarea for quicker data entry
-        const contentEl = document.getElementById('note-content');
-        if (contentEl) {
-            setTimeout(() => { try { contentEl.focus(); } catch (e) {} }, 120);
-        } else {
-            document.getElementById('note-title').focus();
+            await this.storage.saveSession({ id: this.currentUser, key: session.key, expiresAt: session.record.expiresAt });
+            sessionStorage.setItem(`session_${this.currentUser}`, JSON.stringify(session.record));
+        } catch (error) {
+            console.error('Failed to remember session:', error);
         }
     }
 
     /**
-     * Save the current note
+     * Reopen the vault from a remembered session after a reload
+     * @returns {Promise<boolean>} - True if the vault was reopened without the passphrase
      */
-    async saveCurrentNote() {
-        if (!this.currentNote) return;
+    async resumeSession() {
+        const raw = sessionStorage.getItem(`session_${this.currentUser}`);
+        if (!raw || !this.getRememberMinutes()) {
+            // Drops a session key left behind when the browser was closed or the setting turned off
+            await this.forgetSession();
+            return false;
+        }
 
         try {
-            this.showLoading('Saving note...');
-
-            // Get data from editor
-            const title = document.getElementById('note-title').value.trim() || 'Untitled';
-            const content = document.getElementById('note-content').value;
-            const tagsInput = document.getElementById('tags-input').value;
-            const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
-
-            // Update note object
-            this.currentNote.title = title;
-            this.currentNote.content = content;
-            this.currentNote.tags = tags;
-            this.currentNote.updatedAt = new Date().toISOString();
-
-            // Encrypt and save
-            const encryptedNote = await this.crypto.encryptNote(this.currentNote);
-            await this.storage.saveNote(encryptedNote);
-
-            // Update local notes array
-            const existingIndex = this.notes.findIndex(note => note.id === this.currentNote.id);
-            if (existingIndex >= 0) {
-                this.notes[existingIndex] = { ...this.currentNote };
-            } else {
-                this.notes.unshift(this.currentNote);
+            // An expired key is never used, whatever the sessionStorage copy says, and is deleted below
+            const stored = await this.storage.getSession(this.currentUser);
+            const sessionKey = stored && stored.expiresAt > Date.now() ? stored.key : null;
+            const resumed = await this.crypto.resumeSession(JSON.parse(raw), sessionKey, this.currentUser);
+            if (!resumed) {
+                await this.forgetSession();
+                return false;
             }
 
-            this.applyCurrentFilter();
-            this.updateNotesUI();
-            this.updateTagsUI();
-            this.updateNoteTimestamp();
-            
-            this.hideLoading();
-            this.showSuccess('Note saved successfully');
+            this.vaultId = this.crypto.vaultId;
+            this.isAuthenticated = true;
+            await this.loadNotes();
+            this.showMainScreen();
+            return true;
         } catch (error) {
-            this.hideLoading();
-            console.error('Failed to save note:', error);
-            this.showError('Failed to save note');
+            console.error('Failed to resume session:', error);
+            this.crypto.clear();
+            await this.forgetSession();
+            return false;
         }
     }
 
     /**
-     * Delete the current note
+     * End the remembered session, so the next reload asks for the passphrase
      */
-    async deleteCurrentNote() {
-        if (!this.currentNote) return;
+    async forgetSession() {
+        sessionStorage.removeItem(`session_${this.currentUser}`);
 
-        if (!confirm('Are you sure you want to delete this note? This action cannot be undone.')) {
-            return;
+        try {
+            await this.storage.deleteSession(this.currentUser);
+        } catch (error) {
+            console.error('Failed to delete session:', error);
         }
+    }
 
+    /**
+     * Read the number of failed unlocks since the last successful one. It is kept in
+     * localStorage so reloading the page doesn't reset the backoff.
+     * @returns {Object} - { count, lastAt } where lastAt is a timestamp in milliseconds
+     */
+    getFailedUnlocks() {
         try {
-            this.showLoading('Deleting note...');
-
-            await this.storage.deleteNote(this.currentNote.id);
-            
-            // Remove from local array
-            this.notes = this.notes.filter(note => note.id !== this.currentNote.id);
-            
-            this.applyCurrentFilter();
-            this.updateNotesUI();
-            this.updateTagsUI();
-            
-            // Show welcome screen if no notes
-            if (this.notes.length === 0) {
-                this.showWelcomeScreen();
-            } else {
-                this.showWelcomeScreen();
-            }
-            
-            this.currentNote = null;
-            this.hideLoading();
-            this.showSuccess('Note deleted successfully');
+            const stored = JSON.parse(localStorage.getItem(`unlock_failures_${this.currentUser}`) || 'null');
+            return stored || { count: 0, lastAt: 0 };
         } catch (error) {
-            this.hideLoading();
-            console.error('Failed to delete note:', error);
-            this.showError('Failed to delete note');
+            return { count: 0, lastAt: 0 };
         }
     }
 
     /**
-     * Toggle pin status of current note
+     * Forget failed unlocks after the vault was opened
      */
-    async togglePinNote() {
-        if (!this.currentNote) return;
-
-        this.currentNote.pinned = !this.currentNote.pinned;
-        this.updatePinButton();
-        
-        // Auto-save the change
-        await this.saveCurrentNote();
+    resetFailedUnlocks() {
+        localStorage.removeItem(`unlock_failures_${this.currentUser}`);
+        this.updateLoginBackoff();
     }
 
     /**
-     * Toggle archive status of current note
+     * Time to wait after a number of failed unlocks: nothing for the first few, then
+     * doubling from two seconds up to a cap
+     * @param {number} count - Failed unlocks in a row
+     * @returns {number} - Delay in milliseconds
      */
-    async toggleArchiveNote() {
-        if (!this.currentNote) return;
+    getUnlockDelay(count) {
+        if (count < this.freeUnlockAttempts) return 0;
+        return Math.min(1000 * 2 ** (count - this.freeUnlockAttempts + 1), this.maxUnlockDelay);
+    }
 
-        this.currentNote.archived = !this.currentNote.archived;
-        this.updateArchiveButton();
+    /**
+     * Time left before the next unlock may be attempted
+     * @returns {number} - Milliseconds, 0 if unlocking is allowed now
+     */
+    getUnlockWait() {
+        const failures = this.getFailedUnlocks();
+        return Math.max(failures.lastAt + this.getUnlockDelay(failures.count) - Date.now(), 0);
+    }
 
-        // Auto-save the change
-        await this.saveCurrentNote();
+    /**
+     * Count an unlock attempt as failed until it succeeds and resetFailedUnlocks() runs
+     */
+    countUnlockAttempt() {
+        const count = this.getFailedUnlocks().count + 1;
+        localStorage.setItem(`unlock_failures_${this.currentUser}`, JSON.stringify({ count: count, lastAt: Date.now() }));
+    }
 
-        // If archived, close editor to avoid editing archived note
-        if (this.currentNote.archived) {
-            this.showWelcomeScreen();
+    /**
+     * Settle a failed unlock counted by countUnlockAttempt(): the backoff runs from now, and
+     * the vault is erased if the count reached the wipe threshold
+     * @returns {Promise<boolean>} - True if the vault was erased
+     */
+    async recordFailedUnlock() {
+        const count = this.getFailedUnlocks().count;
+        localStorage.setItem(`unlock_failures_${this.currentUser}`, JSON.stringify({ count: count, lastAt: Date.now() }));
+
+        const wipeAfter = this.getWipeThreshold();
+        if (wipeAfter && count >= wipeAfter) {
+            await this.wipeVault();
+            return true;
         }
+
+        this.updateLoginBackoff();
+        return false;
     }
 
     /**
-     * Handle search functionality
+     * Show how long the unlock button stays disabled, counting down once a second,
+     * and how many attempts are left before the vault is erased
      */
-    handleSearch(query) {
-        this.searchQuery = query.trim();
-        // search query updated
-        this.applyCurrentFilter();
-        this.updateNotesUI();
+    updateLoginBackoff() {
+        clearTimeout(this.backoffTimer);
+        this.backoffTimer = null;
+
+        const message = document.getElementById('login-backoff');
+        const unlockButton = document.getElementById('unlock-btn');
+        const wait = this.getUnlockWait();
+        const count = this.getFailedUnlocks().count;
+        const wipeAfter = this.getWipeThreshold();
+        const lines = [];
+
+        if (wait > 0) {
+            lines.push(`Too many failed attempts. Try again in ${this.formatCountdown(wait)}.`);
+            this.backoffTimer = setTimeout(() => this.updateLoginBackoff(), Math.min(wait, 1000));
+        }
+        if (wipeAfter && count > 0) {
+            const left = wipeAfter - count;
+            lines.push(`The vault will be erased after ${left} more failed ${left === 1 ? 'attempt' : 'attempts'}.`);
+        }
+
+        unlockButton.disabled = wait > 0 || this.unlocking;
+        message.textContent = lines.join(' ');
+        message.classList.toggle('hidden', lines.length === 0);
     }
 
     /**
-     * Set filter for notes
+     * Format a wait as minutes and seconds
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} - e.g. "45 s" or "2:05"
      */
-    setFilter(filter) {
-        this.currentFilter = filter;
-        
-        // Update filter tabs
-        document.querySelectorAll('.filter-tab').forEach(tab => {
-            tab.classList.toggle('active', tab.dataset.filter === filter);
-        });
+    formatCountdown(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} s`;
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
 
-        this.applyCurrentFilter();
-        this.updateNotesUI();
+    /**
+     * Read how many failed unlocks in a row erase the vault
+     * @returns {number} - Threshold, or 0 if erasing is off
+     */
+    getWipeThreshold() {
+        return Number(localStorage.getItem(`wipe_after_${this.currentUser}`)) || 0;
     }
 
     /**
-     * Apply current filter and search to notes
+     * Store the wipe threshold
+     * @param {number} attempts - Failed unlocks that erase the vault, or 0 to turn erasing off
      */
-    applyCurrentFilter() {
-        let filtered = [...this.notes];
+    setWipeThreshold(attempts) {
+        if (attempts) {
+            localStorage.setItem(`wipe_after_${this.currentUser}`, String(attempts));
+        } else {
+            localStorage.removeItem(`wipe_after_${this.currentUser}`);
+        }
+    }
 
-        // Archived handling: exclude archived unless viewing archived
-        if (this.currentFilter !== 'archived') {
-            filtered = filtered.filter(note => !note.archived);
+    /**
+     * Read and validate a wipe threshold input
+     * @param {string} inputId - Number input id
+     * @returns {number} - Attempts, or 0 after showing an error
+     */
+    readWipeAttempts(inputId) {
+        const attempts = Number(document.getElementById(inputId).value);
+        if (!Number.isInteger(attempts) || attempts < this.freeUnlockAttempts || attempts > 100) {
+            this.showError(`Choose between ${this.freeUnlockAttempts} and 100 attempts before the vault is erased`);
+            return 0;
         }
+        return attempts;
+    }
 
-        // Apply filter
-        switch (this.currentFilter) {
-            case 'pinned':
-                filtered = filtered.filter(note => note.pinned);
-                break;
-            case 'recent':
-                filtered = filtered.filter(note => {
-                    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-                    return new Date(note.updatedAt) > dayAgo;
-                });
-                break;
-            case 'archived':
-                filtered = filtered.filter(note => note.archived);
-                break;
+    /**
+     * Ask the user to confirm turning on erase-after-failures
+     * @param {number} attempts - Chosen threshold
+     * @returns {boolean} - True if confirmed
+     */
+    confirmWipeSetting(attempts) {
+        return confirm(`After ${attempts} wrong passphrases in a row, every note and key on this device will be ` +
+            'permanently erased. Anyone who can reach this device can trigger it. Continue?');
+    }
+
+    /**
+     * Settings: turn erase-after-failures on or off, or change its threshold
+     */
+    handleWipeSettingChange() {
+        const toggle = document.getElementById('wipe-toggle');
+
+        if (!toggle.checked) {
+            this.setWipeThreshold(0);
+            return;
         }
 
-        // Apply tag filter
-        if (this.selectedTags.length > 0) {
-            filtered = filtered.filter(note => 
-                this.selectedTags.some(tag => note.tags.includes(tag))
-            );
+        const attempts = this.readWipeAttempts('wipe-attempts');
+        if (!attempts || (!this.getWipeThreshold() && !this.confirmWipeSetting(attempts))) {
+            toggle.checked = Boolean(this.getWipeThreshold());
+            document.getElementById('wipe-attempts').value = String(this.getWipeThreshold() || 10);
+            return;
         }
 
-        // Apply search
-        if (this.searchQuery) {
-            filtered = this.storage.searchNotes(this.searchQuery, filtered);
+        this.setWipeThreshold(attempts);
+    }
+
+    /**
+     * Erase the vault after too many failed unlocks: its key slots first, which makes the
+     * notes undecryptable straight away, then the notes themselves
+     */
+    async wipeVault() {
+        this.crypto.removeVault(this.currentUser);
+        this.crypto.clear();
+        sessionStorage.removeItem(`session_${this.currentUser}`);
+        ['unlock_failures', 'wipe_after', 'auto_lock', 'remember_session'].forEach(prefix => {
+            localStorage.removeItem(`${prefix}_${this.currentUser}`);
+        });
+
+        try {
+            await this.storage.clearAllData();
+        } catch (error) {
+            console.error('Failed to delete notes while erasing the vault:', error);
         }
 
-        this.filteredNotes = filtered;
+        document.getElementById('passphrase').value = '';
+        document.getElementById('login-keyfile').value = '';
+        this.updateLoginBackoff();
+        this.showSetupScreen();
+        this.showError('Too many failed attempts. The vault has been erased.');
     }
 
     /**
-     * Update notes list UI
+     * Unlock the vault with its recovery key and set a new passphrase
      */
-    updateNotesUI() {
-        const notesList = document.getElementById('notes-list');
-        const notesCount = document.getElementById('notes-count');
-        
-        if (notesCount) {
-            notesCount.textContent = this.filteredNotes.length;
+    async handleRecovery() {
+        const keyInput = document.getElementById('recovery-key-input');
+        const sharesInput = document.getElementById('recovery-shares-input');
+        const usingShares = !sharesInput.classList.contains('hidden');
+        const passphrase = document.getElementById('recovery-new-passphrase').value;
+        const confirmPassphrase = document.getElementById('recovery-confirm-passphrase').value;
+
+        if (!(usingShares ? sharesInput : keyInput).value.trim()) {
+            this.showError(usingShares ? 'Please enter your recovery shares' : 'Please enter your recovery key');
+            return;
         }
 
-        // Handle search results display
-        if (this.searchQuery && this.searchQuery.length > 0) {
-            this.showSearchResults();
+        if (!passphrase.trim()) {
+            this.showError('Please enter a new passphrase');
             return;
         }
 
-        // Hide search results when not searching
-        const searchResults = document.getElementById('search-results');
-        if (searchResults) {
-            searchResults.classList.add('hidden');
+        if (passphrase !== confirmPassphrase) {
+            this.showError('Passphrases do not match');
+            return;
         }
 
-        if (!notesList) return;
+        if (this.crypto.analyzePasswordStrength(passphrase).strength === 'weak') {
+            this.showError('Please choose a stronger passphrase');
+            return;
+        }
+
+        const secret = usingShares
+            ? await this.readRecoveryShares(sharesInput.value)
+            : await this.crypto.parseRecoveryKey(keyInput.value);
+        if (!secret) {
+            if (!usingShares) this.showError('That recovery key doesn\'t look right. Check it for typos.');
+            return;
+        }
+
+        this.showLoading('Recovering your vault...');
 
-        // On small screens, expose the sidebar/notes area when there are notes
         try {
-            const shouldShow = this.filteredNotes.length > 0;
-            document.body.classList.toggle('has-notes', shouldShow);
-        } catch (e) {
-            // ignore
+            await this.recoverPendingRekey();
+            this.crypto.sessionMinutes = this.getRememberMinutes();
+            const success = await this.crypto.recoverWithKey(secret, passphrase, this.currentUser);
+
+            if (success) {
+                this.resetFailedUnlocks();
+                await this.rememberSession();
+                this.vaultId = this.crypto.vaultId;
+                this.isAuthenticated = true;
+                await this.loadNotes();
+                this.showMainScreen();
+                this.hideLoading();
+
+                // Clear form
+                ['recovery-key-input', 'recovery-shares-input', 'recovery-new-passphrase', 'recovery-confirm-passphrase'].forEach(id => {
+                    document.getElementById(id).value = '';
+                });
+
+                this.showSuccess('Vault recovered. Use your new passphrase from now on.');
+            } else {
+                this.hideLoading();
+                this.showError(usingShares
+                    ? 'These shares do not unlock this vault.'
+                    : 'This recovery key does not unlock this vault.');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Recovery failed:', error);
+            this.showError('Recovery failed. Please try again.');
+        } finally {
+            secret.fill(0);
         }
+    }
 
-        if (this.filteredNotes.length === 0) {
-            notesList.innerHTML = '<div class="no-notes">No notes found</div>';
-            // Only show welcome screen during initial load, not during updates
-            if (this.notes.length === 0 && !document.getElementById('welcome-screen').classList.contains('hidden')) {
-                this.showWelcomeScreen();
+    /**
+     * Parse recovery shares typed one per line and combine them into the recovery secret
+     * @param {string} text - Contents of the shares box
+     * @returns {Promise<Uint8Array|null>} - Recovery secret, or null after showing what is wrong
+     */
+    async readRecoveryShares(text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        const shares = [];
+
+        for (const [index, line] of lines.entries()) {
+            const share = await this.crypto.parseRecoveryShare(line);
+            if (!share) {
+                this.showError(`Share on line ${index + 1} doesn't look right. Check it for typos.`);
+                return null;
             }
-            return;
+            shares.push(share);
         }
 
-        notesList.innerHTML = this.filteredNotes.map(note => `
-            <div class="note-item ${this.currentNote && this.currentNote.id === note.id ? 'active' : ''}" 
-                 data-note-id="${note.id}">
-                <div class="note-title">
-                    ${note.pinned ? '<i class="fas fa-thumbtack pin-icon"></i>' : ''}
-                    ${this.escapeHtml(note.title || 'Untitled')}
-                </div>
-                <div class="note-preview">${this.escapeHtml(note.content.substring(0, 100))}${note.content.length > 100 ? '...' : ''}</div>
-                <div class="note-meta">
-                    <span>${this.formatDate(note.updatedAt)}</span>
-                    <div class="note-tags">
-                        ${note.tags.slice(0, 3).map(tag => `<span class="note-tag">${this.escapeHtml(tag)}</span>`).join('')}
-                        ${note.tags.length > 3 ? `<span class="note-tag">+${note.tags.length - 3}</span>` : ''}
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        try {
+            return this.crypto.combineRecoveryShares(shares);
+        } catch (error) {
+            this.showError(error.message);
+            return null;
+        }
+    }
 
-        // Add click listeners to note items
-        notesList.querySelectorAll('.note-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const noteId = item.dataset.noteId;
-                this.openNote(noteId);
-            });
-        });
+    /**
+     * Switch the recovery screen between a single recovery key and a set of shares
+     */
+    toggleRecoveryMode() {
+        const keyGroup = document.getElementById('recovery-key-group');
+        const sharesInput = document.getElementById('recovery-shares-input');
+        const usingShares = keyGroup.classList.toggle('hidden');
+
+        sharesInput.classList.toggle('hidden', !usingShares);
+        document.getElementById('toggle-recovery-mode').textContent = usingShares
+            ? 'Have a recovery key instead?'
+            : 'Have recovery shares instead?';
+        (usingShares ? sharesInput : document.getElementById('recovery-key-input')).focus();
     }
 
     /**
-     * Update tags UI
+     * Read the keyfile chosen in a file input (or generated for it) and hash it
+     * @param {string} inputId - File input id
+     * @returns {Promise<Uint8Array|null>} - Keyfile hash, or null if no keyfile was chosen
      */
-    updateTagsUI() {
-        const tagsList = document.getElementById('tags-list');
-        const allTags = this.storage.getAllTags(this.notes);
+    async readKeyfileHash(inputId) {
+        const generated = this.generatedKeyfiles[inputId];
+        if (generated) return this.crypto.hashKeyfile(generated);
 
-        if (allTags.length === 0) {
-            tagsList.innerHTML = '<div class="no-tags">No tags yet</div>';
-            return;
-        }
+        const file = document.getElementById(inputId).files[0];
+        if (!file) return null;
 
-        tagsList.innerHTML = allTags.map(({ tag, count }) => `
-            <span class="tag ${this.selectedTags.includes(tag) ? 'active' : ''}" data-tag="${tag}">
-                ${this.escapeHtml(tag)} (${count})
-            </span>
-        `).join('');
+        return this.crypto.hashKeyfile(new Uint8Array(await file.arrayBuffer()));
+    }
 
-        // Add click listeners to tags
-        tagsList.querySelectorAll('.tag').forEach(tagElement => {
-            tagElement.addEventListener('click', () => {
-                const tag = tagElement.dataset.tag;
-                this.toggleTagFilter(tag);
+    /**
+     * A file picked by hand replaces any keyfile generated for the same input
+     * @param {string} inputId - File input id
+     * @param {string} nameId - Element that shows which keyfile is selected
+     */
+    handleKeyfileChosen(inputId, nameId) {
+        delete this.generatedKeyfiles[inputId];
+        const file = document.getElementById(inputId).files[0];
+        document.getElementById(nameId).textContent = file ? `Using ${file.name}` : '';
+    }
+
+    /**
+     * Generate a random keyfile, save it to the user's downloads and select it
+     * @param {string} inputId - File input the keyfile stands in for
+     * @param {string} nameId - Element that shows which keyfile is selected
+     */
+    generateKeyfile(inputId, nameId) {
+        const keyfile = this.crypto.generateKeyfile();
+        this.downloadBlob(new Blob([keyfile], { type: 'application/octet-stream' }), 'securenotes.keyfile');
+
+        document.getElementById(inputId).value = '';
+        this.generatedKeyfiles[inputId] = keyfile;
+        document.getElementById(nameId).textContent = 'Using securenotes.keyfile (saved to your downloads; keep a copy somewhere safe)';
+    }
+
+    /**
+     * Forget the keyfile selected for an input
+     * @param {string} inputId - File input id
+     * @param {string} nameId - Element that shows which keyfile is selected
+     */
+    clearKeyfileInput(inputId, nameId) {
+        const generated = this.generatedKeyfiles[inputId];
+        if (generated) generated.fill(0);
+        delete this.generatedKeyfiles[inputId];
+
+        document.getElementById(inputId).value = '';
+        document.getElementById(nameId).textContent = '';
+    }
+
+    /**
+     * Finish or roll back a passphrase change that was interrupted by a reload
+     */
+    async recoverPendingRekey() {
+        if (!localStorage.getItem(`rekey_pending_${this.currentUser}`)) return;
+
+        const committedId = await this.storage.getSetting(`rekey_commit_${this.currentUser}`);
+        this.crypto.recoverRekey(committedId, this.currentUser);
+    }
+
+    /**
+     * Move a vault that encrypts notes directly with the passphrase key over to a
+     * random data key wrapped by the passphrase. Every note is re-encrypted and
+     * written in one transaction, so a reload midway leaves the old vault intact.
+     * @param {string} passphrase - Passphrase that just unlocked the legacy vault
+     */
+    async migrateVault(passphrase) {
+        this.showLoading('Upgrading vault encryption...');
+        const rekey = await this.crypto.beginRekey(passphrase, this.currentUser);
+
+        try {
+            await this.reencryptNotes(rekey.crypto, {
+                key: `rekey_commit_${this.currentUser}`,
+                value: rekey.id
             });
-        });
+            this.crypto.commitRekey(rekey, this.currentUser);
+        } catch (error) {
+            // Keep using the legacy key; the upgrade is retried on the next unlock
+            this.crypto.abortRekey(this.currentUser);
+            console.error('Vault migration failed:', error);
+        }
     }
 
     /**
-     * Toggle tag filter
+     * Decrypt every stored note and write it back through the target crypto manager
+     * in a single transaction. Any note that fails to decrypt aborts the whole rewrite.
+     * The other vault's notes are left as they are.
+     * @param {CryptoManager} target - Manager whose key and note format are written
+     * @param {Object} [marker] - Setting committed together with the notes
      */
-    toggleTagFilter(tag) {
-        const index = this.selectedTags.indexOf(tag);
-        if (index >= 0) {
-            this.selectedTags.splice(index, 1);
-        } else {
-            this.selectedTags.push(tag);
+    async reencryptNotes(target, marker) {
+        const encryptedNotes = await this.storage.getAllNotes();
+        const reencrypted = [];
+        for (const encryptedNote of encryptedNotes) {
+            if (!await this.crypto.ownsNote(encryptedNote)) continue;
+
+            const note = await this.crypto.decryptNote(encryptedNote);
+            reencrypted.push(await target.encryptNote(note));
         }
 
-        this.applyCurrentFilter();
-        this.updateNotesUI();
-        this.updateTagsUI();
+        await this.storage.replaceNotes(reencrypted, marker);
     }
 
     /**
-     * Open a note for editing
+     * Benchmark Argon2id on this device and store parameters for the chosen unlock time
      */
-    openNote(noteId) {
-        const note = this.notes.find(n => n.id === noteId);
-        if (!note) return;
+    async handleKdfBenchmark() {
+        if (!this.ensureVaultUpgraded()) return;
 
-        this.currentNote = note;
-        this.showNoteEditor();
-        this.populateEditor(note);
-        this.updateNotesUI(); // Update to show active state
+        const targetMs = parseInt(document.getElementById('kdf-target-time').value, 10);
+        this.showLoading('Benchmarking this device...');
+
+        try {
+            const result = await this.crypto.benchmarkKdf(targetMs);
+            const applied = this.crypto.setKdfTarget(result.params, this.vaultId);
+            this.updateKdfSummary();
+
+            this.hideLoading();
+            this.showSuccess(`Next unlock will use ${this.describeKdf(applied)}`);
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to benchmark key derivation:', error);
+            this.showError('Benchmark failed. Your current settings were kept.');
+        }
     }
 
     /**
-     * Populate editor with note data
+     * Show the KDF protecting the passphrase and any pending upgrade in settings
      */
-    populateEditor(note) {
-        document.getElementById('note-title').value = note.title || '';
-        document.getElementById('note-content').value = note.content || '';
-        document.getElementById('tags-input').value = note.tags ? note.tags.join(', ') : '';
-        
-        this.updatePinButton();
-        this.updateArchiveButton();
-        this.updateNoteTimestamp();
+    updateKdfSummary() {
+        const summary = document.getElementById('kdf-summary');
+        const status = this.crypto.getKdfStatus(this.vaultId);
+        if (!status) {
+            summary.textContent = '';
+            return;
+        }
+
+        summary.textContent = this.crypto.isKdfOutdated(status.current, status.target)
+            ? `Currently ${this.describeKdf(status.current)}; switching to ${this.describeKdf(status.target)} on next unlock.`
+            : `Currently ${this.describeKdf(status.current)}.`;
+    }
+
+    /**
+     * Format KDF parameters for display
+     * @param {Object} kdf - KDF parameters
+     * @returns {string} - Human-readable description
+     */
+    describeKdf(kdf) {
+        if (kdf.name === 'argon2id') {
+            const passes = kdf.iterations === 1 ? 'pass' : 'passes';
+            return `Argon2id with ${Math.round(kdf.memory / 1024)} MiB and ${kdf.iterations} ${passes}`;
+        }
+        return `${kdf.name} with ${kdf.iterations.toLocaleString()} iterations`;
+    }
+
+    /**
+     * Require the selected keyfile, or stop requiring one, after confirming the passphrase
+     * @param {boolean} require - True to require the selected keyfile, false to remove the requirement
+     */
+    async handleSetKeyfile(require) {
+        const passphraseInput = document.getElementById('keyfile-passphrase');
+
+        if (!this.ensureVaultUpgraded()) return;
+
+        if (!passphraseInput.value) {
+            this.showError('Enter your current passphrase to change the keyfile');
+            return;
+        }
+
+        if (!require && !this.crypto.requiresKeyfile(this.vaultId)) {
+            this.showError('This vault does not use a keyfile');
+            return;
+        }
+
+        const keyfileHash = require ? await this.readKeyfileHash('settings-keyfile') : null;
+        if (require && !keyfileHash) {
+            this.showError('Choose or generate a keyfile first');
+            return;
+        }
+
+        this.showLoading('Updating your vault key...');
+
+        try {
+            const success = await this.crypto.setKeyfile(passphraseInput.value, keyfileHash, this.vaultId);
+            this.hideLoading();
+
+            if (success) {
+                passphraseInput.value = '';
+                this.clearKeyfileInput('settings-keyfile', 'settings-keyfile-name');
+                this.updateKeyfileStatus();
+                this.showSuccess(require ? 'Keyfile is now required to unlock' : 'Keyfile is no longer required');
+            } else {
+                this.showError('Current passphrase is incorrect');
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to update keyfile:', error);
+            this.showError('Failed to update the keyfile. Nothing was changed.');
+        }
+    }
+
+    /**
+     * Show whether the vault requires a keyfile in settings
+     */
+    updateKeyfileStatus() {
+        document.getElementById('keyfile-status').textContent = this.crypto.requiresKeyfile(this.vaultId)
+            ? 'Unlocking needs your passphrase and your keyfile. Choosing a new keyfile replaces the old one.'
+            : 'Only your passphrase is needed to unlock. Add a keyfile to require a second factor.';
+    }
+
+    /**
+     * Replace the recovery key after confirming the current passphrase
+     */
+    async handleRegenerateRecoveryKey() {
+        const passphraseInput = document.getElementById('recovery-passphrase');
+
+        if (!this.ensureVaultUpgraded()) return;
+
+        if (!passphraseInput.value) {
+            this.showError('Enter your current passphrase to generate a recovery key');
+            return;
+        }
+
+        const split = this.getShareOptions('');
+        if (split && !this.validateShareOptions(split)) return;
+
+        this.showLoading('Generating your recovery key...');
+
+        try {
+            const recoveryKey = await this.crypto.createRecoveryKey(passphraseInput.value, this.vaultId);
+
+            if (!recoveryKey) {
+                this.hideLoading();
+                this.showError('Current passphrase is incorrect');
+                return;
+            }
+
+            passphraseInput.value = '';
+            this.updateRecoveryKeyStatus();
+            await this.presentRecoveryKey(recoveryKey, split);
+            this.hideLoading();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to create recovery key:', error);
+            this.showError('Failed to create a recovery key. Your previous key still works.');
+        }
+    }
+
+    /**
+     * Remove the recovery key so it can no longer unlock the vault
+     */
+    handleRevokeRecoveryKey() {
+        if (!this.crypto.getRecoveryKeyInfo(this.vaultId)) {
+            this.showError('This vault has no recovery key');
+            return;
+        }
+
+        if (!confirm('Revoke your recovery key? It will no longer unlock this vault, and a forgotten passphrase cannot be recovered.')) {
+            return;
+        }
+
+        this.crypto.revokeRecoveryKey(this.vaultId);
+        this.updateRecoveryKeyStatus();
+        this.showSuccess('Recovery key revoked');
+    }
+
+    /**
+     * Show whether a recovery key exists in settings
+     */
+    updateRecoveryKeyStatus() {
+        const info = this.crypto.getRecoveryKeyInfo(this.vaultId);
+        document.getElementById('recovery-key-status').textContent = info
+            ? `A recovery key was created on ${new Date(info.createdAt).toLocaleDateString()}. Generating a new one revokes it.`
+            : 'No recovery key. If you forget your passphrase, your notes cannot be recovered.';
+    }
+
+    /**
+     * Display a newly generated recovery key. It is never stored, so this is the only chance to save it.
+     * @param {string} recoveryKey - Formatted recovery key
+     */
+    showRecoveryKey(recoveryKey) {
+        const display = document.getElementById('recovery-key-display');
+        display.classList.remove('shares');
+        document.getElementById('recovery-key-hint').classList.remove('hidden');
+        document.getElementById('recovery-shares-hint').classList.add('hidden');
+        display.innerHTML = recoveryKey.split('-')
+            .map(group => `<span>${this.escapeHtml(group)}</span>`)
+            .join('');
+        document.getElementById('recovery-key-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Display recovery shares, one per team member. Like the key itself they are never stored.
+     * @param {Array<string>} shares - Formatted shares
+     * @param {number} threshold - Shares needed to recover
+     */
+    showRecoveryShares(shares, threshold) {
+        const display = document.getElementById('recovery-key-display');
+        display.classList.add('shares');
+        document.getElementById('recovery-key-hint').classList.add('hidden');
+        document.getElementById('recovery-shares-hint').classList.remove('hidden');
+        display.innerHTML = shares.map((share, index) => `
+            <div>
+                <span class="recovery-share-label">Share ${index + 1} of ${shares.length} · any ${threshold} unlock the vault</span>
+                ${this.escapeHtml(share)}
+            </div>
+        `).join('');
+        document.getElementById('recovery-key-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Close the recovery key sheet and remove the key from the page
+     */
+    hideRecoveryKey() {
+        document.getElementById('recovery-key-display').innerHTML = '';
+        document.getElementById('recovery-key-modal').classList.add('hidden');
+    }
+
+    /**
+     * Print only the recovery key sheet
+     */
+    printRecoveryKey() {
+        document.body.classList.add('printing-recovery');
+        window.print();
+        document.body.classList.remove('printing-recovery');
+    }
+
+    /**
+     * Vault settings can only change once a legacy vault has been migrated
+     * @returns {boolean} - True if the vault is upgraded; otherwise the user is told to unlock again
+     */
+    ensureVaultUpgraded() {
+        if (this.crypto.legacyVault) {
+            this.showError('Your vault is still being upgraded. Lock and unlock it, then try again.');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Change the vault passphrase by re-wrapping the vault's data key
+     */
+    async handleChangePassphrase() {
+        const currentInput = document.getElementById('current-passphrase');
+        const newInput = document.getElementById('new-passphrase');
+        const confirmInput = document.getElementById('confirm-new-passphrase');
+        const newPassphrase = newInput.value;
+
+        if (!currentInput.value || !newPassphrase.trim()) {
+            this.showError('Please fill in all passphrase fields');
+            return;
+        }
+
+        if (newPassphrase !== confirmInput.value) {
+            this.showError('New passphrases do not match');
+            return;
+        }
+
+        if (this.crypto.analyzePasswordStrength(newPassphrase).strength === 'weak') {
+            this.showError('Please choose a stronger passphrase');
+            return;
+        }
+
+        if (!this.ensureVaultUpgraded()) return;
+
+        this.showLoading('Changing passphrase...');
+
+        try {
+            const changed = await this.crypto.changePassphrase(currentInput.value, newPassphrase, this.vaultId);
+            this.hideLoading();
+
+            if (!changed) {
+                this.showError('Current passphrase is incorrect');
+                return;
+            }
+
+            currentInput.value = '';
+            newInput.value = '';
+            confirmInput.value = '';
+            this.hideSettings();
+            this.showSuccess('Passphrase changed successfully');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Passphrase change failed:', error);
+            this.showError('Passphrase change failed. Your old passphrase still works.');
+        }
+    }
+
+    /**
+     * Set a duress passphrase. It opens a fresh vault that replaces the open vault's
+     * companion; the login screen never shows that it exists.
+     */
+    async handleCreateDecoyVault() {
+        const currentInput = document.getElementById('decoy-current-passphrase');
+        const decoyInput = document.getElementById('decoy-passphrase');
+        const confirmInput = document.getElementById('confirm-decoy-passphrase');
+        const decoyPassphrase = decoyInput.value;
+
+        if (!currentInput.value || !decoyPassphrase.trim()) {
+            this.showError('Please fill in all passphrase fields');
+            return;
+        }
+
+        if (decoyPassphrase !== confirmInput.value) {
+            this.showError('Duress passphrases do not match');
+            return;
+        }
+
+        // Login would open the current vault first, so the same passphrase could never reach the new one
+        if (decoyPassphrase === currentInput.value) {
+            this.showError('The duress passphrase must be different from your passphrase');
+            return;
+        }
+
+        if (this.crypto.analyzePasswordStrength(decoyPassphrase).strength === 'weak') {
+            this.showError('Please choose a stronger passphrase');
+            return;
+        }
+
+        if (!this.ensureVaultUpgraded()) return;
+
+        if (!confirm('Set this duress passphrase? It replaces any other vault on this device. That vault\'s notes are deleted if it was set up from this vault; otherwise they stay on the device but can no longer be opened.')) {
+            return;
+        }
+
+        this.showLoading('Creating vault...');
+
+        try {
+            const result = await this.crypto.createDecoyVault(currentInput.value, decoyPassphrase, this.currentUser);
+            if (!result) {
+                this.hideLoading();
+                this.showError('Current passphrase is incorrect');
+                return;
+            }
+
+            // Only notes that decrypt under the replaced vault's key go; damaged ones are left alone
+            const replaced = new Set();
+            for (const encryptedNote of await this.storage.getAllNotes()) {
+                if (await result.replaced.decryptsNote(encryptedNote)) replaced.add(encryptedNote.id);
+            }
+            await this.storage.deleteNotesWhere(note => replaced.has(note.id));
+            this.hideLoading();
+
+            currentInput.value = '';
+            decoyInput.value = '';
+            confirmInput.value = '';
+            this.hideSettings();
+            this.showSuccess('Duress passphrase set. Lock the app and unlock with it to add notes to that vault.');
+            if (result.recoveryKey) {
+                // The vaults' headers only look alike if both have a recovery key
+                this.showRecoveryKey(result.recoveryKey);
+            }
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to set duress passphrase:', error);
+            this.showError('Failed to set duress passphrase');
+        }
+    }
+
+    /**
+     * Show settings dialog
+     */
+    showSettings() {
+        const wipeAfter = this.getWipeThreshold();
+        document.getElementById('wipe-toggle').checked = wipeAfter > 0;
+        document.getElementById('wipe-attempts').value = String(wipeAfter || 10);
+        const autoLock = this.getAutoLockSettings();
+        document.getElementById('auto-lock-idle').value = String(autoLock.idleMinutes);
+        document.getElementById('auto-lock-hidden').value = String(autoLock.hiddenMinutes);
+        document.getElementById('auto-lock-sleep').checked = autoLock.lockOnSleep;
+        document.getElementById('remember-session').value = String(this.getRememberMinutes());
+        document.getElementById('clipboard-clear').value = String(this.getClipboardClearSeconds());
+        this.updateRecoveryKeyStatus();
+        this.updateKeyfileStatus();
+        this.updateKdfSummary();
+        document.getElementById('settings-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Hide settings dialog
+     */
+    hideSettings() {
+        document.getElementById('settings-modal').classList.add('hidden');
+    }
+
+    /**
+     * Show the password audit for the login notes in this vault
+     */
+    async showAudit() {
+        const months = Number(localStorage.getItem(`audit_months_${this.currentUser}`) || 12);
+        document.getElementById('audit-months').value = String(months);
+        document.getElementById('audit-modal').classList.remove('hidden');
+        await this.runAudit();
+    }
+
+    /**
+     * Hide the password audit and drop its report
+     */
+    hideAudit() {
+        document.getElementById('audit-modal').classList.add('hidden');
+        document.getElementById('audit-report').innerHTML = '';
+        document.getElementById('audit-summary').textContent = '';
+    }
+
+    /**
+     * Audit the decrypted notes in memory and list reused, weak and old passwords,
+     * each linking to its note
+     */
+    async runAudit() {
+        const months = Number(document.getElementById('audit-months').value);
+        if (!Number.isInteger(months) || months < 0 || months > 120) {
+            this.showError('Choose between 0 and 120 months');
+            return;
+        }
+        localStorage.setItem(`audit_months_${this.currentUser}`, String(months));
+
+        try {
+            const report = await this.crypto.auditPasswords(this.notes, months);
+            const titleOf = (noteId) => {
+                const note = this.notes.find(n => n.id === noteId);
+                return this.escapeHtml((note && note.title) || 'Untitled');
+            };
+            const link = (noteId, detail = '') =>
+                `<li><a href="#" data-note-id="${this.escapeHtml(noteId)}">${titleOf(noteId)}</a>${detail ? ` <span class="settings-hint">${this.escapeHtml(detail)}</span>` : ''}</li>`;
+            const section = (title, hint, items) => `
+                <section class="settings-section">
+                    <h4>${title} (${items.length})</h4>
+                    ${items.length ? `<p class="settings-hint">${hint}</p><ul class="audit-list">${items.join('')}</ul>` : '<p class="settings-hint">None found.</p>'}
+                </section>
+            `;
+
+            let summary = `Checked ${report.checked} login ${report.checked === 1 ? 'note' : 'notes'}.`;
+            if (report.skipped) {
+                summary += ` ${report.skipped} locked ${report.skipped === 1 ? 'note was' : 'notes were'} skipped because a note lock seals their fields.`;
+            }
+            document.getElementById('audit-summary').textContent = summary;
+
+            document.getElementById('audit-report').innerHTML =
+                section('Reused Passwords', 'Each group shares one password. A breach of one site exposes the others.',
+                    report.reused.map(group => `<li><ul class="audit-group">${group.map(noteId => link(noteId)).join('')}</ul></li>`)) +
+                section('Weak Passwords', 'These could be guessed quickly. Generate new ones.',
+                    report.weak.map(finding => link(finding.noteId, finding.feedback[0] || ''))) +
+                (months > 0
+                    ? section('Old Passwords', `These notes haven't been updated for more than ${months} ${months === 1 ? 'month' : 'months'}.`,
+                        report.old.map(finding => link(finding.noteId, `Last updated ${this.formatDate(finding.updatedAt)}`)))
+                    : '');
+        } catch (error) {
+            console.error('Password audit failed:', error);
+            this.showError('Password audit failed');
+        }
+    }
+
+    /**
+     * Load and decrypt all notes
+     */
+    async loadNotes() {
+        try {
+            this.showLoading('Loading your notes...');
+            
+            const encryptedNotes = await this.storage.getAllNotes();
+            const outdatedNotes = [];
+            this.notes = [];
+
+            for (const encryptedNote of encryptedNotes) {
+                // Notes of the user's other vault are stored alongside and simply skipped
+                if (!await this.crypto.ownsNote(encryptedNote)) continue;
+
+                try {
+                    const decryptedNote = await this.crypto.decryptNote(encryptedNote);
+                    this.notes.push(decryptedNote);
+                    if (this.crypto.needsUpgrade(encryptedNote)) {
+                        outdatedNotes.push(decryptedNote);
+                    }
+                } catch (error) {
+                    console.error('Failed to decrypt note:', encryptedNote.id, error);
+                }
+            }
+
+            // Metadata may be encrypted at rest, so ordering happens after decryption
+            this.notes = this.storage.queryNotes(this.notes);
+
+            if (outdatedNotes.length > 0) {
+                await this.upgradeNoteFormat(outdatedNotes);
+            }
+
+            this.applyCurrentFilter();
+            this.updateNotesUI();
+            this.updateTagsUI();
+            
+            this.hideLoading();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to load notes:', error);
+            this.showError('Failed to load notes');
+        }
+    }
+
+    /**
+     * Re-encrypt notes stored in a different format than the vault writes, e.g. from
+     * before field binding or with a different metadata encryption setting
+     * @param {Array} notes - Decrypted notes whose stored form is outdated
+     */
+    async upgradeNoteFormat(notes) {
+        try {
+            const reencrypted = [];
+            for (const note of notes) {
+                reencrypted.push(await this.crypto.encryptNote(note));
+            }
+            await this.storage.replaceNotes(reencrypted);
+        } catch (error) {
+            // Outdated notes stay readable; the upgrade is retried on the next load
+            console.error('Failed to upgrade note format:', error);
+        }
+    }
+
+    /**
+     * Create a new note
+     * @param {string} type - 'note' for a free text note or 'login' for a credential note
+     */
+    createNewNote(type = 'note') {
+        this.relockNote();
+        const newNote = {
+            id: this.storage.generateId(),
+            title: '',
+            content: '',
+            tags: [],
+            pinned: false,
+            archived: false,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        if (type === 'login') {
+            newNote.type = 'login';
+            newNote.fields = { username: '', password: '', url: '' };
+        }
+
+        this.currentNote = newNote;
+        // Ensure overlays or sidebars aren't blocking the editor on mobile
+        try {
+            document.body.classList.remove('sidebar-open');
+            const mobileOverlay = document.getElementById('mobile-sidebar-overlay');
+            if (mobileOverlay) {
+                mobileOverlay.classList.add('hidden');
+                mobileOverlay.setAttribute('aria-hidden', 'true');
+            }
+        } catch (e) {
+            // ignore
+        }
+
+        // Show the editor and populate fields
+        this.showNoteEditor();
+        this.populateEditor(newNote);
+
+        // Ensure editor is visible and scrolled into view on small screens
+        try {
+            const editorEl = document.getElementById('note-editor');
+            if (editorEl) {
+                editorEl.classList.remove('hidden');
+                // ensure it's scrolled into view on small screens
+                setTimeout(() => { try { editorEl.scrollIntoView({ behavior: 'smooth', block: 'center' }); } catch (e) {} }, 120);
+            }
+        } catch (e) {
+            // ignore
+        }
+        
+        // Focus on content textarea for quicker data entry
+        const contentEl = document.getElementById('note-content');
+        if (contentEl && type !== 'login') {
+            setTimeout(() => { try { contentEl.focus(); } catch (e) {} }, 120);
+        } else {
+            document.getElementById('note-title').focus();
+        }
+    }
+
+    /**
+     * Save the current note
+     */
+    async saveCurrentNote() {
+        if (!this.currentNote) return;
+
+        try {
+            this.showLoading('Saving note...');
+
+            // Get data from editor
+            const title = document.getElementById('note-title').value.trim() || 'Untitled';
+            const content = document.getElementById('note-content').value;
+            const tagsInput = document.getElementById('tags-input').value;
+            const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
+
+            const fields = this.currentNote.type === 'login' ? this.readCredentialFields() : null;
+
+            // Update note object. A locked note keeps its sealed content unless it is unlocked in the editor.
+            this.currentNote.title = title;
+            if (!this.currentNote.lock) {
+                this.currentNote.content = content;
+                if (fields) this.currentNote.fields = fields;
+            } else if (this.isNoteUnlocked(this.currentNote)) {
+                this.currentNote.content = await this.noteLock.crypto.sealNoteContent(this.currentNote.id, content);
+                if (fields) this.currentNote.fields = await this.noteLock.crypto.sealNoteFields(this.currentNote.id, fields);
+            }
+            this.currentNote.tags = tags;
+            this.currentNote.updatedAt = new Date().toISOString();
+            this.currentNote.revision = (this.currentNote.revision || 0) + 1;
+
+            // Encrypt and save
+            const encryptedNote = await this.crypto.encryptNote(this.currentNote);
+            await this.storage.saveNote(encryptedNote);
+
+            // Update local notes array
+            const existingIndex = this.notes.findIndex(note => note.id === this.currentNote.id);
+            if (existingIndex >= 0) {
+                this.notes[existingIndex] = { ...this.currentNote };
+            } else {
+                this.notes.unshift(this.currentNote);
+            }
+
+            this.applyCurrentFilter();
+            this.updateNotesUI();
+            this.updateTagsUI();
+            this.updateNoteTimestamp();
+            
+            this.hideLoading();
+            this.showSuccess('Note saved successfully');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to save note:', error);
+            this.showError('Failed to save note');
+        }
+    }
+
+    /**
+     * Delete the current note
+     */
+    async deleteCurrentNote() {
+        if (!this.currentNote) return;
+
+        if (!confirm('Are you sure you want to delete this note? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            this.showLoading('Deleting note...');
+
+            await this.storage.deleteNote(this.currentNote.id);
+            
+            // Remove from local array
+            this.notes = this.notes.filter(note => note.id !== this.currentNote.id);
+            
+            this.applyCurrentFilter();
+            this.updateNotesUI();
+            this.updateTagsUI();
+            
+            // Show welcome screen if no notes
+            if (this.notes.length === 0) {
+                this.showWelcomeScreen();
+            } else {
+                this.showWelcomeScreen();
+            }
+            
+            this.currentNote = null;
+            this.hideLoading();
+            this.showSuccess('Note deleted successfully');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to delete note:', error);
+            this.showError('Failed to delete note');
+        }
+    }
+
+    /**
+     * Toggle pin status of current note
+     */
+    async togglePinNote() {
+        if (!this.currentNote) return;
+
+        this.currentNote.pinned = !this.currentNote.pinned;
+        this.updatePinButton();
+        
+        // Auto-save the change
+        await this.saveCurrentNote();
+    }
+
+    /**
+     * Toggle archive status of current note
+     */
+    async toggleArchiveNote() {
+        if (!this.currentNote) return;
+
+        this.currentNote.archived = !this.currentNote.archived;
+        this.updateArchiveButton();
+
+        // Auto-save the change
+        await this.saveCurrentNote();
+
+        // If archived, close editor to avoid editing archived note
+        if (this.currentNote.archived) {
+            this.showWelcomeScreen();
+        }
+    }
+
+    /**
+     * Handle search functionality
+     */
+    handleSearch(query) {
+        this.searchQuery = query.trim();
+        // search query updated
+        this.applyCurrentFilter();
+        this.updateNotesUI();
+    }
+
+    /**
+     * Set filter for notes
+     */
+    setFilter(filter) {
+        this.currentFilter = filter;
+        
+        // Update filter tabs
+        document.querySelectorAll('.filter-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.filter === filter);
+        });
+
+        this.applyCurrentFilter();
+        this.updateNotesUI();
+    }
+
+    /**
+     * Apply current filter and search to notes
+     */
+    applyCurrentFilter() {
+        let filtered = [...this.notes];
+
+        // Archived handling: exclude archived unless viewing archived
+        if (this.currentFilter !== 'archived') {
+            filtered = filtered.filter(note => !note.archived);
+        }
+
+        // Apply filter
+        switch (this.currentFilter) {
+            case 'pinned':
+                filtered = filtered.filter(note => note.pinned);
+                break;
+            case 'recent':
+                filtered = filtered.filter(note => {
+                    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+                    return new Date(note.updatedAt) > dayAgo;
+                });
+                break;
+            case 'archived':
+                filtered = filtered.filter(note => note.archived);
+                break;
+        }
+
+        // Apply tag filter
+        if (this.selectedTags.length > 0) {
+            filtered = filtered.filter(note => 
+                this.selectedTags.some(tag => note.tags.includes(tag))
+            );
+        }
+
+        // Apply search
+        if (this.searchQuery) {
+            filtered = this.storage.searchNotes(this.searchQuery, filtered);
+        }
+
+        this.filteredNotes = filtered;
+    }
+
+    /**
+     * Update notes list UI
+     */
+    updateNotesUI() {
+        const notesList = document.getElementById('notes-list');
+        const notesCount = document.getElementById('notes-count');
+        
+        if (notesCount) {
+            notesCount.textContent = this.filteredNotes.length;
+        }
+
+        // Handle search results display
+        if (this.searchQuery && this.searchQuery.length > 0) {
+            this.showSearchResults();
+            return;
+        }
+
+        // Hide search results when not searching
+        const searchResults = document.getElementById('search-results');
+        if (searchResults) {
+            searchResults.classList.add('hidden');
+        }
+
+        if (!notesList) return;
+
+        // On small screens, expose the sidebar/notes area when there are notes
+        try {
+            const shouldShow = this.filteredNotes.length > 0;
+            document.body.classList.toggle('has-notes', shouldShow);
+        } catch (e) {
+            // ignore
+        }
+
+        if (this.filteredNotes.length === 0) {
+            notesList.innerHTML = '<div class="no-notes">No notes found</div>';
+            // Only show welcome screen during initial load, not during updates
+            if (this.notes.length === 0 && !document.getElementById('welcome-screen').classList.contains('hidden')) {
+                this.showWelcomeScreen();
+            }
+            return;
+        }
+
+        notesList.innerHTML = this.filteredNotes.map(note => `
+            <div class="note-item ${this.currentNote && this.currentNote.id === note.id ? 'active' : ''}" 
+                 data-note-id="${note.id}">
+                <div class="note-title">
+                    ${note.pinned ? '<i class="fas fa-thumbtack pin-icon"></i>' : ''}
+                    ${note.type === 'login' ? '<i class="fas fa-key"></i>' : ''}
+                    ${this.escapeHtml(note.title || 'Untitled')}
+                </div>
+                ${note.lock
+                    ? '<div class="note-preview note-locked-preview"><i class="fas fa-lock"></i> Locked note</div>'
+                    : `<div class="note-preview">${this.escapeHtml(this.getNotePreview(note).substring(0, 100))}${this.getNotePreview(note).length > 100 ? '...' : ''}</div>`}
+                <div class="note-meta">
+                    <span>${this.formatDate(note.updatedAt)}</span>
+                    <div class="note-tags">
+                        ${note.tags.slice(0, 3).map(tag => `<span class="note-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                        ${note.tags.length > 3 ? `<span class="note-tag">+${note.tags.length - 3}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        // Add click listeners to note items
+        notesList.querySelectorAll('.note-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const noteId = item.dataset.noteId;
+                this.openNote(noteId);
+            });
+        });
+    }
+
+    /**
+     * Text shown under a note's title in lists. Credential notes show their username and
+     * website, never the password.
+     * @param {Object} note - Decrypted note that isn't locked
+     * @returns {string} - Preview text
+     */
+    getNotePreview(note) {
+        if (note.type !== 'login' || !note.fields) return note.content;
+
+        return [note.fields.username, note.fields.url, note.content].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Update tags UI
+     */
+    updateTagsUI() {
+        const tagsList = document.getElementById('tags-list');
+        const allTags = this.storage.getAllTags(this.notes);
+
+        if (allTags.length === 0) {
+            tagsList.innerHTML = '<div class="no-tags">No tags yet</div>';
+            return;
+        }
+
+        tagsList.innerHTML = allTags.map(({ tag, count }) => `
+            <span class="tag ${this.selectedTags.includes(tag) ? 'active' : ''}" data-tag="${this.escapeHtml(tag)}">
+                ${this.escapeHtml(tag)} (${count})
+            </span>
+        `).join('');
+
+        // Add click listeners to tags
+        tagsList.querySelectorAll('.tag').forEach(tagElement => {
+            tagElement.addEventListener('click', () => {
+                const tag = tagElement.dataset.tag;
+                this.toggleTagFilter(tag);
+            });
+        });
+    }
+
+    /**
+     * Toggle tag filter
+     */
+    toggleTagFilter(tag) {
+        const index = this.selectedTags.indexOf(tag);
+        if (index >= 0) {
+            this.selectedTags.splice(index, 1);
+        } else {
+            this.selectedTags.push(tag);
+        }
+
+        this.applyCurrentFilter();
+        this.updateNotesUI();
+        this.updateTagsUI();
+    }
+
+    /**
+     * Open a note for editing
+     */
+    openNote(noteId) {
+        const note = this.notes.find(n => n.id === noteId);
+        if (!note) return;
+
+        // Re-opening the unlocked note would lock it again and drop unsaved edits
+        if (this.isNoteUnlocked(note)) return;
+
+        this.relockNote();
+        this.currentNote = note;
+        this.showNoteEditor();
+        this.populateEditor(note);
+        this.updateNotesUI(); // Update to show active state
+    }
+
+    /**
+     * Populate editor with note data
+     */
+    populateEditor(note) {
+        const sealed = Boolean(note.lock);
+        const isLogin = note.type === 'login';
+        document.getElementById('note-title').value = note.title || '';
+        document.getElementById('note-content').value = sealed ? '' : (note.content || '');
+        document.getElementById('note-content').placeholder = isLogin ? 'Notes...' : 'Start writing your encrypted note...';
+        document.getElementById('tags-input').value = note.tags ? note.tags.join(', ') : '';
+        this.fillCredentialFields(sealed ? null : note.fields);
+
+        // Locked content stays hidden until the note passphrase is entered
+        document.getElementById('note-content').classList.toggle('hidden', sealed);
+        document.getElementById('credential-fields').classList.toggle('hidden', !isLogin || sealed);
+        document.getElementById('note-lock-panel').classList.toggle('hidden', !sealed);
+        document.getElementById('note-unlock-passphrase').value = '';
+        
+        this.updateLockButton();
+        this.updatePinButton();
+        this.updateArchiveButton();
+        this.updateNoteTimestamp();
+    }
+
+    /**
+     * Check whether a locked note is open and unlocked in the editor
+     * @param {Object} note - Note to check
+     * @returns {boolean} - True if its content is currently decrypted
+     */
+    isNoteUnlocked(note) {
+        return Boolean(note && note.lock && this.noteLock && this.noteLock.noteId === note.id);
+    }
+
+    /**
+     * Lock the open note again and forget its key. Called whenever the note is closed.
+     */
+    relockNote() {
+        if (!this.noteLock) return;
+
+        this.noteLock = null;
+        document.getElementById('note-content').value = '';
+        this.fillCredentialFields(null);
+    }
+
+    /**
+     * Fill the credential fields of the editor. The password starts out masked.
+     * @param {Object|null} fields - { username, password, url }, or null to empty them
+     */
+    fillCredentialFields(fields) {
+        const values = fields || {};
+        document.getElementById('credential-username').value = values.username || '';
+        document.getElementById('credential-password').value = values.password || '';
+        document.getElementById('credential-url').value = values.url || '';
+        document.getElementById('credential-totp').value = values.totp || '';
+        this.setPasswordRevealed(false);
+        this.refreshTotp();
+    }
+
+    /**
+     * Read the credential fields from the editor
+     * @returns {Object} - { username, password, url, totp }
+     */
+    readCredentialFields() {
+        return {
+            username: document.getElementById('credential-username').value.trim(),
+            password: document.getElementById('credential-password').value,
+            url: document.getElementById('credential-url').value.trim(),
+            totp: document.getElementById('credential-totp').value.trim()
+        };
+    }
+
+    /**
+     * Parse the TOTP secret in the editor and show its code, refreshed every second.
+     * Stops the refresh when the field is emptied or the note is closed.
+     */
+    refreshTotp() {
+        clearInterval(this.totpTimer);
+        this.totpTimer = null;
+        this.totpParams = null;
+
+        const input = document.getElementById('credential-totp').value;
+        const display = document.getElementById('totp-display');
+        const errorText = document.getElementById('totp-error');
+        display.classList.add('hidden');
+        errorText.classList.add('hidden');
+        if (!input.trim()) return;
+
+        try {
+            this.totpParams = Totp.parse(input);
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorText.classList.remove('hidden');
+            return;
+        }
+
+        display.classList.remove('hidden');
+        this.updateTotpCode();
+        this.totpTimer = setInterval(() => this.updateTotpCode(), 1000);
+    }
+
+    /**
+     * Show the current TOTP code and how much of its period is left
+     */
+    async updateTotpCode() {
+        const params = this.totpParams;
+        if (!params) return;
+
+        const now = Date.now();
+        const secondsLeft = Totp.secondsLeft(params.period, now);
+        const ring = document.getElementById('totp-ring-progress');
+        const circumference = 2 * Math.PI * Number(ring.getAttribute('r'));
+        ring.style.strokeDasharray = String(circumference);
+        ring.style.strokeDashoffset = String(circumference * (1 - secondsLeft / params.period));
+        document.getElementById('totp-seconds').textContent = `${secondsLeft}s`;
+
+        try {
+            const code = await Totp.generate(params, now);
+            // The secret may have changed while the code was computed
+            if (this.totpParams !== params) return;
+
+            const half = params.digits / 2;
+            document.getElementById('totp-code').textContent = `${code.slice(0, half)} ${code.slice(half)}`;
+        } catch (error) {
+            console.error('Failed to compute TOTP code:', error);
+        }
+    }
+
+    /**
+     * Copy the current TOTP code securely
+     */
+    async handleCopyTotp() {
+        if (!this.totpParams) return;
+
+        try {
+            await this.copySecurely(await Totp.generate(this.totpParams));
+        } catch (error) {
+            console.error('Failed to copy TOTP code:', error);
+            this.showError('Could not compute the code');
+        }
+    }
+
+    /**
+     * Copy one credential field securely
+     * @param {string} inputId - Id of the field to copy
+     */
+    async handleCopyField(inputId) {
+        const value = document.getElementById(inputId).value;
+        if (!value) {
+            this.showError('Nothing to copy');
+            return;
+        }
+
+        await this.copySecurely(value);
+    }
+
+    /**
+     * Show or mask the password field
+     * @param {boolean} revealed - True to show the password in plain text
+     */
+    setPasswordRevealed(revealed) {
+        const button = document.getElementById('reveal-password');
+        document.getElementById('credential-password').type = revealed ? 'text' : 'password';
+        button.title = revealed ? 'Hide Password' : 'Show Password';
+        button.querySelector('i').className = revealed ? 'fas fa-eye-slash' : 'fas fa-eye';
+    }
+
+    /**
+     * Reveal toggle for the password field
+     */
+    togglePasswordReveal() {
+        this.setPasswordRevealed(document.getElementById('credential-password').type === 'password');
+    }
+
+    /**
+     * Read this device's password generator options
+     * @returns {Object} - Options for PasswordGenerator.generate
+     */
+    getGeneratorOptions() {
+        const defaults = PasswordGenerator.defaults;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(`generator_options_${this.currentUser}`) || '{}');
+            // Options saved before the generator dialog called this excludeAmbiguous
+            if ('excludeAmbiguous' in saved && !('excludeLookalikes' in saved)) {
+                saved.excludeLookalikes = saved.excludeAmbiguous;
+            }
+            delete saved.excludeAmbiguous;
+            return { ...defaults, ...saved };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Read the options chosen in the generator dialog
+     * @returns {Object} - Options for PasswordGenerator.generate
+     */
+    readGeneratorOptions() {
+        return {
+            mode: document.getElementById('generator-mode').value,
+            length: Number(document.getElementById('generator-length').value),
+            lowercase: document.getElementById('generator-lowercase').checked,
+            uppercase: document.getElementById('generator-uppercase').checked,
+            digits: document.getElementById('generator-digits').checked,
+            symbols: document.getElementById('generator-symbols').checked,
+            requireEach: document.getElementById('generator-require-each').checked,
+            excludeLookalikes: document.getElementById('generator-exclude-lookalikes').checked,
+            custom: document.getElementById('generator-custom').value,
+            exclude: document.getElementById('generator-exclude').value
+        };
+    }
+
+    /**
+     * Open the password generator dialog with the saved options and a fresh password
+     */
+    showGenerator() {
+        const options = this.getGeneratorOptions();
+        document.getElementById('generator-mode').value = options.mode;
+        document.getElementById('generator-length').value = String(options.length);
+        document.getElementById('generator-lowercase').checked = options.lowercase;
+        document.getElementById('generator-uppercase').checked = options.uppercase;
+        document.getElementById('generator-digits').checked = options.digits;
+        document.getElementById('generator-symbols').checked = options.symbols;
+        document.getElementById('generator-require-each').checked = options.requireEach;
+        document.getElementById('generator-exclude-lookalikes').checked = options.excludeLookalikes;
+        document.getElementById('generator-custom').value = options.custom;
+        document.getElementById('generator-exclude').value = options.exclude;
+
+        this.updateGeneratorControls(options);
+        this.updateGeneratorPreview();
+        document.getElementById('generator-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Close the password generator dialog and forget the password it showed
+     */
+    hideGenerator() {
+        document.getElementById('generator-modal').classList.add('hidden');
+        document.getElementById('generator-preview').value = '';
+        document.getElementById('generator-entropy').textContent = '';
+    }
+
+    /**
+     * Pronounceable passwords are always built from lower-case letters, so that choice is fixed
+     * @param {Object} options - Options shown in the dialog
+     */
+    updateGeneratorControls(options) {
+        const pronounceable = options.mode === 'pronounceable';
+        const lowercase = document.getElementById('generator-lowercase');
+        lowercase.disabled = pronounceable;
+        if (pronounceable) lowercase.checked = true;
+        document.getElementById('generator-require-each').disabled = pronounceable;
+    }
+
+    /**
+     * Remember the changed options on this device and show a password made with them
+     */
+    handleGeneratorOptionsChange() {
+        this.updateGeneratorControls(this.readGeneratorOptions());
+        localStorage.setItem(`generator_options_${this.currentUser}`, JSON.stringify(this.readGeneratorOptions()));
+        this.updateGeneratorPreview();
+    }
+
+    /**
+     * Generate a password with the dialog's options and show its strength
+     */
+    updateGeneratorPreview() {
+        const preview = document.getElementById('generator-preview');
+        const entropy = document.getElementById('generator-entropy');
+        const options = this.readGeneratorOptions();
+
+        if (!Number.isInteger(options.length) || options.length < 4 || options.length > 128) {
+            preview.value = '';
+            entropy.textContent = 'Choose a length between 4 and 128';
+            return;
+        }
+
+        try {
+            preview.value = this.crypto.generateSecurePassword(options.length, options);
+            entropy.textContent = `About ${Math.floor(PasswordGenerator.entropyBits(options))} bits of entropy`;
+        } catch (error) {
+            preview.value = '';
+            entropy.textContent = error.message;
+        }
+    }
+
+    /**
+     * Copy the generated password with secure copy
+     */
+    async handleCopyGenerated() {
+        const password = document.getElementById('generator-preview').value;
+        if (!password) return;
+
+        await this.copySecurely(password);
+    }
+
+    /**
+     * Put the generated password into the login note's password field
+     */
+    handleUseGeneratedPassword() {
+        const password = document.getElementById('generator-preview').value;
+        if (!password) {
+            this.showError('Adjust the options to generate a password');
+            return;
+        }
+
+        document.getElementById('credential-password').value = password;
+        this.hideGenerator();
+        this.scheduleAutoSave();
+    }
+
+    /**
+     * Lock button: lock an unlocked note, or offer to remove the lock from an unlocked locked note
+     */
+    async handleLockButton() {
+        if (!this.currentNote) return;
+
+        if (!this.currentNote.lock) {
+            this.showNoteLockDialog();
+            return;
+        }
+
+        if (!this.isNoteUnlocked(this.currentNote)) {
+            document.getElementById('note-unlock-passphrase').focus();
+            return;
+        }
+
+        if (!confirm('Remove the lock from this note? Its content will only be protected by the vault passphrase.')) {
+            return;
+        }
+
+        delete this.currentNote.lock;
+        this.noteLock = null;
+        this.updateLockButton();
+        await this.saveCurrentNote();
+    }
+
+    /**
+     * Show the dialog for choosing a note passphrase
+     */
+    showNoteLockDialog() {
+        document.getElementById('note-lock-modal').classList.remove('hidden');
+        document.getElementById('note-lock-passphrase').focus();
+    }
+
+    /**
+     * Hide the note passphrase dialog and clear its fields
+     */
+    hideNoteLockDialog() {
+        document.getElementById('note-lock-modal').classList.add('hidden');
+        document.getElementById('note-lock-passphrase').value = '';
+        document.getElementById('note-lock-confirm').value = '';
+    }
+
+    /**
+     * Lock the current note with its own passphrase. It stays open until it is closed.
+     */
+    async handleLockNote() {
+        const passphrase = document.getElementById('note-lock-passphrase').value;
+        const confirmPassphrase = document.getElementById('note-lock-confirm').value;
+
+        if (!this.currentNote || this.currentNote.lock) {
+            this.hideNoteLockDialog();
+            return;
+        }
+
+        if (!passphrase.trim()) {
+            this.showError('Please enter a note passphrase');
+            return;
+        }
+
+        if (passphrase !== confirmPassphrase) {
+            this.showError('Passphrases do not match');
+            return;
+        }
+
+        this.showLoading('Locking note...');
+
+        try {
+            const { lock, crypto } = await this.crypto.createNoteLock(passphrase);
+            this.currentNote.lock = lock;
+            this.noteLock = { noteId: this.currentNote.id, crypto: crypto };
+
+            this.hideNoteLockDialog();
+            this.updateLockButton();
+            this.hideLoading();
+            await this.saveCurrentNote();
+        } catch (error) {
+            delete this.currentNote.lock;
+            this.noteLock = null;
+            this.hideLoading();
+            console.error('Failed to lock note:', error);
+            this.showError('Failed to lock note');
+        }
+    }
+
+    /**
+     * Unlock the current note's content with its passphrase
+     */
+    async handleUnlockNote() {
+        const input = document.getElementById('note-unlock-passphrase');
+        const note = this.currentNote;
+        if (!note || !note.lock || !input.value) return;
+
+        this.showLoading('Unlocking note...');
+
+        try {
+            const opened = await this.crypto.openNoteLock(note, input.value);
+            this.hideLoading();
+
+            // The user may have moved on to another note while the key was derived
+            if (this.currentNote !== note) return;
+
+            if (!opened) {
+                this.showError('Wrong passphrase for this note');
+                return;
+            }
+
+            input.value = '';
+            this.noteLock = { noteId: note.id, crypto: opened.crypto };
+            const content = document.getElementById('note-content');
+            content.value = opened.content;
+            content.classList.remove('hidden');
+            if (note.type === 'login') {
+                this.fillCredentialFields(opened.fields);
+                document.getElementById('credential-fields').classList.remove('hidden');
+            }
+            document.getElementById('note-lock-panel').classList.add('hidden');
+            this.updateLockButton();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Failed to unlock note:', error);
+            this.showError('Failed to unlock note');
+        }
+    }
+
+    /**
+     * Update lock button state
+     */
+    updateLockButton() {
+        const lockButton = document.getElementById('lock-note');
+        const isLocked = Boolean(this.currentNote && this.currentNote.lock);
+
+        lockButton.classList.toggle('active', isLocked);
+        lockButton.title = !isLocked
+            ? 'Lock Note'
+            : this.isNoteUnlocked(this.currentNote) ? 'Remove Note Lock' : 'Note is Locked';
+
+        const icon = lockButton.querySelector('i');
+        icon.className = isLocked ? 'fas fa-lock' : 'fas fa-lock-open';
+    }
+
+    /**
+     * Update pin button state
+     */
+    updatePinButton() {
+        const pinButton = document.getElementById('pin-note');
+        const isPinned = this.currentNote && this.currentNote.pinned;
+        
+        pinButton.classList.toggle('active', isPinned);
+        pinButton.title = isPinned ? 'Unpin Note' : 'Pin Note';
+        
+        const icon = pinButton.querySelector('i');
+        icon.className = isPinned ? 'fas fa-thumbtack' : 'far fa-thumbtack';
+    }
+
+    /**
+     * Update archive button state
+     */
+    updateArchiveButton() {
+        const archiveButton = document.getElementById('archive-note');
+        const isArchived = this.currentNote && this.currentNote.archived;
+
+        archiveButton.classList.toggle('active', isArchived);
+        archiveButton.title = isArchived ? 'Unarchive Note' : 'Archive Note';
+
+        const icon = archiveButton.querySelector('i');
+        icon.className = isArchived ? 'fas fa-box-open' : 'fas fa-box-archive';
+    }
+
+    /**
+     * Update note timestamp display
+     */
+    updateNoteTimestamp() {
+        const timestampElement = document.getElementById('note-timestamp');
+        if (this.currentNote) {
+            timestampElement.textContent = `Last updated: ${this.formatDate(this.currentNote.updatedAt)}`;
+        }
+    }
+
+    /**
+     * Schedule auto-save (debounced)
+     */
+    scheduleAutoSave() {
+        clearTimeout(this.autoSaveTimeout);
+        this.autoSaveTimeout = setTimeout(() => {
+            this.autoSaveTimeout = null;
+            if (this.currentNote) {
+                const saving = this.saveCurrentNote().finally(() => {
+                    if (this.autoSaving === saving) this.autoSaving = null;
+                });
+                this.autoSaving = saving;
+            }
+        }, 2000); // Auto-save after 2 seconds of inactivity
+    }
+
+    /**
+     * Run a pending auto-save immediately instead of waiting for the debounce, and wait
+     * for one that is already running: locking clears the key it encrypts with
+     */
+    async flushAutoSave() {
+        if (this.autoSaving) {
+            await this.autoSaving;
+        }
+        if (!this.autoSaveTimeout) return;
+
+        clearTimeout(this.autoSaveTimeout);
+        this.autoSaveTimeout = null;
+        if (this.currentNote) {
+            await this.saveCurrentNote();
+        }
+    }
+
+    /**
+     * Read this device's auto-lock settings
+     * @returns {Object} - { idleMinutes, hiddenMinutes, lockOnSleep }; 0 idle minutes or -1 hidden minutes turns that check off
+     */
+    getAutoLockSettings() {
+        const defaults = { idleMinutes: 15, hiddenMinutes: -1, lockOnSleep: true };
+
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(`auto_lock_${this.currentUser}`) || '{}') };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Store the auto-lock settings from the settings dialog
+     */
+    saveAutoLockSettings() {
+        const settings = {
+            idleMinutes: Number(document.getElementById('auto-lock-idle').value),
+            hiddenMinutes: Number(document.getElementById('auto-lock-hidden').value),
+            lockOnSleep: document.getElementById('auto-lock-sleep').checked
+        };
+        localStorage.setItem(`auto_lock_${this.currentUser}`, JSON.stringify(settings));
+    }
+
+    /**
+     * Start watching for idle time, a hidden tab and sleep after the vault is unlocked
+     */
+    startAutoLock() {
+        this.stopAutoLock();
+        this.lastActivity = Date.now();
+        this.lastAutoLockTick = Date.now();
+        this.hiddenSince = document.hidden ? Date.now() : null;
+        this.autoLockTimer = setInterval(() => this.checkAutoLock(), this.autoLockCheckInterval);
+    }
+
+    /**
+     * Stop the auto-lock timer
+     */
+    stopAutoLock() {
+        clearInterval(this.autoLockTimer);
+        this.autoLockTimer = null;
+    }
+
+    /**
+     * Lock if the idle, hidden-tab or sleep condition from the settings is met
+     */
+    checkAutoLock() {
+        if (!this.isAuthenticated) return;
+
+        const settings = this.getAutoLockSettings();
+        const now = Date.now();
+        const gap = now - this.lastAutoLockTick;
+        this.lastAutoLockTick = now;
+
+        const slept = settings.lockOnSleep && gap >= this.sleepGap;
+        const idle = settings.idleMinutes > 0 && now - this.lastActivity >= settings.idleMinutes * 60000;
+        const hidden = settings.hiddenMinutes >= 0 && this.hiddenSince !== null &&
+            now - this.hiddenSince >= settings.hiddenMinutes * 60000;
+
+        if (slept || idle || hidden) {
+            this.lockAfterSaving();
+        }
     }
 
     /**
-     * Update pin button state
+     * Track how long the tab is hidden, and check the auto-lock as soon as it is shown again
      */
-    updatePinButton() {
-        const pinButton = document.getElementById('pin-note');
-        const isPinned = this.currentNote && this.currentNote.pinned;
-        
-        pinButton.classList.toggle('active', isPinned);
-        pinButton.title = isPinned ? 'Unpin Note' : 'Pin Note';
-        
-        const icon = pinButton.querySelector('i');
-        icon.className = isPinned ? 'fas fa-thumbtack' : 'far fa-thumbtack';
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.hiddenSince = Date.now();
+            // "Immediately" can't wait for the next timer tick
+            if (this.isAuthenticated && this.getAutoLockSettings().hiddenMinutes === 0) {
+                this.lockAfterSaving();
+            }
+            return;
+        }
+
+        // Timers are throttled or stopped while hidden, so the last tick may be long overdue
+        this.checkAutoLock();
+        this.hiddenSince = null;
     }
 
     /**
-     * Update archive button state
+     * Lock the app after writing any pending auto-save, so no edit is lost
      */
-    updateArchiveButton() {
-        const archiveButton = document.getElementById('archive-note');
-        const isArchived = this.currentNote && this.currentNote.archived;
+    async lockAfterSaving() {
+        this.stopAutoLock();
 
-        archiveButton.classList.toggle('active', isArchived);
-        archiveButton.title = isArchived ? 'Unarchive Note' : 'Archive Note';
+        try {
+            await this.flushAutoSave();
+        } catch (error) {
+            console.error('Failed to save before locking:', error);
+        }
 
-        const icon = archiveButton.querySelector('i');
-        icon.className = isArchived ? 'fas fa-box-open' : 'fas fa-box-archive';
+        if (this.isAuthenticated) {
+            this.lockApp();
+        }
     }
 
     /**
-     * Update note timestamp display
+     * Read how long copied text stays on the clipboard on this device
+     * @returns {number} - Seconds before the clipboard is cleared
      */
-    updateNoteTimestamp() {
-        const timestampElement = document.getElementById('note-timestamp');
-        if (this.currentNote) {
-            timestampElement.textContent = `Last updated: ${this.formatDate(this.currentNote.updatedAt)}`;
+    getClipboardClearSeconds() {
+        return Number(localStorage.getItem(`clipboard_clear_${this.currentUser}`)) || 30;
+    }
+
+    /**
+     * Copy the selected text of the focused editor field, or the whole field when nothing
+     * is selected. Falls back to the note content when no field has focus.
+     */
+    async handleSecureCopy() {
+        if (!this.currentNote) return;
+
+        const active = document.activeElement;
+        const field = active && active.matches('#note-title, #note-content, #note-editor [data-secure-copy]')
+            ? active
+            : document.getElementById('note-content');
+        const selected = field.value.substring(field.selectionStart, field.selectionEnd);
+        const text = selected || field.value;
+
+        if (!text) {
+            this.showError('Nothing to copy');
+            return;
         }
+
+        await this.copySecurely(text);
     }
 
     /**
-     * Schedule auto-save (debounced)
+     * Copy text to the clipboard, clear it after the configured time and count down in a toast
+     * @param {string} text - Text to copy
      */
-    scheduleAutoSave() {
-        clearTimeout(this.autoSaveTimeout);
-        this.autoSaveTimeout = setTimeout(() => {
-            if (this.currentNote) {
-                this.saveCurrentNote();
+    async copySecurely(text) {
+        const seconds = this.getClipboardClearSeconds();
+        const countdown = (secondsLeft) => secondsLeft > 0
+            ? `Copied. Clipboard clears in ${secondsLeft}s`
+            : 'Copied. Clipboard clears when you return to this window';
+
+        try {
+            if (!this.clipboardToast || !this.clipboardToast.parentNode) {
+                this.clipboardToast = this.showSuccess(countdown(seconds), 0);
             }
-        }, 2000); // Auto-save after 2 seconds of inactivity
+            const toast = this.clipboardToast;
+
+            await this.clipboard.copy(text, seconds, {
+                onTick: (secondsLeft) => {
+                    toast.textContent = countdown(secondsLeft);
+                },
+                onDone: (result) => {
+                    toast.textContent = result === 'cleared' ? 'Clipboard cleared' : 'Clipboard changed since copying, left as is';
+                    setTimeout(() => this.dismissToast(toast), 1500);
+                    if (this.clipboardToast === toast) this.clipboardToast = null;
+                }
+            });
+        } catch (error) {
+            console.error('Secure copy failed:', error);
+            if (this.clipboardToast) {
+                this.dismissToast(this.clipboardToast);
+                this.clipboardToast = null;
+            }
+            this.showError('Could not copy to the clipboard');
+        }
     }
 
     /**
@@ -877,8 +2861,34 @@ class SecureNotesApp {
             document.getElementById('search-input').focus();
         }
 
-        // Escape: Close editor
+        // Ctrl/Cmd + Alt + C: Copy the selection or field securely
+        if ((e.ctrlKey || e.metaKey) && e.altKey && e.code === 'KeyC') {
+            e.preventDefault();
+            this.handleSecureCopy();
+        }
+
+        // Escape: Close settings, the audit, the generator or an import preview, otherwise the editor
         if (e.key === 'Escape') {
+            if (!document.getElementById('settings-modal').classList.contains('hidden')) {
+                this.hideSettings();
+                return;
+            }
+            if (!document.getElementById('audit-modal').classList.contains('hidden')) {
+                this.hideAudit();
+                return;
+            }
+            if (!document.getElementById('generator-modal').classList.contains('hidden')) {
+                this.hideGenerator();
+                return;
+            }
+            if (!document.getElementById('import-modal').classList.contains('hidden')) {
+                this.hideImportPreview();
+                return;
+            }
+            if (!document.getElementById('kdbx-modal').classList.contains('hidden')) {
+                this.hideKdbxDialog();
+                return;
+            }
             this.showWelcomeScreen();
         }
     }
@@ -887,7 +2897,16 @@ class SecureNotesApp {
      * Lock the application
      */
     lockApp() {
+        this.stopAutoLock();
+        this.forgetSession();
+        clearTimeout(this.autoSaveTimeout);
+        this.autoSaveTimeout = null;
         this.isAuthenticated = false;
+        this.vaultId = null;
+        this.relockNote();
+        this.hideNoteLockDialog();
+        this.clipboard.clear();
+        this.fillCredentialFields(null);
         this.crypto.clear();
         this.notes = [];
         this.filteredNotes = [];
@@ -897,6 +2916,21 @@ class SecureNotesApp {
         
         // Clear search input
         document.getElementById('search-input').value = '';
+
+        // Close settings and drop any passphrases typed into it
+        this.hideSettings();
+        this.hideAudit();
+        this.hideGenerator();
+        this.hideImportPreview();
+        this.hideKdbxDialog();
+        this.hideRecoveryKey();
+        [
+            'current-passphrase', 'new-passphrase', 'confirm-new-passphrase', 'recovery-passphrase', 'keyfile-passphrase',
+            'decoy-current-passphrase', 'decoy-passphrase', 'confirm-decoy-passphrase'
+        ].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.clearKeyfileInput('settings-keyfile', 'settings-keyfile-name');
         
         this.showLoginScreen();
     }
@@ -907,7 +2941,9 @@ class SecureNotesApp {
     showSetupScreen() {
         document.getElementById('setup-screen').classList.add('active');
         document.getElementById('login-screen').classList.remove('active');
+        document.getElementById('recovery-screen').classList.remove('active');
         document.getElementById('main-screen').classList.remove('active');
+        document.getElementById('restore-screen').classList.remove('active');
         document.getElementById('setup-passphrase').focus();
     }
 
@@ -917,17 +2953,48 @@ class SecureNotesApp {
     showLoginScreen() {
         document.getElementById('setup-screen').classList.remove('active');
         document.getElementById('login-screen').classList.add('active');
+        document.getElementById('recovery-screen').classList.remove('active');
         document.getElementById('main-screen').classList.remove('active');
+        document.getElementById('restore-screen').classList.remove('active');
+        document.getElementById('login-keyfile-group').classList.toggle('hidden', !this.crypto.requiresKeyfile(this.currentUser));
+        this.updateLoginBackoff();
         document.getElementById('passphrase').focus();
     }
 
+    /**
+     * Show recovery screen for users who forgot their passphrase
+     */
+    showRecoveryScreen() {
+        document.getElementById('setup-screen').classList.remove('active');
+        document.getElementById('login-screen').classList.remove('active');
+        document.getElementById('recovery-screen').classList.add('active');
+        document.getElementById('main-screen').classList.remove('active');
+        document.getElementById('restore-screen').classList.remove('active');
+        document.getElementById('recovery-key-input').focus();
+    }
+
+    /**
+     * Show the screen that restores a vault from a backup file
+     */
+    showRestoreScreen() {
+        document.getElementById('setup-screen').classList.remove('active');
+        document.getElementById('login-screen').classList.remove('active');
+        document.getElementById('recovery-screen').classList.remove('active');
+        document.getElementById('main-screen').classList.remove('active');
+        document.getElementById('restore-screen').classList.add('active');
+        document.getElementById('restore-file').focus();
+    }
+
     /**
      * Show main application screen
      */
     showMainScreen() {
         document.getElementById('setup-screen').classList.remove('active');
         document.getElementById('login-screen').classList.remove('active');
+        document.getElementById('recovery-screen').classList.remove('active');
         document.getElementById('main-screen').classList.add('active');
+        document.getElementById('restore-screen').classList.remove('active');
+        this.startAutoLock();
         
         if (this.notes.length === 0) {
             this.showWelcomeScreen();
@@ -940,6 +3007,8 @@ class SecureNotesApp {
     showWelcomeScreen() {
         document.getElementById('welcome-screen').classList.remove('hidden');
         document.getElementById('note-editor').classList.add('hidden');
+        this.relockNote();
+        this.fillCredentialFields(null);
         this.currentNote = null;
         // Update note list without triggering welcome screen again
         const notesList = document.getElementById('notes-list');
@@ -1045,8 +3114,11 @@ class SecureNotesApp {
 
     /**
      * Show success message
+     * @param {string} message - Message to show
+     * @param {number} duration - Milliseconds before it disappears, 0 to keep it until dismissed
+     * @returns {HTMLElement} - The toast, so its text can be updated
      */
-    showSuccess(message) {
+    showSuccess(message, duration = 3000) {
         // show success toast
         
         // Create a success toast notification
@@ -1069,41 +3141,104 @@ class SecureNotesApp {
         
         document.body.appendChild(toast);
         
-        // Auto-remove after 3 seconds
+        // Auto-remove after 3 seconds unless told otherwise
+        if (duration > 0) {
+            setTimeout(() => this.dismissToast(toast), duration);
+        }
+        return toast;
+    }
+
+    /**
+     * Slide a toast out and remove it
+     * @param {HTMLElement} toast - Toast returned by showSuccess
+     */
+    dismissToast(toast) {
+        toast.style.animation = 'slideIn 0.3s ease-out reverse';
         setTimeout(() => {
-            toast.style.animation = 'slideIn 0.3s ease-out reverse';
-            setTimeout(() => {
-                if (toast.parentNode) {
-                    toast.parentNode.removeChild(toast);
-                }
-            }, 300);
-        }, 3000);
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 300);
     }
 
     /**
-     * Export encrypted data to a file
+     * Export the open vault as a .snbackup file: its header, encrypted notes, encrypted settings
+     * and a sealed manifest of the notes
      */
     async handleExport() {
+        const header = this.crypto.getVaultHeader(this.vaultId);
+        if (!header) {
+            this.showError('Unlock the vault again before exporting a backup');
+            return;
+        }
+
         try {
-            const data = await this.storage.exportData();
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
+            this.showLoading('Preparing backup...');
+            await this.flushAutoSave();
+
+            // Only this vault's notes; the other vault's share the database but not the backup
+            const data = await this.storage.exportData(this.notes.map(note => note.id));
+            const settings = await this.crypto.sealBackupSettings(this.collectDeviceSettings());
+            const revisions = Object.fromEntries(this.notes.map(note => [note.id, note.revision || 0]));
+            const manifest = await Backup.createManifest(this.crypto.keyId, data.notes, revisions, settings);
+            const sealedManifest = await this.crypto.sealBackupManifest(manifest);
+            const blob = await Backup.encode(Backup.create(header, data.notes, settings, sealedManifest));
+
             const date = new Date().toISOString().replace(/[:.]/g, '-');
-            a.download = `securenotes-backup-${date}.json`;
-            document.body.appendChild(a);
-            a.click();
-            a.remove();
-            URL.revokeObjectURL(url);
-            this.showSuccess('Backup exported');
+            this.downloadBlob(blob, `securenotes-backup-${date}.snbackup`);
+            this.showSuccess(`Backup of ${data.notes.length} notes exported`);
         } catch (e) {
+            console.error('Export failed:', e);
             this.showError('Failed to export backup');
+        } finally {
+            this.hideLoading();
         }
     }
 
     /**
-     * Handle import button file selection
+     * Read the device settings that go into a backup
+     * @returns {Object} - Raw localStorage values by setting name
+     */
+    collectDeviceSettings() {
+        const settings = {};
+        this.backupSettings.forEach(name => {
+            const value = localStorage.getItem(`${name}_${this.currentUser}`);
+            if (value !== null) settings[name] = value;
+        });
+        return settings;
+    }
+
+    /**
+     * Store device settings from a backup for this device's user
+     * @param {Object} settings - Raw localStorage values by setting name
+     */
+    applyDeviceSettings(settings) {
+        this.backupSettings.forEach(name => {
+            if (typeof settings[name] === 'string') {
+                localStorage.setItem(`${name}_${this.currentUser}`, settings[name]);
+            }
+        });
+    }
+
+    /**
+     * Save a blob to the user's downloads
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Handle import button file selection: a .snbackup of this vault, or an older JSON export.
+     * Nothing is imported until the user has seen the preview and picked a merge strategy.
      */
     async handleImportFile(event) {
         const file = event.target.files && event.target.files[0];
@@ -1111,18 +3246,35 @@ class SecureNotesApp {
 
         try {
             this.showLoading('Importing data...');
-            const text = await file.text();
-            const data = JSON.parse(text);
-            const success = await this.storage.importData(data);
-            if (success) {
-                await this.loadNotes();
-                this.showSuccess('Import completed');
+            const bytes = new Uint8Array(await file.arrayBuffer());
+
+            let data;
+            if (Backup.isBackup(bytes)) {
+                const backup = await Backup.decode(bytes);
+                // Notes only decrypt under the key that wrote them, and only that key opens the header's state
+                const state = await this.crypto.openVaultState(backup.header);
+                if (!state || state.keyId !== this.crypto.keyId) {
+                    this.showError('This backup is of another vault or an older vault key. Restore it from the setup screen instead.');
+                    return;
+                }
+                const checked = await this.checkBackupManifest(backup, this.crypto);
+                if (!checked) return;
+                data = { notes: checked.notes };
             } else {
-                this.showError('Import failed');
+                data = JSON.parse(new TextDecoder().decode(bytes));
+            }
+
+            if (!data || typeof data !== 'object' || !Array.isArray(data.notes)) {
+                this.showError('This file has no notes to import');
+                return;
             }
+
+            this.importPreview = await this.buildImportPreview(data);
+            this.hideLoading();
+            this.showImportPreview();
         } catch (e) {
             console.error(e);
-            this.showError('Invalid import file');
+            this.showError(e instanceof SyntaxError ? 'Invalid import file' : e.message);
         } finally {
             this.hideLoading();
             // reset input
@@ -1130,6 +3282,395 @@ class SecureNotesApp {
         }
     }
 
+    /**
+     * Convert notes exported from other apps and preview them like any other import.
+     * KeePass databases first ask for their master password.
+     * @param {Event} event - Change event of the file or folder input
+     */
+    async handleImportOtherApps(event) {
+        const files = Array.from(event.target.files || []);
+        event.target.value = '';
+        if (files.length === 0) return;
+
+        const databases = files.filter(file => /\.kdbx$/i.test(file.name));
+        if (databases.length > 0) {
+            this.pendingImportFiles = files;
+            document.getElementById('kdbx-files').textContent = databases.map(file => file.name).join(', ');
+            document.getElementById('kdbx-modal').classList.remove('hidden');
+            document.getElementById('kdbx-password').focus();
+            return;
+        }
+
+        await this.previewConvertedImport(files, []);
+    }
+
+    /**
+     * Open the chosen KeePass databases with the master password, then preview the import
+     */
+    async handleOpenKdbx() {
+        const files = this.pendingImportFiles;
+        const password = document.getElementById('kdbx-password').value;
+        if (!files) return;
+        if (!password) {
+            this.showError('Enter the master password of the KeePass database');
+            return;
+        }
+
+        const databases = [];
+        this.showLoading('Opening KeePass database...');
+        for (const file of files.filter(f => /\.kdbx$/i.test(f.name))) {
+            try {
+                const converted = await Kdbx.read(new Uint8Array(await file.arrayBuffer()), password);
+                if (!converted) {
+                    this.hideLoading();
+                    this.showError(`Wrong master password for ${file.name}`);
+                    return;
+                }
+                databases.push(converted);
+            } catch (error) {
+                console.error('Failed to open KeePass database:', error);
+                databases.push({ notes: [], skipped: [{ label: file.name, reason: error.message }] });
+            }
+        }
+
+        this.hideKdbxDialog();
+        await this.previewConvertedImport(files.filter(f => !/\.kdbx$/i.test(f.name)), databases);
+    }
+
+    /**
+     * Close the KeePass dialog and forget the password and files
+     */
+    hideKdbxDialog() {
+        document.getElementById('kdbx-modal').classList.add('hidden');
+        document.getElementById('kdbx-password').value = '';
+        document.getElementById('kdbx-files').textContent = '';
+        this.pendingImportFiles = null;
+    }
+
+    /**
+     * Convert files from other apps, add the entries of opened KeePass databases and show the preview
+     * @param {Array<File>} files - Files for NoteImporter
+     * @param {Array<Object>} databases - { notes, skipped } of each opened KeePass database
+     */
+    async previewConvertedImport(files, databases) {
+        try {
+            this.showLoading('Converting notes...');
+            const result = await NoteImporter.convert(files);
+            databases.forEach(converted => NoteImporter.addConverted(result, 'KeePass', converted));
+            const notes = result.notes.map(note => ({ ...note, id: this.storage.generateId(), revision: 0 }));
+
+            this.importPreview = {
+                ...NoteMerge.compare(notes, this.notes),
+                invalid: result.skipped,
+                settings: [],
+                skippedSettings: [],
+                sources: result.sources
+            };
+            this.hideLoading();
+            this.showImportPreview();
+        } catch (e) {
+            console.error('Conversion failed:', e);
+            this.hideLoading();
+            this.showError('Could not convert these files');
+        }
+    }
+
+    /**
+     * Dry run of an import: validate every note, decrypt it and compare it with the vault
+     * @param {Object} data - { notes, settings } from a backup or an older JSON export
+     * @returns {Promise<Object>} - NoteMerge.compare() result plus invalid: [{ label, reason }],
+     * the settings to import and skippedSettings: [{ label, reason }]
+     */
+    async buildImportPreview(data) {
+        const incoming = [];
+        const invalid = [];
+        const seen = new Set();
+
+        for (const [index, record] of data.notes.entries()) {
+            const label = record && typeof record.id === 'string' ? record.id : `#${index + 1}`;
+            let reason = NoteMerge.validateRecord(record);
+            if (!reason && seen.has(record.id)) {
+                reason = 'Appears more than once in the file';
+            }
+
+            let note = null;
+            if (!reason) {
+                try {
+                    note = await this.crypto.decryptNote(record);
+                    reason = NoteMerge.validateNote(note);
+                } catch (error) {
+                    reason = 'Does not decrypt with this vault key';
+                }
+            }
+
+            if (reason) {
+                invalid.push({ label: label, reason: reason });
+            } else {
+                seen.add(record.id);
+                incoming.push(note);
+            }
+        }
+
+        // Only the device settings a backup carries are taken; anything else could be app state
+        const settings = [];
+        const skippedSettings = [];
+        (Array.isArray(data.settings) ? data.settings : []).forEach((setting, index) => {
+            const valid = setting && typeof setting === 'object' && typeof setting.key === 'string';
+            const label = valid ? `Setting "${setting.key}"` : `Setting #${index + 1}`;
+            if (!valid || typeof setting.value !== 'string') {
+                skippedSettings.push({ label: label, reason: 'Setting is damaged' });
+            } else if (!this.backupSettings.includes(setting.key)) {
+                skippedSettings.push({ label: label, reason: 'Not a setting that can be imported' });
+            } else {
+                settings.push({ key: setting.key, value: setting.value });
+            }
+        });
+
+        return {
+            ...NoteMerge.compare(incoming, this.notes),
+            invalid: invalid,
+            settings: settings,
+            skippedSettings: skippedSettings
+        };
+    }
+
+    /**
+     * Show the dry run of the import being previewed: new, identical, conflicting and invalid notes
+     */
+    showImportPreview() {
+        const preview = this.importPreview;
+        const title = (note) => this.escapeHtml(note.title || 'Untitled');
+        const section = (heading, hint, items) => `
+            <section class="settings-section">
+                <h4>${heading} (${items.length})</h4>
+                ${items.length ? `<p class="settings-hint">${hint}</p><ul class="audit-list">${items.join('')}</ul>` : '<p class="settings-hint">None.</p>'}
+            </section>
+        `;
+        const conflict = ({ incoming, existing }) => {
+            const newer = NoteMerge.isNewer({ incoming, existing }) ? 'file' : 'vault';
+            return `<li>${title(existing)} <span class="settings-hint">In the vault: ${this.escapeHtml(this.formatDate(existing.updatedAt))}` +
+                `${newer === 'vault' ? ' (newer)' : ''} · In the file: ${this.escapeHtml(this.formatDate(incoming.updatedAt))}` +
+                `${newer === 'file' ? ' (newer)' : ''}</span></li>`;
+        };
+
+        const total = preview.added.length + preview.identical.length + preview.conflicts.length + preview.invalid.length;
+        let summary = `The file holds ${total} ${total === 1 ? 'note' : 'notes'}. Nothing has been imported yet.`;
+        if (preview.sources) {
+            const converted = Object.entries(preview.sources).map(([source, count]) => `${count} from ${source}`);
+            summary = `Converted ${preview.added.length} ${preview.added.length === 1 ? 'note' : 'notes'}` +
+                `${converted.length ? ` (${converted.join(', ')})` : ''}; ${preview.invalid.length} skipped. Nothing has been imported yet.`;
+        }
+        if (preview.settings.length) {
+            summary += ` ${preview.settings.length} stored ${preview.settings.length === 1 ? 'setting' : 'settings'} will be imported too.`;
+        }
+        document.getElementById('import-summary').textContent = summary;
+
+        document.getElementById('import-report').innerHTML =
+            section('New Notes', 'Not in the vault yet. These are added.', preview.added.map(note => `<li>${title(note)}</li>`)) +
+            section('Conflicts', 'In the vault with different contents. The merge strategy below decides which copy stays.',
+                preview.conflicts.map(conflict)) +
+            section('Identical Notes', 'Already in the vault. These are skipped.', preview.identical.map(note => `<li>${title(note)}</li>`)) +
+            section('Skipped', 'These fail validation or can\'t be converted, and are not imported.',
+                [...preview.invalid, ...preview.skippedSettings].map(entry =>
+                    `<li>${this.escapeHtml(entry.label)} <span class="settings-hint">${this.escapeHtml(entry.reason)}</span></li>`));
+
+        document.getElementById('import-strategy-section').classList.toggle('hidden', preview.conflicts.length === 0);
+        document.getElementById('import-apply').disabled = preview.added.length + preview.conflicts.length === 0 && !preview.settings.length;
+        document.getElementById('import-modal').classList.remove('hidden');
+    }
+
+    /**
+     * Hide the import preview and drop its decrypted notes
+     */
+    hideImportPreview() {
+        document.getElementById('import-modal').classList.add('hidden');
+        document.getElementById('import-report').innerHTML = '';
+        document.getElementById('import-summary').textContent = '';
+        this.importPreview = null;
+    }
+
+    /**
+     * Import the previewed notes with the chosen merge strategy, keeping their timestamps
+     */
+    async handleApplyImport() {
+        const preview = this.importPreview;
+        if (!preview) return;
+        const strategy = document.querySelector('input[name="import-strategy"]:checked').value;
+
+        try {
+            this.showLoading('Importing notes...');
+            const result = NoteMerge.resolve(preview, strategy, () => this.storage.generateId());
+            const notes = [];
+            for (const note of result.notes) {
+                notes.push(await this.crypto.encryptNote(note));
+            }
+
+            const success = await this.storage.importData({ notes: notes });
+            if (!success) {
+                this.hideLoading();
+                this.showError('Import failed');
+                return;
+            }
+            this.applyDeviceSettings(Object.fromEntries(preview.settings.map(setting => [setting.key, setting.value])));
+
+            this.hideImportPreview();
+            await this.loadNotes();
+            this.hideLoading();
+
+            const parts = [`${result.added} added`];
+            if (result.replaced) parts.push(`${result.replaced} replaced`);
+            if (result.duplicated) parts.push(`${result.duplicated} kept as copies`);
+            if (result.kept) parts.push(`${result.kept} left as they were`);
+            if (result.identical) parts.push(`${result.identical} already up to date`);
+            if (preview.invalid.length) parts.push(`${preview.invalid.length} skipped`);
+            this.showSuccess(`Import completed: ${parts.join(', ')}`);
+        } catch (error) {
+            this.hideLoading();
+            console.error('Import failed:', error);
+            this.showError('Import failed');
+        }
+    }
+
+    /**
+     * Verify a backup against its manifest before anything from it is applied. Mismatches are
+     * reported, and only the notes that match the manifest are kept if the user goes on.
+     * @param {Object} backup - Decoded backup
+     * @param {CryptoManager} backupCrypto - Manager holding the backup's vault key
+     * @returns {Promise<Object|null>} - { notes, settings } to apply, or null to stop
+     */
+    async checkBackupManifest(backup, backupCrypto) {
+        if (!backup.manifest) {
+            const proceed = confirm('This backup was made before backups had a manifest, so missing or altered notes cannot be detected. Continue?');
+            return proceed ? { notes: backup.notes, settings: backup.settings } : null;
+        }
+
+        const manifest = await backupCrypto.openBackupManifest(backup.manifest);
+        if (!manifest || manifest.keyId !== backupCrypto.keyId || !Array.isArray(manifest.notes)) {
+            this.showError('This backup has been tampered with: its manifest does not verify. Nothing was changed.');
+            return null;
+        }
+
+        const report = await Backup.verifyManifest(manifest, backup);
+        const problems = [
+            [report.missing.length, 'missing'],
+            [report.changed.length, 'changed'],
+            [report.added.length, 'added']
+        ].filter(([count]) => count > 0).map(([count, kind]) => `${count} ${count === 1 ? 'note' : 'notes'} ${kind}`);
+        if (report.settingsChanged) problems.push('settings changed');
+
+        if (problems.length > 0) {
+            const proceed = confirm(
+                `This backup does not match its manifest (${problems.join(', ')}). ` +
+                `It may have been tampered with since ${new Date(manifest.createdAt).toLocaleString()}.\n\n` +
+                `Continue with only the ${report.verified.length} ${report.verified.length === 1 ? 'note that matches' : 'notes that match'}` +
+                `${report.settingsChanged ? ', without the settings' : ''}?`
+            );
+            if (!proceed) return null;
+        }
+
+        return { notes: report.verified, settings: report.settingsChanged ? null : backup.settings };
+    }
+
+    /**
+     * Read the backup chosen on the restore screen and ask for a keyfile if it needs one
+     */
+    async handleRestoreFileChosen() {
+        const file = document.getElementById('restore-file').files[0];
+        const info = document.getElementById('restore-file-info');
+        this.restoreBackup = null;
+        info.textContent = '';
+        document.getElementById('restore-keyfile-group').classList.add('hidden');
+        if (!file) return;
+
+        try {
+            const backup = await Backup.decode(new Uint8Array(await file.arrayBuffer()));
+            this.restoreBackup = backup;
+            info.textContent = `Backup from ${new Date(backup.createdAt).toLocaleString()} with ${backup.notes.length} notes`;
+            document.getElementById('restore-keyfile-group').classList.toggle('hidden', !Backup.requiresKeyfile(backup));
+        } catch (error) {
+            console.error('Failed to read backup:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Restore the vault from the chosen backup with its passphrase, replacing any vault on this device
+     */
+    async handleRestore() {
+        const backup = this.restoreBackup;
+        const passphrase = document.getElementById('restore-passphrase').value;
+
+        if (!backup) {
+            this.showError('Choose a backup file');
+            return;
+        }
+        if (!passphrase.trim()) {
+            this.showError('Please enter the passphrase of the backed up vault');
+            return;
+        }
+
+        let keyfileHash = null;
+        if (Backup.requiresKeyfile(backup)) {
+            keyfileHash = await this.readKeyfileHash('restore-keyfile');
+            if (!keyfileHash) {
+                this.showError('This backup also needs its keyfile. Choose it to restore.');
+                return;
+            }
+        }
+
+        if (localStorage.getItem(`user_vault_${this.currentUser}`) &&
+            !confirm('Restoring replaces the vault on this device and deletes its notes. Continue?')) {
+            return;
+        }
+
+        this.showLoading('Restoring your vault...');
+
+        try {
+            this.crypto.sessionMinutes = this.getRememberMinutes();
+            const opened = await this.crypto.openBackup(backup.header, passphrase, keyfileHash);
+            if (!opened) {
+                this.hideLoading();
+                this.showError('Wrong passphrase or keyfile for this backup.');
+                return;
+            }
+
+            // Nothing on this device changes until the backup has been checked
+            this.hideLoading();
+            const checked = await this.checkBackupManifest(backup, opened.crypto);
+            if (!checked) return;
+            this.showLoading('Restoring your vault...');
+
+            await this.crypto.restoreVault(backup.header, opened, keyfileHash, this.currentUser);
+            localStorage.setItem(`user_vault_${this.currentUser}`, 'true');
+            localStorage.setItem('current_user', this.currentUser);
+            if (checked.settings) {
+                this.applyDeviceSettings(await this.crypto.openBackupSettings(checked.settings));
+            }
+            // Notes without encrypted metadata are filed under the user id of the device that made the backup
+            await this.storage.restoreNotes(checked.notes.map(note => note.userId ? { ...note, userId: this.currentUser } : note));
+
+            this.resetFailedUnlocks();
+            await this.rememberSession();
+            this.vaultId = this.crypto.vaultId;
+            this.isAuthenticated = true;
+            await this.loadNotes();
+            this.showMainScreen();
+            this.hideLoading();
+
+            document.getElementById('restore-passphrase').value = '';
+            document.getElementById('restore-file').value = '';
+            document.getElementById('restore-keyfile').value = '';
+            document.getElementById('restore-file-info').textContent = '';
+            this.restoreBackup = null;
+
+            this.showSuccess(`Vault restored with ${this.notes.length} notes`);
+        } catch (error) {
+            this.hideLoading();
+            console.error('Restore failed:', error);
+            this.showError('Restore failed. Please try again.');
+        }
+    }
+
     /**
      * Clear all data from storage
      */
@@ -1205,10 +3746,11 @@ class SecureNotesApp {
             <div class="search-result-card" data-note-id="${note.id}">
                 <div class="search-result-title">
                     ${note.pinned ? '<i class="fas fa-thumbtack pin-icon"></i>' : ''}
+                    ${note.type === 'login' ? '<i class="fas fa-key"></i>' : ''}
                     ${this.escapeHtml(note.title || 'Untitled')}
                 </div>
                 <div class="search-result-content">
-                    ${this.escapeHtml(note.content)}
+                    ${note.lock ? '<i class="fas fa-lock"></i> Locked note' : this.escapeHtml(this.getNotePreview(note))}
                 </div>
                 <div class="search-result-meta">
                     <span>${this.formatDate(note.updatedAt)}</span>
@@ -1232,12 +3774,12 @@ class SecureNotesApp {
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Escape HTML to prevent XSS. Quotes are escaped too, so the result is safe in attributes.
      */
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
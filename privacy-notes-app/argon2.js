@@ -0,0 +1,506 @@
+/**
+ * Argon2 Module - Pure JavaScript Argon2id/Argon2d (RFC 9106) and BLAKE2b (RFC 7693)
+ * Used as the memory-hard KDF for vault key slots; runs entirely in the browser
+ */
+
+// 64-bit words are stored as little-endian pairs of 32-bit halves: [lo, hi]
+const BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+const BLAKE2B_SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3]
+];
+
+const ARGON2_BLOCK_WORDS = 256; // 1024-byte block as 32-bit halves
+const ARGON2_SYNC_POINTS = 4;
+
+/**
+ * Adds the 64-bit word at v[b] into v[a] (both word offsets into a Uint32Array)
+ */
+function add64(v, a, b) {
+    const lo = v[a] + v[b];
+    v[a + 1] = v[a + 1] + v[b + 1] + (lo > 0xffffffff ? 1 : 0);
+    v[a] = lo;
+}
+
+/**
+ * Adds a 64-bit value given as halves into v[a]
+ */
+function add64Value(v, a, lo, hi) {
+    const sum = v[a] + lo;
+    v[a + 1] = v[a + 1] + hi + (sum > 0xffffffff ? 1 : 0);
+    v[a] = sum;
+}
+
+/**
+ * v[d] = rotr64(v[d] ^ v[a], n) for the rotations BLAKE2b uses
+ */
+function xorRotr64(v, d, a, n) {
+    const lo = v[d] ^ v[a];
+    const hi = v[d + 1] ^ v[a + 1];
+    if (n === 32) {
+        v[d] = hi;
+        v[d + 1] = lo;
+    } else if (n === 63) {
+        v[d] = (lo << 1) | (hi >>> 31);
+        v[d + 1] = (hi << 1) | (lo >>> 31);
+    } else {
+        v[d] = (lo >>> n) | (hi << (32 - n));
+        v[d + 1] = (hi >>> n) | (lo << (32 - n));
+    }
+}
+
+/**
+ * BLAKE2b compression of one 128-byte block held in m (32 halves)
+ */
+function blake2bCompress(h, m, counter, last) {
+    const v = new Uint32Array(32);
+    v.set(h);
+    v.set(BLAKE2B_IV, 16);
+    v[24] ^= counter >>> 0;
+    v[25] ^= Math.floor(counter / 0x100000000);
+    if (last) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+
+    const mix = (a, b, c, d, x, y) => {
+        add64(v, a, b);
+        add64Value(v, a, m[x], m[x + 1]);
+        xorRotr64(v, d, a, 32);
+        add64(v, c, d);
+        xorRotr64(v, b, c, 24);
+        add64(v, a, b);
+        add64Value(v, a, m[y], m[y + 1]);
+        xorRotr64(v, d, a, 16);
+        add64(v, c, d);
+        xorRotr64(v, b, c, 63);
+    };
+
+    for (let round = 0; round < 12; round++) {
+        const s = BLAKE2B_SIGMA[round];
+        mix(0, 8, 16, 24, s[0] * 2, s[1] * 2);
+        mix(2, 10, 18, 26, s[2] * 2, s[3] * 2);
+        mix(4, 12, 20, 28, s[4] * 2, s[5] * 2);
+        mix(6, 14, 22, 30, s[6] * 2, s[7] * 2);
+        mix(0, 10, 20, 30, s[8] * 2, s[9] * 2);
+        mix(2, 12, 22, 24, s[10] * 2, s[11] * 2);
+        mix(4, 14, 16, 26, s[12] * 2, s[13] * 2);
+        mix(6, 8, 18, 28, s[14] * 2, s[15] * 2);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        h[i] ^= v[i] ^ v[i + 16];
+    }
+}
+
+/**
+ * BLAKE2b hash (unkeyed)
+ * @param {Uint8Array} input - Message
+ * @param {number} outLength - Digest length in bytes (1-64)
+ * @returns {Uint8Array} - Digest
+ */
+function blake2b(input, outLength = 64) {
+    const h = new Uint32Array(BLAKE2B_IV);
+    h[0] ^= 0x01010000 ^ outLength;
+
+    const block = new Uint8Array(128);
+    const words = new Uint32Array(32);
+    const view = new DataView(block.buffer);
+    let offset = 0;
+
+    do {
+        const chunk = input.subarray(offset, offset + 128);
+        const last = offset + 128 >= input.length;
+        block.fill(0);
+        block.set(chunk);
+        for (let i = 0; i < 32; i++) {
+            words[i] = view.getUint32(i * 4, true);
+        }
+        offset += chunk.length;
+        blake2bCompress(h, words, offset, last);
+    } while (offset < input.length);
+
+    const out = new Uint8Array(64);
+    const outView = new DataView(out.buffer);
+    for (let i = 0; i < 16; i++) {
+        outView.setUint32(i * 4, h[i], true);
+    }
+    return out.slice(0, outLength);
+}
+
+/**
+ * Concatenates byte arrays
+ */
+function concatBytes(...parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Little-endian 32-bit encoding
+ */
+function le32(value) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value, true);
+    return out;
+}
+
+/**
+ * Argon2's variable-length hash H' built from BLAKE2b
+ */
+function blake2bLong(input, outLength) {
+    const prefixed = concatBytes(le32(outLength), input);
+    if (outLength <= 64) {
+        return blake2b(prefixed, outLength);
+    }
+
+    const out = new Uint8Array(outLength);
+    let v = blake2b(prefixed, 64);
+    out.set(v.subarray(0, 32), 0);
+    let offset = 32;
+    while (outLength - offset > 64) {
+        v = blake2b(v, 64);
+        out.set(v.subarray(0, 32), offset);
+        offset += 32;
+    }
+    out.set(blake2b(v, outLength - offset), offset);
+    return out;
+}
+
+/**
+ * High 32 bits of the 64-bit product of two unsigned 32-bit values
+ */
+function mulHi32(a, b) {
+    // The double product is within 2^11 of the exact value, far less than 2^32,
+    // so subtracting the exact low half and rounding recovers the high half
+    return Math.round((a * b - (Math.imul(a, b) >>> 0)) / 4294967296);
+}
+
+/**
+ * Argon2's G function on four 64-bit words of v: BLAKE2b's mixing with
+ * x + y + 2 * lo32(x) * lo32(y) in place of plain addition. Kept in local
+ * variables and fully unrolled because it dominates the cost of the KDF.
+ */
+function blamkaG(v, a, b, c, d) {
+    let al = v[a], ah = v[a + 1], bl = v[b], bh = v[b + 1];
+    let cl = v[c], ch = v[c + 1], dl = v[d], dh = v[d + 1];
+    let lo, hi, sum, xl, xh;
+
+    // a = a + b + 2ab; d = rotr64(d ^ a, 32)
+    lo = Math.imul(al, bl) >>> 0;
+    hi = mulHi32(al, bl);
+    sum = al + bl + ((lo << 1) >>> 0);
+    ah = (ah + bh + (((hi << 1) | (lo >>> 31)) >>> 0) + Math.floor(sum / 4294967296)) >>> 0;
+    al = sum >>> 0;
+    xl = (dl ^ al) >>> 0;
+    xh = (dh ^ ah) >>> 0;
+    dl = xh;
+    dh = xl;
+
+    // c = c + d + 2cd; b = rotr64(b ^ c, 24)
+    lo = Math.imul(cl, dl) >>> 0;
+    hi = mulHi32(cl, dl);
+    sum = cl + dl + ((lo << 1) >>> 0);
+    ch = (ch + dh + (((hi << 1) | (lo >>> 31)) >>> 0) + Math.floor(sum / 4294967296)) >>> 0;
+    cl = sum >>> 0;
+    xl = bl ^ cl;
+    xh = bh ^ ch;
+    bl = ((xl >>> 24) | (xh << 8)) >>> 0;
+    bh = ((xh >>> 24) | (xl << 8)) >>> 0;
+
+    // a = a + b + 2ab; d = rotr64(d ^ a, 16)
+    lo = Math.imul(al, bl) >>> 0;
+    hi = mulHi32(al, bl);
+    sum = al + bl + ((lo << 1) >>> 0);
+    ah = (ah + bh + (((hi << 1) | (lo >>> 31)) >>> 0) + Math.floor(sum / 4294967296)) >>> 0;
+    al = sum >>> 0;
+    xl = dl ^ al;
+    xh = dh ^ ah;
+    dl = ((xl >>> 16) | (xh << 16)) >>> 0;
+    dh = ((xh >>> 16) | (xl << 16)) >>> 0;
+
+    // c = c + d + 2cd; b = rotr64(b ^ c, 63)
+    lo = Math.imul(cl, dl) >>> 0;
+    hi = mulHi32(cl, dl);
+    sum = cl + dl + ((lo << 1) >>> 0);
+    ch = (ch + dh + (((hi << 1) | (lo >>> 31)) >>> 0) + Math.floor(sum / 4294967296)) >>> 0;
+    cl = sum >>> 0;
+    xl = bl ^ cl;
+    xh = bh ^ ch;
+    bl = ((xl << 1) | (xh >>> 31)) >>> 0;
+    bh = ((xh << 1) | (xl >>> 31)) >>> 0;
+
+    v[a] = al; v[a + 1] = ah;
+    v[b] = bl; v[b + 1] = bh;
+    v[c] = cl; v[c + 1] = ch;
+    v[d] = dl; v[d + 1] = dh;
+}
+
+/**
+ * BLAKE2b round without message words over 16 64-bit words at the given offsets
+ */
+function blamkaRound(v, w) {
+    blamkaG(v, w[0], w[4], w[8], w[12]);
+    blamkaG(v, w[1], w[5], w[9], w[13]);
+    blamkaG(v, w[2], w[6], w[10], w[14]);
+    blamkaG(v, w[3], w[7], w[11], w[15]);
+    blamkaG(v, w[0], w[5], w[10], w[15]);
+    blamkaG(v, w[1], w[6], w[11], w[12]);
+    blamkaG(v, w[2], w[7], w[8], w[13]);
+    blamkaG(v, w[3], w[4], w[9], w[14]);
+}
+
+// Word offsets (in 32-bit halves) for the row-wise and column-wise passes of G
+const ARGON2_ROWS = Array.from({ length: 8 }, (_, i) =>
+    Array.from({ length: 16 }, (_, j) => (16 * i + j) * 2)
+);
+const ARGON2_COLUMNS = Array.from({ length: 8 }, (_, i) =>
+    Array.from({ length: 16 }, (_, j) => (2 * i + (j & 1) + 16 * (j >> 1)) * 2)
+);
+
+/**
+ * Argon2 compression G: writes G(prev, ref) into memory at next, XORing with the
+ * existing block when withXor is set (later passes of version 0x13)
+ */
+function fillBlock(memory, prev, ref, next, withXor, r, tmp) {
+    for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+        r[i] = memory[prev + i] ^ memory[ref + i];
+    }
+    tmp.set(r);
+    if (withXor) {
+        for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+            tmp[i] ^= memory[next + i];
+        }
+    }
+    for (let i = 0; i < 8; i++) {
+        blamkaRound(r, ARGON2_ROWS[i]);
+    }
+    for (let i = 0; i < 8; i++) {
+        blamkaRound(r, ARGON2_COLUMNS[i]);
+    }
+    for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+        memory[next + i] = tmp[i] ^ r[i];
+    }
+}
+
+class Argon2 {
+    /**
+     * Computes an Argon2 hash. Work is split by segment with a yield between them so
+     * the page stays responsive while a key is being derived.
+     * @param {Object} options - Hash parameters
+     * @param {Uint8Array} options.password - Password bytes
+     * @param {Uint8Array} options.salt - Salt (at least 8 bytes)
+     * @param {number} options.memory - Memory cost in KiB
+     * @param {number} options.iterations - Number of passes
+     * @param {number} options.parallelism - Number of lanes
+     * @param {number} options.hashLength - Output length in bytes
+     * @param {string} [options.type] - 'argon2id' (default) or 'argon2d'
+     * @param {number} [options.version] - 0x13 (default) or 0x10
+     * @param {Uint8Array} [options.secret] - Optional secret key K
+     * @param {Uint8Array} [options.associatedData] - Optional associated data X
+     * @returns {Promise<Uint8Array>} - Derived bytes
+     */
+    static async hash(options) {
+        const {
+            password,
+            salt,
+            memory,
+            iterations,
+            parallelism = 1,
+            hashLength = 32,
+            type = 'argon2id',
+            version = 0x13,
+            secret = new Uint8Array(0),
+            associatedData = new Uint8Array(0)
+        } = options;
+
+        const typeId = Argon2.types[type];
+        if (typeId === undefined) {
+            throw new Error(`Unsupported Argon2 type: ${type}`);
+        }
+        if (parallelism < 1 || iterations < 1 || memory < 8 * parallelism) {
+            throw new Error('Invalid Argon2 parameters');
+        }
+
+        const h0 = blake2b(concatBytes(
+            le32(parallelism), le32(hashLength), le32(memory), le32(iterations),
+            le32(version), le32(typeId),
+            le32(password.length), password,
+            le32(salt.length), salt,
+            le32(secret.length), secret,
+            le32(associatedData.length), associatedData
+        ), 64);
+
+        const segmentLength = Math.floor(memory / (parallelism * ARGON2_SYNC_POINTS));
+        const laneLength = segmentLength * ARGON2_SYNC_POINTS;
+        const blockCount = laneLength * parallelism;
+        const mem = new Uint32Array(blockCount * ARGON2_BLOCK_WORDS);
+
+        // First two blocks of each lane come straight from H0
+        for (let lane = 0; lane < parallelism; lane++) {
+            for (let i = 0; i < 2; i++) {
+                const bytes = blake2bLong(concatBytes(h0, le32(i), le32(lane)), 1024);
+                const view = new DataView(bytes.buffer);
+                const offset = (lane * laneLength + i) * ARGON2_BLOCK_WORDS;
+                for (let w = 0; w < ARGON2_BLOCK_WORDS; w++) {
+                    mem[offset + w] = view.getUint32(w * 4, true);
+                }
+            }
+        }
+
+        const r = new Uint32Array(ARGON2_BLOCK_WORDS);
+        const tmp = new Uint32Array(ARGON2_BLOCK_WORDS);
+        // Scratch area for data-independent addressing: zero block, input block, address block
+        const scratch = new Uint32Array(ARGON2_BLOCK_WORDS * 3);
+        const zero = 0, input = ARGON2_BLOCK_WORDS, address = ARGON2_BLOCK_WORDS * 2;
+
+        const nextAddresses = () => {
+            scratch[input + 12]++; // counter lives in the 7th 64-bit word
+            fillBlock(scratch, zero, input, address, false, r, tmp);
+            fillBlock(scratch, zero, address, address, false, r, tmp);
+        };
+
+        for (let pass = 0; pass < iterations; pass++) {
+            for (let slice = 0; slice < ARGON2_SYNC_POINTS; slice++) {
+                for (let lane = 0; lane < parallelism; lane++) {
+                    const independent = typeId === 1 ||
+                        (typeId === 2 && pass === 0 && slice < ARGON2_SYNC_POINTS / 2);
+
+                    if (independent) {
+                        scratch.fill(0);
+                        scratch[input] = pass;
+                        scratch[input + 2] = lane;
+                        scratch[input + 4] = slice;
+                        scratch[input + 6] = blockCount;
+                        scratch[input + 8] = iterations;
+                        scratch[input + 10] = typeId;
+                    }
+
+                    let start = 0;
+                    if (pass === 0 && slice === 0) {
+                        start = 2;
+                        if (independent) nextAddresses();
+                    }
+
+                    let current = lane * laneLength + slice * segmentLength + start;
+                    let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+
+                    for (let index = start; index < segmentLength; index++, current++, previous++) {
+                        if (current % laneLength === 1) {
+                            previous = current - 1;
+                        }
+
+                        let randLo, randHi;
+                        if (independent) {
+                            if (index % 128 === 0) nextAddresses();
+                            randLo = scratch[address + (index % 128) * 2];
+                            randHi = scratch[address + (index % 128) * 2 + 1];
+                        } else {
+                            randLo = mem[previous * ARGON2_BLOCK_WORDS];
+                            randHi = mem[previous * ARGON2_BLOCK_WORDS + 1];
+                        }
+
+                        const refLane = pass === 0 && slice === 0 ? lane : randHi % parallelism;
+                        const refIndex = Argon2.indexAlpha(
+                            pass, slice, index, randLo, refLane === lane, segmentLength, laneLength
+                        );
+
+                        fillBlock(
+                            mem,
+                            previous * ARGON2_BLOCK_WORDS,
+                            (refLane * laneLength + refIndex) * ARGON2_BLOCK_WORDS,
+                            current * ARGON2_BLOCK_WORDS,
+                            version === 0x13 && pass > 0,
+                            r,
+                            tmp
+                        );
+                    }
+                }
+
+                // Let the browser paint between segments
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        // XOR the last block of every lane and hash it down to the tag
+        const final = new Uint32Array(ARGON2_BLOCK_WORDS);
+        for (let lane = 0; lane < parallelism; lane++) {
+            const offset = (lane * laneLength + laneLength - 1) * ARGON2_BLOCK_WORDS;
+            for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+                final[i] ^= mem[offset + i];
+            }
+        }
+        mem.fill(0);
+
+        const finalBytes = new Uint8Array(1024);
+        const finalView = new DataView(finalBytes.buffer);
+        for (let i = 0; i < ARGON2_BLOCK_WORDS; i++) {
+            finalView.setUint32(i * 4, final[i], true);
+        }
+        return blake2bLong(finalBytes, hashLength);
+    }
+
+    /**
+     * Maps a pseudo-random value to a reference block index within a lane (RFC 9106, 3.4.2)
+     */
+    static indexAlpha(pass, slice, index, rand, sameLane, segmentLength, laneLength) {
+        let areaSize;
+        if (pass === 0) {
+            if (slice === 0) {
+                areaSize = index - 1;
+            } else if (sameLane) {
+                areaSize = slice * segmentLength + index - 1;
+            } else {
+                areaSize = slice * segmentLength - (index === 0 ? 1 : 0);
+            }
+        } else if (sameLane) {
+            areaSize = laneLength - segmentLength + index - 1;
+        } else {
+            areaSize = laneLength - segmentLength - (index === 0 ? 1 : 0);
+        }
+
+        const relative = areaSize - 1 - mulHi32(areaSize, mulHi32(rand, rand));
+
+        let start = 0;
+        if (pass !== 0) {
+            start = slice === ARGON2_SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+        }
+        return (start + relative) % laneLength;
+    }
+
+    /**
+     * BLAKE2b digest, exposed for callers that need it alongside Argon2 (e.g. KDBX)
+     * @param {Uint8Array} input - Message
+     * @param {number} outLength - Digest length in bytes
+     * @returns {Uint8Array} - Digest
+     */
+    static blake2b(input, outLength = 64) {
+        return blake2b(input, outLength);
+    }
+}
+
+Argon2.types = { argon2d: 0, argon2i: 1, argon2id: 2 };
+
+// Export for use in other modules
+window.Argon2 = Argon2;
@@ -0,0 +1,216 @@
+/**
+ * Backup Module - Reads and writes portable .snbackup files
+ * A backup holds everything needed to open the vault on another device: the vault header
+ * with its key slots, the encrypted notes and the encrypted device settings. Nothing in it
+ * is decrypted; the file is gzip-compressed JSON behind a short magic prefix. A manifest
+ * sealed under the vault key lists every note, so dropped or swapped notes are noticed.
+ */
+
+const BACKUP_MAGIC = 'SNBACKUP';
+// Version 2 added the manifest; version 1 backups are still read
+const BACKUP_VERSION = 2;
+const BACKUP_FORMAT = 'securenotes-backup';
+
+class Backup {
+    /**
+     * Check whether this browser can compress backups
+     * @returns {boolean} - True if CompressionStream and DecompressionStream are available
+     */
+    static isSupported() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Builds the contents of a backup
+     * @param {Object} header - Vault header of the open vault
+     * @param {Array} notes - Encrypted notes as stored
+     * @param {string} settings - Device settings, encrypted with CryptoManager.sealBackupSettings
+     * @param {string} manifest - Manifest from createManifest(), sealed with CryptoManager.sealBackupManifest
+     * @returns {Object} - Backup object for encode()
+     */
+    static create(header, notes, settings, manifest) {
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            header: header,
+            notes: notes,
+            settings: settings,
+            manifest: manifest
+        };
+    }
+
+    /**
+     * Lists what a backup should contain: every note's id, revision and a hash of its
+     * stored record, and a hash of the settings
+     * @param {string} keyId - Key id of the vault being backed up
+     * @param {Array} notes - Encrypted notes going into the backup
+     * @param {Object} revisions - Revision counter of each note, by id
+     * @param {string} settings - Encrypted settings going into the backup
+     * @returns {Promise<Object>} - Manifest, to be sealed under the vault key
+     */
+    static async createManifest(keyId, notes, revisions, settings) {
+        return {
+            keyId: keyId,
+            createdAt: new Date().toISOString(),
+            settingsHash: await Backup.hash(settings),
+            notes: await Promise.all(notes.map(async note => ({
+                id: note.id,
+                revision: revisions[note.id] || 0,
+                hash: await Backup.hash(note)
+            })))
+        };
+    }
+
+    /**
+     * Compares a backup's notes and settings with its opened manifest
+     * @param {Object} manifest - Manifest opened with CryptoManager.openBackupManifest
+     * @param {Object} backup - Decoded backup
+     * @returns {Promise<Object>} - { missing, changed, added } note ids, settingsChanged,
+     * and verified: the notes that match the manifest
+     */
+    static async verifyManifest(manifest, backup) {
+        const expected = new Map(manifest.notes.map(entry => [entry.id, entry]));
+        const report = { missing: [], changed: [], added: [], settingsChanged: false, verified: [] };
+        const seen = new Set();
+
+        for (const note of backup.notes) {
+            const entry = expected.get(note.id);
+            if (!entry || seen.has(note.id)) {
+                report.added.push(note.id);
+            } else if (entry.hash !== await Backup.hash(note)) {
+                report.changed.push(note.id);
+            } else {
+                report.verified.push(note);
+            }
+            seen.add(note.id);
+        }
+
+        report.missing = manifest.notes.map(entry => entry.id).filter(id => !seen.has(id));
+        report.settingsChanged = manifest.settingsHash !== await Backup.hash(backup.settings);
+        return report;
+    }
+
+    /**
+     * SHA-256 of a value's canonical JSON, so key order doesn't change the hash
+     * @param {any} value - JSON-compatible value
+     * @returns {Promise<string>} - Hex digest
+     */
+    static async hash(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(Backup.canonicalJson(value)));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * JSON with object keys sorted at every level
+     * @param {any} value - JSON-compatible value
+     * @returns {string} - Canonical JSON
+     */
+    static canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => Backup.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${Backup.canonicalJson(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * Writes a backup as a .snbackup file
+     * @param {Object} backup - Backup object from create()
+     * @returns {Promise<Blob>} - File contents
+     */
+    static async encode(backup) {
+        if (!Backup.isSupported()) {
+            throw new Error('This browser cannot compress backups');
+        }
+
+        const json = new Blob([JSON.stringify(backup)]).stream().pipeThrough(new CompressionStream('gzip'));
+        const compressed = await new Response(json).arrayBuffer();
+        return new Blob([BACKUP_MAGIC, new Uint8Array([BACKUP_VERSION]), compressed], { type: 'application/octet-stream' });
+    }
+
+    /**
+     * Checks whether file contents start like a .snbackup file
+     * @param {Uint8Array} bytes - File contents, or at least their start
+     * @returns {boolean} - True for a .snbackup file
+     */
+    static isBackup(bytes) {
+        return bytes.length > BACKUP_MAGIC.length &&
+            new TextDecoder().decode(bytes.subarray(0, BACKUP_MAGIC.length)) === BACKUP_MAGIC;
+    }
+
+    /**
+     * Reads a .snbackup file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<Object>} - Validated backup object
+     * @throws {Error} - With a user-facing message if the file can't be read
+     */
+    static async decode(bytes) {
+        if (!Backup.isBackup(bytes)) {
+            throw new Error('This is not a SecureNotes backup');
+        }
+        if (bytes[BACKUP_MAGIC.length] > BACKUP_VERSION) {
+            throw new Error('This backup was made by a newer version of SecureNotes');
+        }
+        if (!Backup.isSupported()) {
+            throw new Error('This browser cannot decompress backups');
+        }
+
+        let backup;
+        try {
+            const compressed = new Blob([bytes.subarray(BACKUP_MAGIC.length + 1)]);
+            const json = compressed.stream().pipeThrough(new DecompressionStream('gzip'));
+            backup = JSON.parse(await new Response(json).text());
+        } catch (error) {
+            throw new Error('This backup is damaged and cannot be read');
+        }
+
+        Backup.validate(backup);
+        return backup;
+    }
+
+    /**
+     * Checks that a decoded backup has the parts a restore relies on
+     * @param {Object} backup - Decoded backup
+     * @throws {Error} - With a user-facing message naming what is wrong
+     */
+    static validate(backup) {
+        if (!backup || backup.format !== BACKUP_FORMAT) {
+            throw new Error('This is not a SecureNotes backup');
+        }
+
+        const header = backup.header;
+        // Headers name their key id in the clear up to version 1, and seal it from version 2
+        if (!header || (typeof header.sealed !== 'string' && typeof header.keyId !== 'string') || !Array.isArray(header.slots) ||
+            !header.slots.some(slot => slot.type === 'passphrase' && slot.kdf && slot.wrappedKey)) {
+            throw new Error('The backup has no usable vault header');
+        }
+        if (!Array.isArray(backup.notes) || backup.notes.some(note => !note || typeof note.id !== 'string')) {
+            throw new Error('The notes in this backup are damaged');
+        }
+        if (backup.settings !== null && typeof backup.settings !== 'string') {
+            throw new Error('The settings in this backup are damaged');
+        }
+        if (backup.version >= 2 && typeof backup.manifest !== 'string') {
+            throw new Error('The manifest of this backup is missing');
+        }
+    }
+
+    /**
+     * Reports whether the backup's passphrase slot also requires a keyfile
+     * @param {Object} backup - Decoded backup
+     * @returns {boolean} - True if a keyfile is needed to open it
+     */
+    static requiresKeyfile(backup) {
+        const slot = backup.header.slots.find(s => s.type === 'passphrase');
+        return Boolean(slot && slot.keyfile);
+    }
+}
+
+// Export for use in other modules
+window.Backup = Backup;
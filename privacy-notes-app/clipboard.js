@@ -0,0 +1,155 @@
+/**
+ * Clipboard Module - Copies secrets to the clipboard and clears them again
+ * The clipboard is only cleared while it still holds what was copied, so anything
+ * the user copied since is left alone
+ */
+
+class ClipboardManager {
+    constructor() {
+        // Text this manager put on the clipboard and hasn't cleared yet
+        this.copied = null;
+        this.clearAt = 0;
+        this.timer = null;
+        this.onTick = null;
+        this.onDone = null;
+        // Set when the user copies or cuts in this page after our copy. Used when the
+        // browser won't let us read the clipboard back to compare.
+        this.replaced = false;
+        // Browsers only allow clipboard writes while the page has focus, so a clear that
+        // comes due in the background waits for the window to be focused again
+        this.clearPending = false;
+
+        ['copy', 'cut'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (this.copied !== null) this.replaced = true;
+            }, true);
+        });
+        window.addEventListener('focus', () => {
+            if (this.clearPending) this.clear();
+        });
+    }
+
+    /**
+     * Check whether this browser lets the page write to the clipboard
+     * @returns {boolean} - True if the async clipboard API is available
+     */
+    isSupported() {
+        return !!(navigator.clipboard && navigator.clipboard.writeText);
+    }
+
+    /**
+     * Copy text to the clipboard and clear it after a timeout
+     * @param {string} text - Text to copy
+     * @param {number} seconds - Seconds until the clipboard is cleared
+     * @param {Object} [callbacks] - { onTick(secondsLeft), onDone(result) } for a countdown;
+     * onTick gets 0 while the clear waits for the page to be focused
+     * @returns {Promise<void>}
+     */
+    async copy(text, seconds, { onTick = null, onDone = null } = {}) {
+        if (!this.isSupported()) {
+            throw new Error('Clipboard access is not available in this browser');
+        }
+
+        await navigator.clipboard.writeText(text);
+
+        this.stopTimer();
+        this.copied = text;
+        this.replaced = false;
+        this.clearPending = false;
+        this.clearAt = Date.now() + seconds * 1000;
+        this.onTick = onTick;
+        this.onDone = onDone;
+
+        this.tick();
+        this.timer = setInterval(() => this.tick(), 1000);
+    }
+
+    /**
+     * Report the seconds left and clear the clipboard once the time is up
+     */
+    tick() {
+        const secondsLeft = Math.max(0, Math.ceil((this.clearAt - Date.now()) / 1000));
+
+        if (secondsLeft > 0) {
+            if (this.onTick) this.onTick(secondsLeft);
+            return;
+        }
+
+        this.stopTimer();
+        this.clear();
+    }
+
+    /**
+     * Clear the clipboard now if it still holds the copied text
+     * @returns {Promise<string>} - 'cleared', 'replaced' if something else was copied since,
+     * 'pending' if the page has to be focused first, or 'idle' if there was nothing to clear
+     */
+    async clear() {
+        if (this.copied === null) return 'idle';
+
+        this.stopTimer();
+        const copied = this.copied;
+
+        let result;
+        const holdsCopy = await this.stillHoldsCopy();
+        // A new copy made while the clipboard was read back has its own countdown
+        if (this.copied !== copied) return 'idle';
+
+        if (holdsCopy) {
+            try {
+                await navigator.clipboard.writeText('');
+                result = 'cleared';
+            } catch (error) {
+                this.clearPending = true;
+                if (this.onTick) this.onTick(0);
+                return 'pending';
+            }
+        } else {
+            result = 'replaced';
+        }
+
+        const onDone = this.onDone;
+        this.reset();
+        if (onDone) onDone(result);
+        return result;
+    }
+
+    /**
+     * Check whether the clipboard still holds what we copied. Reading it back needs
+     * permission some browsers don't grant; then only copies made in this page are known.
+     * @returns {Promise<boolean>} - True if the clipboard should be cleared
+     */
+    async stillHoldsCopy() {
+        if (this.replaced) return false;
+
+        try {
+            return (await navigator.clipboard.readText()) === this.copied;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Stop the countdown timer
+     */
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Forget the copied text and the countdown callbacks
+     */
+    reset() {
+        this.stopTimer();
+        this.copied = null;
+        this.clearAt = 0;
+        this.onTick = null;
+        this.onDone = null;
+        this.replaced = false;
+        this.clearPending = false;
+    }
+}
+
+// Export for use in other modules
+window.ClipboardManager = ClipboardManager;
@@ -8,10 +8,52 @@ class CryptoManager {
         this.key = null;
         this.algorithm = 'AES-GCM';
         this.keyLength = 256;
+        this.legacyVault = false;
+        this.keyId = null;
+        // Which of the user's vaults is open: the primary one or its companion (see getVaultIds)
+        this.vaultId = null;
+        // Whether the open vault's companion is chaff or a vault, and the sealed state that says so
+        this.companion = null;
+        this.sealedState = null;
+        // Minutes an unlock is remembered across reloads (0 = off), and the session the last unlock created
+        this.sessionMinutes = 0;
+        this.session = null;
+        // SHA-256 of the keyfile that unlocked the vault, kept so its slot can be re-wrapped
+        this.keyfileHash = null;
+        this.headerVersion = 2;
+        this.envelopeVersion = 2;
+        // Notes keep everything but their id, dates, pin state and tags included, in one payload
+        this.noteSchema = 3;
+        this.cipherId = 'A256GCM';
+        // Ciphers an envelope may name; new data is always written with cipherId
+        this.ciphers = {
+            A256GCM: { name: 'AES-GCM', ivLength: 12 }
+        };
+        // Argon2id settings for new key slots; memory is in KiB (RFC 9106 second recommendation)
+        this.defaultKdf = {
+            name: 'argon2id',
+            memory: 19456,
+            iterations: 2,
+            parallelism: 1
+        };
+        // Parameters below this are upgraded on the next unlock, whatever the header asks for
+        this.minimumKdf = {
+            memory: 19456,
+            iterations: 2
+        };
+        // Recovery keys are random, so they get a fast KDF instead of Argon2id
+        this.recoveryKeyLength = 20;
+        this.base32Alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+        // Upper bounds for benchmarked parameters, so a fast device can't pick settings a phone can't open
+        this.maximumKdf = {
+            memory: 262144,
+            iterations: 10
+        };
     }
 
     /**
-     * Derives a cryptographic key from the user's passphrase using PBKDF2
+     * Derives a cryptographic key from the user's passphrase using PBKDF2.
+     * Only vaults created before envelope encryption use this key directly for notes.
      * @param {string} passphrase - User's passphrase
      * @param {Uint8Array} salt - Salt for key derivation
      * @returns {Promise<CryptoKey>} - Derived encryption key
@@ -26,110 +68,1294 @@ class CryptoManager {
             ['deriveBits', 'deriveKey']
         );
 
-        return crypto.subtle.deriveKey(
-            {
-                name: 'PBKDF2',
-                salt: salt,
-                iterations: 100000, // High iteration count for security
-                hash: 'SHA-256'
-            },
-            passphraseKey,
-            {
-                name: this.algorithm,
-                length: this.keyLength
-            },
-            false,
-            ['encrypt', 'decrypt']
-        );
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: 100000, // High iteration count for security
+                hash: 'SHA-256'
+            },
+            passphraseKey,
+            {
+                name: this.algorithm,
+                length: this.keyLength
+            },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derives the key-encryption key that wraps the vault data key
+     * @param {string} passphrase - User's passphrase
+     * @param {Object} kdf - KDF parameters stored in the key slot
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of the keyfile, for slots that require one
+     * @returns {Promise<CryptoKey>} - AES-KW key-encryption key
+     */
+    async deriveKeyEncryptionKey(passphrase, kdf, keyfileHash = null) {
+        const encoder = new TextEncoder();
+
+        if (kdf.name === 'argon2id') {
+            // The keyfile hash goes in as Argon2's secret input, so both factors pass through the KDF
+            const derived = await this.stretchPassphrase(passphrase, kdf, keyfileHash);
+
+            try {
+                return await crypto.subtle.importKey('raw', derived, 'AES-KW', false, ['wrapKey', 'unwrapKey']);
+            } finally {
+                derived.fill(0);
+            }
+        }
+
+        if (kdf.name !== 'PBKDF2') {
+            throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+        }
+        if (keyfileHash) {
+            throw new Error('Keyfiles require an Argon2id key slot');
+        }
+
+        // Slots written before Argon2id; upgraded by initialize() on the next unlock
+        const passphraseKey = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: this.hexToBytes(kdf.salt),
+                iterations: kdf.iterations,
+                hash: kdf.hash
+            },
+            passphraseKey,
+            {
+                name: 'AES-KW',
+                length: 256
+            },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * Runs Argon2id over a passphrase
+     * @param {string} passphrase - Passphrase to stretch
+     * @param {Object} kdf - Argon2id parameters and hex salt
+     * @param {Uint8Array|null} secret - Optional secret input (the keyfile hash)
+     * @returns {Promise<Uint8Array>} - Raw key bytes; callers should zero them after import
+     */
+    async stretchPassphrase(passphrase, kdf, secret = null) {
+        return Argon2.hash({
+            password: new TextEncoder().encode(passphrase),
+            salt: this.hexToBytes(kdf.salt),
+            memory: kdf.memory,
+            iterations: kdf.iterations,
+            parallelism: kdf.parallelism,
+            hashLength: this.keyLength / 8,
+            type: 'argon2id',
+            secret: secret || new Uint8Array(0)
+        });
+    }
+
+    /**
+     * Returns the KDF parameters new passphrase slots should use. The vault header
+     * stores the target (e.g. from a device benchmark); it is never allowed below
+     * the built-in minimum.
+     * @param {Object|null} header - Vault header
+     * @returns {Object} - Argon2id parameters without a salt
+     */
+    getKdfTarget(header) {
+        const stored = (header && header.options && header.options.kdf) || {};
+        const target = { ...this.defaultKdf };
+
+        if (stored.name === 'argon2id') {
+            target.memory = Math.min(Math.max(stored.memory, this.minimumKdf.memory), this.maximumKdf.memory);
+            target.iterations = Math.min(Math.max(stored.iterations, this.minimumKdf.iterations), this.maximumKdf.iterations);
+            target.parallelism = Math.max(stored.parallelism || 1, 1);
+        }
+
+        return target;
+    }
+
+    /**
+     * Checks whether a key slot was derived with weaker or different parameters than the target
+     * @param {Object} kdf - KDF parameters stored in the key slot
+     * @param {Object} target - Parameters from getKdfTarget()
+     * @returns {boolean} - True if the slot should be re-wrapped
+     */
+    isKdfOutdated(kdf, target) {
+        return kdf.name !== target.name ||
+            kdf.memory !== target.memory ||
+            kdf.iterations !== target.iterations ||
+            kdf.parallelism !== target.parallelism;
+    }
+
+    /**
+     * Initializes the crypto manager with a passphrase
+     * @param {string} passphrase - User's passphrase
+     * @param {string} userId - Unique user identifier
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of the keyfile, if the vault requires one
+     * @returns {Promise<boolean>} - Success status
+     */
+    async initialize(passphrase, userId = 'default', keyfileHash = null) {
+        try {
+            this.userId = userId;
+            this.vaultId = null;
+            this.session = null;
+            this.legacyVault = false;
+            this.keyId = null;
+            this.companion = null;
+            this.sealedState = null;
+            this.keyfileHash = null;
+
+            if (this.getVaultHeader(userId)) {
+                return await this.openVault(passphrase, userId, keyfileHash);
+            }
+
+            // Vaults created before envelope encryption still use the passphrase key directly
+            if (localStorage.getItem(`key_test_${userId}`)) {
+                this.vaultId = userId;
+                return await this.initializeLegacy(passphrase, userId);
+            }
+
+            // No vault exists yet, create one for this passphrase; saving its header writes the chaff
+            const vault = await this.generateVault(passphrase, undefined, keyfileHash);
+            this.vaultId = userId;
+            this.keyfileHash = keyfileHash;
+            this.key = vault.key;
+            this.applyVaultHeader(vault.header, vault.state);
+            this.saveVaultHeader(userId, vault.header);
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize crypto:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Returns the ids of the two vaults stored for a user: the primary vault and its
+     * companion. The companion is either a decoy vault opened by a duress passphrase
+     * or chaff that no passphrase opens; both are stored exactly like a vault.
+     * @param {string} userId - Unique user identifier
+     * @returns {Array<string>} - [primary vault id, companion vault id]
+     */
+    getVaultIds(userId) {
+        return [userId, `${userId}.2`];
+    }
+
+    /**
+     * Opens whichever of the user's vaults the passphrase unwraps. Every vault is
+     * tried even after a match, so the time a login takes doesn't tell them apart.
+     * Vaults without a companion get a chaff one on their first unlock, and a companion
+     * header from before vault states were sealed loses its plaintext key id.
+     * @param {string} passphrase - User's passphrase
+     * @param {string} userId - Unique user identifier
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of the keyfile, for slots that require one
+     * @returns {Promise<boolean>} - True if one of the vaults opened
+     */
+    async openVault(passphrase, userId, keyfileHash) {
+        const vaults = this.getVaultIds(userId)
+            .map(id => ({ id: id, header: this.getVaultHeader(id) }))
+            .filter(vault => vault.header);
+
+        let opened = null;
+        for (const vault of vaults) {
+            const slot = vault.header.slots.find(s => s.type === 'passphrase');
+            const outdated = slot && this.isKdfOutdated(slot.kdf, this.getKdfTarget(vault.header));
+            // The data key can only be wrapped for a remembered session while it is extractable
+            const extractable = outdated || this.sessionMinutes > 0;
+
+            // Unwrapping fails with AES-KW's integrity check if the passphrase is wrong
+            const dataKey = await this.unlockWithPassphrase(passphrase, vault.header, extractable, keyfileHash);
+            if (dataKey && !opened) {
+                opened = { ...vault, slot: slot, outdated: outdated, extractable: extractable, dataKey: dataKey };
+            }
+        }
+
+        if (vaults.length < 2) {
+            this.saveVaultHeader(this.getVaultIds(userId)[1], this.createChaffHeader(vaults[0].header));
+        }
+        if (!opened) return false;
+
+        this.vaultId = opened.id;
+        this.keyfileHash = opened.slot.keyfile ? keyfileHash : null;
+        this.key = opened.dataKey;
+        const otherId = this.getVaultIds(userId).find(id => id !== opened.id);
+        const other = this.getVaultHeader(otherId);
+        if (other.version !== this.headerVersion) {
+            // Rebuilt around its own slots, so a vault behind it still opens and gets a new key id then
+            this.saveVaultHeader(otherId, this.createChaffHeader(other, other));
+        }
+        await this.openVaultHeader(opened.id, vaults.length < 2 ? 'chaff' : null);
+
+        if (opened.outdated) {
+            this.key = await this.upgradePassphraseSlot(passphrase, opened.dataKey, opened.id);
+        } else if (opened.extractable) {
+            this.key = await this.toNonExtractable(opened.dataKey);
+        }
+        if (this.sessionMinutes > 0) {
+            this.session = await this.createSession(opened.dataKey);
+        }
+        return true;
+    }
+
+    /**
+     * Builds a header shaped exactly like the template's whose slots wrap nothing. Wrapped
+     * keys, salts, keyfile checks and the sealed state are random bytes of the right
+     * length, which nothing opens and which can't be told apart from the real thing.
+     * Slots of the previous header that already have the right shape are kept, so chaff
+     * that follows the open vault only changes where that vault's header did.
+     * @param {Object} template - Header whose options and slot shapes to copy
+     * @param {Object|null} previous - Header being replaced, if any
+     * @returns {Object} - Vault header for an unused companion vault
+     */
+    createChaffHeader(template, previous = null) {
+        const randomHex = length => this.bytesToHex(crypto.getRandomValues(new Uint8Array(length)));
+        // AES-KW adds an 8-byte integrity block to the wrapped key
+        const wrappedLength = this.keyLength / 8 + 8;
+
+        const slots = template.slots.map(slot => {
+            const kept = previous && previous.slots.find(existing => this.slotShape(existing) === this.slotShape(slot));
+            if (kept) return kept;
+
+            const chaff = {
+                type: slot.type,
+                kdf: { ...slot.kdf, salt: randomHex(16) },
+                wrappedKey: this.bytesToBase64(crypto.getRandomValues(new Uint8Array(wrappedLength)))
+            };
+            if (slot.keyfile) chaff.keyfile = { check: randomHex(8) };
+            if (slot.createdAt) chaff.createdAt = new Date().toISOString();
+            return chaff;
+        });
+
+        return {
+            version: this.headerVersion,
+            sealed: (previous && previous.sealed) || this.createChaffState(),
+            options: { ...template.options },
+            slots: slots
+        };
+    }
+
+    /**
+     * Describes what a key slot looks like from outside: everything but its random parts
+     * @param {Object} slot - Key slot from a vault header
+     * @returns {string} - Slot type, KDF parameters without the salt, and whether it needs a keyfile
+     */
+    slotShape(slot) {
+        const { salt, ...kdf } = slot.kdf;
+        return JSON.stringify({ type: slot.type, kdf: kdf, keyfile: Boolean(slot.keyfile) });
+    }
+
+    /**
+     * Makes random bytes that look like a sealed vault state (see sealVaultState)
+     * @returns {string} - Ciphertext envelope no key opens
+     */
+    createChaffState() {
+        const plaintext = JSON.stringify(this.createVaultState('chaff', this.bytesToHex(new Uint8Array(8))));
+        // AES-GCM appends a 16-byte tag
+        const length = new TextEncoder().encode(plaintext).length + 16;
+
+        return this.encodeEnvelope({
+            version: this.envelopeVersion,
+            cipher: this.cipherId,
+            iv: crypto.getRandomValues(new Uint8Array(this.ciphers[this.cipherId].ivLength)),
+            ciphertext: crypto.getRandomValues(new Uint8Array(length))
+        });
+    }
+
+    /**
+     * Replaces the companion of the open vault with a new, empty vault for a second
+     * passphrase. From a decoy session the companion is the primary vault, so this
+     * works the same from either side and never shows which one is open. The new vault
+     * is shaped like the open one, as chaff is: same KDF target and keyfile, and a
+     * recovery key of its own if the open vault has one. The open vault's sealed state
+     * keeps the new vault's data key, so a later replacement can find its notes.
+     * @param {string} passphrase - Passphrase of the open vault
+     * @param {string} decoyPassphrase - Passphrase for the new vault
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<Object|null>} - { recoveryKey, replaced }: the new vault's recovery key
+     * (null if it has none) and a manager holding the key of the vault it replaced, which
+     * owns no notes unless this vault created that one; null if the passphrase is wrong
+     */
+    async createDecoyVault(passphrase, decoyPassphrase, userId) {
+        const header = this.getVaultHeader(this.vaultId);
+        if (!header || !await this.unlockWithPassphrase(passphrase, header)) return null;
+
+        const previous = await this.openVaultState(header);
+        const replaced = new CryptoManager();
+        replaced.key = await crypto.subtle.importKey('raw', this.hexToBytes(previous.companionKey), this.algorithm, false, ['encrypt', 'decrypt']);
+
+        const vault = await this.generateVault(decoyPassphrase, { ...header.options }, this.keyfileHash, 'vault');
+        const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', vault.dataKey));
+        const state = this.createVaultState('vault', this.keyId);
+        state.companionKey = this.bytesToHex(rawKey);
+        rawKey.fill(0);
+
+        // Sealed first, so the new vault can never be overwritten as chaff
+        header.sealed = await this.sealVaultState(state);
+        this.applyVaultHeader(header, state);
+        this.saveVaultHeader(this.vaultId, header);
+
+        const companionId = this.getVaultIds(userId).find(id => id !== this.vaultId);
+        this.saveVaultHeader(companionId, vault.header);
+
+        const hasRecoveryKey = header.slots.some(slot => slot.type === 'recovery');
+        return {
+            recoveryKey: hasRecoveryKey ? await this.createRecoveryKey(decoyPassphrase, companionId) : null,
+            replaced: replaced
+        };
+    }
+
+    /**
+     * Wraps the data key with a fresh non-extractable session key so the vault can be
+     * reopened after a reload without the passphrase. The session key is meant for
+     * IndexedDB and the wrapped key for sessionStorage; either one alone is useless,
+     * and sessionStorage is gone once the browser (or tab) closes. Call it once the
+     * vault key is set, since the keyfile hash is kept encrypted under it.
+     * @param {CryptoKey} dataKey - Extractable data key of the vault that was just opened
+     * @returns {Promise<Object>} - { key, record }: key is the session key, record is what sessionStorage keeps
+     */
+    async createSession(dataKey) {
+        const sessionKey = await crypto.subtle.generateKey({ name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+        const wrapped = await crypto.subtle.wrapKey('raw', dataKey, sessionKey, 'AES-KW');
+
+        // Which vault it opens is left out; resumeSession() finds that with the key
+        const record = {
+            wrappedKey: this.bytesToBase64(new Uint8Array(wrapped)),
+            expiresAt: Date.now() + this.sessionMinutes * 60000
+        };
+        if (this.keyfileHash) {
+            // Settings that re-wrap the passphrase slot need the keyfile again
+            record.keyfile = await this.encrypt(this.bytesToHex(this.keyfileHash), 'securenotes:session:keyfile');
+        }
+
+        return { key: sessionKey, record: record };
+    }
+
+    /**
+     * Reopens a vault from a remembered session. The vault is the one whose sealed
+     * state opens under the session's key; one that was re-keyed or replaced since
+     * then matches neither header.
+     * @param {Object} record - Session record from sessionStorage
+     * @param {CryptoKey} sessionKey - Session key from IndexedDB
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - False if the session expired or no longer matches a vault
+     */
+    async resumeSession(record, sessionKey, userId) {
+        if (!record || !sessionKey || record.expiresAt <= Date.now()) return false;
+
+        const dataKey = await this.unwrapSlot(record, sessionKey);
+        if (!dataKey) return false;
+
+        this.key = dataKey;
+        for (const vaultId of this.getVaultIds(userId)) {
+            const header = this.getVaultHeader(vaultId);
+            const state = header && header.sealed ? await this.openVaultState(header) : null;
+            if (!state) continue;
+
+            this.userId = userId;
+            this.vaultId = vaultId;
+            this.legacyVault = false;
+            this.session = null;
+            this.applyVaultHeader(header, state);
+            this.keyfileHash = record.keyfile
+                ? this.hexToBytes(await this.decrypt(record.keyfile, 'securenotes:session:keyfile'))
+                : null;
+            return true;
+        }
+
+        this.key = null;
+        return false;
+    }
+
+    /**
+     * Unlocks a vault that predates envelope encryption. On success the vault is
+     * flagged so the app can migrate it to a wrapped data key.
+     * @param {string} passphrase - User's passphrase
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - True if the passphrase is correct
+     */
+    async initializeLegacy(passphrase, userId) {
+        const salt = localStorage.getItem(`app_salt_${userId}`);
+        if (!salt) return false;
+
+        this.key = await this.deriveKey(passphrase, this.hexToBytes(salt));
+
+        try {
+            const decrypted = await this.decrypt(localStorage.getItem(`key_test_${userId}`));
+            this.legacyVault = decrypted === 'key_validation_test';
+            return this.legacyVault;
+        } catch (decryptError) {
+            // Invalid passphrase for this user
+            return false;
+        }
+    }
+
+    /**
+     * Creates a new user vault with passphrase
+     * @param {string} passphrase - User's new passphrase
+     * @param {string} userId - Unique user identifier
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of a keyfile to require alongside the passphrase
+     * @returns {Promise<boolean>} - Success status
+     */
+    async createUserVault(passphrase, userId, keyfileHash = null) {
+        try {
+            const vaultKey = `user_vault_${userId}`;
+            
+            // Clear any existing vault data
+            this.removeVault(userId);
+
+            // Initialize with new passphrase, which generates a fresh data key
+            const success = await this.initialize(passphrase, userId, keyfileHash);
+
+            if (success) {
+                // Mark user as having a vault
+                localStorage.setItem(vaultKey, 'true');
+                localStorage.setItem('current_user', userId);
+            }
+
+            return success;
+        } catch (error) {
+            console.error('Failed to create user vault:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Removes the key slots and markers of a user's vaults from localStorage. Without
+     * the wrapped data keys their notes can no longer be decrypted.
+     * @param {string} userId - Unique user identifier
+     */
+    removeVault(userId) {
+        localStorage.removeItem(`user_vault_${userId}`);
+        this.getVaultIds(userId).forEach(vaultId => localStorage.removeItem(`vault_header_${vaultId}`));
+        localStorage.removeItem(`app_salt_${userId}`);
+        localStorage.removeItem(`key_test_${userId}`);
+        localStorage.removeItem(`rekey_pending_${userId}`);
+    }
+
+    /**
+     * Generates a random data key and a vault header that wraps it with the passphrase
+     * @param {string} passphrase - Passphrase for the first key slot
+     * @param {Object} options - Vault options
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of a keyfile the passphrase slot requires
+     * @param {string} companion - What the vault's companion will be: 'chaff' or 'vault'
+     * @returns {Promise<Object>} - { header, key, dataKey, state } where key is a non-extractable
+     * copy of the data key, dataKey an extractable one and state the vault state sealed in the header
+     */
+    async generateVault(passphrase, options = {}, keyfileHash = null, companion = 'chaff') {
+        const rawKey = crypto.getRandomValues(new Uint8Array(this.keyLength / 8));
+        const wrappable = await crypto.subtle.importKey('raw', rawKey, this.algorithm, true, ['encrypt', 'decrypt']);
+        const key = await crypto.subtle.importKey('raw', rawKey, this.algorithm, false, ['encrypt', 'decrypt']);
+        rawKey.fill(0);
+
+        const sealer = new CryptoManager();
+        sealer.key = key;
+        const state = this.createVaultState(companion);
+        const vaultOptions = { kdf: { ...this.defaultKdf }, ...options };
+        const header = {
+            version: this.headerVersion,
+            sealed: await sealer.sealVaultState(state),
+            options: vaultOptions,
+            slots: [await this.createPassphraseSlot(passphrase, wrappable, this.getKdfTarget({ options: vaultOptions }), keyfileHash)]
+        };
+
+        return { header, key, dataKey: wrappable, state };
+    }
+
+    /**
+     * Wraps the data key with a passphrase-derived key under a fresh salt
+     * @param {string} passphrase - Passphrase for the slot
+     * @param {CryptoKey} dataKey - Extractable data key
+     * @param {Object} kdfParams - KDF parameters from getKdfTarget()
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of a keyfile the slot should also require
+     * @returns {Promise<Object>} - Key slot for the vault header
+     */
+    async createPassphraseSlot(passphrase, dataKey, kdfParams, keyfileHash = null) {
+        const kdf = {
+            ...kdfParams,
+            salt: this.bytesToHex(crypto.getRandomValues(new Uint8Array(16)))
+        };
+        const kek = await this.deriveKeyEncryptionKey(passphrase, kdf, keyfileHash);
+        const wrapped = await crypto.subtle.wrapKey('raw', dataKey, kek, 'AES-KW');
+
+        const slot = {
+            type: 'passphrase',
+            kdf: kdf,
+            wrappedKey: this.bytesToBase64(new Uint8Array(wrapped))
+        };
+        if (keyfileHash) {
+            slot.keyfile = { check: await this.keyfileCheck(keyfileHash, kdf.salt) };
+        }
+        return slot;
+    }
+
+    /**
+     * Unwraps the data key held in a key slot
+     * @param {Object} slot - Key slot from the vault header
+     * @param {CryptoKey} kek - Key-encryption key for the slot
+     * @param {boolean} extractable - Only needed when the data key is about to be re-wrapped
+     * @returns {Promise<CryptoKey|null>} - Data key, or null if the key-encryption key is wrong
+     */
+    async unwrapSlot(slot, kek, extractable = false) {
+        try {
+            return await crypto.subtle.unwrapKey(
+                'raw',
+                this.base64ToBytes(slot.wrappedKey),
+                kek,
+                'AES-KW',
+                { name: this.algorithm, length: this.keyLength },
+                extractable,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Unwraps the data key using the vault's passphrase slot
+     * @param {string} passphrase - User's passphrase
+     * @param {Object} header - Vault header
+     * @param {boolean} extractable - Whether the returned key may be re-wrapped
+     * @param {Uint8Array|null} keyfileHash - Keyfile hash; defaults to the one the vault was unlocked with
+     * @returns {Promise<CryptoKey|null>} - Data key, or null if the passphrase or keyfile is wrong
+     */
+    async unlockWithPassphrase(passphrase, header, extractable = false, keyfileHash = this.keyfileHash) {
+        const slot = header.slots.find(s => s.type === 'passphrase');
+        if (!slot) return null;
+        if (slot.keyfile && !keyfileHash) return null;
+
+        const kek = await this.deriveKeyEncryptionKey(passphrase, slot.kdf, slot.keyfile ? keyfileHash : null);
+        return this.unwrapSlot(slot, kek, extractable);
+    }
+
+    /**
+     * Changes the vault passphrase by re-wrapping the data key. Notes are encrypted
+     * with the data key, so none of them need to be touched.
+     * @param {string} oldPassphrase - Current passphrase
+     * @param {string} newPassphrase - Replacement passphrase
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - False if the current passphrase is wrong
+     */
+    async changePassphrase(oldPassphrase, newPassphrase, userId) {
+        const header = this.getVaultHeader(userId);
+        if (!header) return false;
+
+        const dataKey = await this.unlockWithPassphrase(oldPassphrase, header, true);
+        if (!dataKey) return false;
+
+        const slot = await this.createPassphraseSlot(newPassphrase, dataKey, this.getKdfTarget(header), this.keyfileHash);
+        header.slots = header.slots.map(existing => existing.type === 'passphrase' ? slot : existing);
+
+        // A single localStorage write, so the header is never half-updated
+        this.saveVaultHeader(userId, header);
+        return true;
+    }
+
+    /**
+     * Re-wraps the data key in a passphrase slot derived with the vault's target KDF
+     * parameters. Runs right after a successful unlock, so the user never notices.
+     * @param {string} passphrase - Passphrase that just unlocked the vault
+     * @param {CryptoKey} dataKey - Extractable data key from the old slot
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<CryptoKey>} - Non-extractable copy of the data key for note encryption
+     */
+    async upgradePassphraseSlot(passphrase, dataKey, userId) {
+        const header = this.getVaultHeader(userId);
+        const slot = await this.createPassphraseSlot(passphrase, dataKey, this.getKdfTarget(header), this.keyfileHash);
+        header.slots = header.slots.map(existing => existing.type === 'passphrase' ? slot : existing);
+        this.saveVaultHeader(userId, header);
+
+        return this.toNonExtractable(dataKey);
+    }
+
+    /**
+     * Makes a non-extractable copy of an extractable data key, used once re-wrapping is done
+     * @param {CryptoKey} dataKey - Extractable data key
+     * @returns {Promise<CryptoKey>} - Non-extractable copy for note encryption
+     */
+    async toNonExtractable(dataKey) {
+        const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', dataKey));
+        try {
+            return await crypto.subtle.importKey('raw', rawKey, this.algorithm, false, ['encrypt', 'decrypt']);
+        } finally {
+            rawKey.fill(0);
+        }
+    }
+
+    /**
+     * Generates a new recovery key and adds it to the vault header as a key slot,
+     * replacing any previous recovery key. Needs the passphrase because the data
+     * key has to be unwrapped in extractable form to be wrapped again.
+     * @param {string} passphrase - Current passphrase
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<string|null>} - Formatted recovery key, or null if the passphrase is wrong
+     */
+    async createRecoveryKey(passphrase, userId) {
+        const header = this.getVaultHeader(userId);
+        if (!header) return null;
+
+        const dataKey = await this.unlockWithPassphrase(passphrase, header, true);
+        if (!dataKey) return null;
+
+        const secret = crypto.getRandomValues(new Uint8Array(this.recoveryKeyLength));
+        try {
+            const slot = await this.createRecoverySlot(secret, dataKey);
+            header.slots = header.slots.filter(existing => existing.type !== 'recovery').concat(slot);
+            this.saveVaultHeader(userId, header);
+            return await this.formatRecoveryKey(secret);
+        } finally {
+            secret.fill(0);
+        }
+    }
+
+    /**
+     * Wraps the data key with a key derived from a recovery secret
+     * @param {Uint8Array} secret - Random recovery secret
+     * @param {CryptoKey} dataKey - Extractable data key
+     * @returns {Promise<Object>} - Key slot for the vault header
+     */
+    async createRecoverySlot(secret, dataKey) {
+        const kdf = {
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: this.bytesToHex(crypto.getRandomValues(new Uint8Array(16))),
+            info: 'securenotes:recovery'
+        };
+        const kek = await this.deriveRecoveryKeyEncryptionKey(secret, kdf);
+        const wrapped = await crypto.subtle.wrapKey('raw', dataKey, kek, 'AES-KW');
+
+        return {
+            type: 'recovery',
+            kdf: kdf,
+            wrappedKey: this.bytesToBase64(new Uint8Array(wrapped)),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Derives the key-encryption key for a recovery slot. The secret is already
+     * high-entropy, so HKDF is enough; there is nothing to stretch.
+     * @param {Uint8Array} secret - Recovery secret
+     * @param {Object} kdf - KDF parameters stored in the key slot
+     * @returns {Promise<CryptoKey>} - AES-KW key-encryption key
+     */
+    async deriveRecoveryKeyEncryptionKey(secret, kdf) {
+        const baseKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: kdf.hash,
+                salt: this.hexToBytes(kdf.salt),
+                info: new TextEncoder().encode(kdf.info)
+            },
+            baseKey,
+            {
+                name: 'AES-KW',
+                length: 256
+            },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * Unlocks the vault with its recovery key and replaces the passphrase slot,
+     * since a user who needs recovery no longer knows the old passphrase. The new
+     * slot doesn't require a keyfile, in case the keyfile was lost too.
+     * @param {Uint8Array} secret - Recovery secret from parseRecoveryKey()
+     * @param {string} newPassphrase - Replacement passphrase
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - False if no recovery slot in either vault matches the key
+     */
+    async recoverWithKey(secret, newPassphrase, userId) {
+        this.userId = userId;
+        this.legacyVault = false;
+        this.keyfileHash = null;
+
+        // Either vault may have a recovery key; HKDF is cheap, so simply try both
+        for (const vaultId of this.getVaultIds(userId)) {
+            const header = this.getVaultHeader(vaultId);
+            const slot = header && header.slots.find(s => s.type === 'recovery');
+            if (!slot) continue;
+
+            const kek = await this.deriveRecoveryKeyEncryptionKey(secret, slot.kdf);
+            const dataKey = await this.unwrapSlot(slot, kek, true);
+            if (!dataKey) continue;
+
+            this.vaultId = vaultId;
+            this.key = dataKey;
+            await this.openVaultHeader(vaultId);
+
+            const current = this.getVaultHeader(vaultId);
+            const passphraseSlot = await this.createPassphraseSlot(newPassphrase, dataKey, this.getKdfTarget(current));
+            current.slots = current.slots.map(existing => existing.type === 'passphrase' ? passphraseSlot : existing);
+            this.saveVaultHeader(vaultId, current);
+
+            this.key = await this.toNonExtractable(dataKey);
+            this.session = this.sessionMinutes > 0 ? await this.createSession(dataKey) : null;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Opens the vault header from a backup with its passphrase, without installing it
+     * @param {Object} header - Vault header from the backup
+     * @param {string} passphrase - Passphrase of the backed up vault
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of the keyfile, if the backup requires one
+     * @returns {Promise<Object|null>} - { crypto, dataKey }: crypto is a manager holding the backup's
+     * vault key, dataKey the key for restoreVault(); null if the passphrase or keyfile is wrong
+     */
+    async openBackup(header, passphrase, keyfileHash) {
+        // The data key can only be wrapped for a remembered session while it is extractable
+        const extractable = this.sessionMinutes > 0;
+        const dataKey = await this.unlockWithPassphrase(passphrase, header, extractable, keyfileHash);
+        if (!dataKey) return null;
+
+        const backupCrypto = new CryptoManager();
+        backupCrypto.key = extractable ? await this.toNonExtractable(dataKey) : dataKey;
+        const state = await backupCrypto.openVaultState(header);
+        if (!state) return null;
+
+        backupCrypto.applyVaultHeader(header, state);
+        return { crypto: backupCrypto, dataKey: dataKey };
+    }
+
+    /**
+     * Installs a backup's vault header as the user's vault, replacing any vault stored
+     * here, and opens it. The header is brought to the current format, and the
+     * companion vault starts out as chaff.
+     * @param {Object} header - Vault header from the backup
+     * @param {Object} opened - Result of openBackup()
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of the keyfile that opened it
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - Success status
+     */
+    async restoreVault(header, opened, keyfileHash, userId) {
+        this.removeVault(userId);
+
+        const slot = header.slots.find(s => s.type === 'passphrase');
+        this.userId = userId;
+        this.vaultId = userId;
+        this.legacyVault = false;
+        this.keyfileHash = slot.keyfile ? keyfileHash : null;
+        this.key = opened.crypto.key;
+
+        const state = this.createVaultState('chaff', opened.crypto.keyId);
+        const { encryptMetadata, ...options } = header.options || {};
+        const restored = {
+            version: this.headerVersion,
+            sealed: await this.sealVaultState(state),
+            options: options,
+            slots: header.slots
+        };
+        this.applyVaultHeader(restored, state);
+        this.saveVaultHeader(userId, restored);
+        this.session = this.sessionMinutes > 0 ? await this.createSession(opened.dataKey) : null;
+        return true;
+    }
+
+    /**
+     * Removes the recovery key slot so the recovery key no longer unlocks the vault
+     * @param {string} userId - Unique user identifier
+     */
+    revokeRecoveryKey(userId) {
+        const header = this.getVaultHeader(userId);
+        if (!header) return;
+
+        header.slots = header.slots.filter(slot => slot.type !== 'recovery');
+        this.saveVaultHeader(userId, header);
+    }
+
+    /**
+     * Reports whether the vault has a recovery key
+     * @param {string} userId - Unique user identifier
+     * @returns {Object|null} - { createdAt } for the recovery slot, or null if there is none
+     */
+    getRecoveryKeyInfo(userId) {
+        const header = this.getVaultHeader(userId);
+        const slot = header && header.slots.find(s => s.type === 'recovery');
+        return slot ? { createdAt: slot.createdAt } : null;
+    }
+
+    /**
+     * Formats a recovery secret for printing: Crockford base32 with a 16-bit
+     * checksum, in groups of four characters
+     * @param {Uint8Array} secret - Recovery secret
+     * @returns {Promise<string>} - e.g. "7Q2M-0KXA-..."
+     */
+    async formatRecoveryKey(secret) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', secret));
+        const encoded = this.bytesToBase32(this.concatBytes(secret, digest.subarray(0, 2)));
+        return encoded.match(/.{1,4}/g).join('-');
+    }
+
+    /**
+     * Parses a typed recovery key. Case, spaces, dashes and the look-alikes
+     * O, I and L are tolerated; anything else that fails the checksum is rejected.
+     * @param {string} text - Recovery key as typed by the user
+     * @returns {Promise<Uint8Array|null>} - Recovery secret, or null if the key is mistyped
+     */
+    async parseRecoveryKey(text) {
+        const bytes = this.base32ToBytes(text);
+        if (!bytes || bytes.length !== this.recoveryKeyLength + 2) return null;
+
+        const secret = bytes.slice(0, this.recoveryKeyLength);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', secret));
+        if (digest[0] !== bytes[this.recoveryKeyLength] || digest[1] !== bytes[this.recoveryKeyLength + 1]) {
+            return null;
+        }
+        return secret;
+    }
+
+    /**
+     * Splits a recovery key into Shamir shares, each formatted like a recovery key
+     * with its own checksum. Every share records the set it belongs to, the
+     * threshold and its index, so they can be typed back in any order.
+     * @param {string} recoveryKey - Formatted recovery key
+     * @param {number} count - Number of shares (N)
+     * @param {number} threshold - Shares needed to recover (K)
+     * @returns {Promise<Array<string>>} - Formatted shares, ordered by index
+     */
+    async splitRecoveryKey(recoveryKey, count, threshold) {
+        const secret = await this.parseRecoveryKey(recoveryKey);
+        if (!secret) throw new Error('Invalid recovery key');
+
+        const setId = crypto.getRandomValues(new Uint8Array(2));
+        try {
+            const shares = Shamir.split(secret, count, threshold);
+            return await Promise.all(shares.map(share => this.formatRecoveryShare(share, setId, threshold)));
+        } finally {
+            secret.fill(0);
+        }
+    }
+
+    /**
+     * Formats one share: version, set id, threshold, index and value, followed by a
+     * 16-bit checksum, as Crockford base32 in groups of four
+     * @param {Object} share - Share from Shamir.split()
+     * @param {Uint8Array} setId - Two random bytes shared by every share in the set
+     * @param {number} threshold - Shares needed to recover
+     * @returns {Promise<string>} - Formatted share
+     */
+    async formatRecoveryShare(share, setId, threshold) {
+        const body = this.concatBytes(new Uint8Array([1]), setId, new Uint8Array([threshold, share.x]), share.y);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', body));
+        const encoded = this.bytesToBase32(this.concatBytes(body, digest.subarray(0, 2)));
+        return encoded.match(/.{1,4}/g).join('-');
+    }
+
+    /**
+     * Parses a typed recovery share
+     * @param {string} text - Share as typed by the user
+     * @returns {Promise<Object|null>} - { setId, threshold, x, y }, or null if the share is mistyped
+     */
+    async parseRecoveryShare(text) {
+        const bodyLength = 5 + this.recoveryKeyLength;
+        const bytes = this.base32ToBytes(text);
+        if (!bytes || bytes.length !== bodyLength + 2 || bytes[0] !== 1) return null;
+
+        const body = bytes.slice(0, bodyLength);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', body));
+        if (digest[0] !== bytes[bodyLength] || digest[1] !== bytes[bodyLength + 1]) return null;
+
+        return {
+            setId: this.bytesToHex(body.subarray(1, 3)),
+            threshold: body[3],
+            x: body[4],
+            y: body.slice(5)
+        };
+    }
+
+    /**
+     * Rebuilds the recovery secret from parsed shares
+     * @param {Array<Object>} shares - Shares from parseRecoveryShare()
+     * @returns {Uint8Array} - Recovery secret for recoverWithKey()
+     * @throws {Error} - With a user-facing message if the shares can't be combined
+     */
+    combineRecoveryShares(shares) {
+        if (shares.length === 0) {
+            throw new Error('Enter your recovery shares, one per line');
+        }
+        if (shares.some(share => share.setId !== shares[0].setId)) {
+            throw new Error('These shares belong to different recovery keys');
+        }
+
+        // The same share entered twice only counts once
+        const unique = new Map();
+        for (const share of shares) {
+            const existing = unique.get(share.x);
+            if (existing && this.bytesToHex(existing.y) !== this.bytesToHex(share.y)) {
+                throw new Error(`Two different shares are numbered ${share.x}; one of them is wrong`);
+            }
+            unique.set(share.x, share);
+        }
+
+        const threshold = shares[0].threshold;
+        if (unique.size < threshold) {
+            throw new Error(`${threshold} different shares are needed; you entered ${unique.size}`);
+        }
+
+        return Shamir.combine([...unique.values()].slice(0, threshold));
+    }
+
+    /**
+     * Describes the KDF protecting the passphrase slot and the target it will move to
+     * @param {string} userId - Unique user identifier
+     * @returns {Object|null} - { current, target } KDF parameters, or null without a header
+     */
+    getKdfStatus(userId) {
+        const header = this.getVaultHeader(userId);
+        if (!header) return null;
+
+        const slot = header.slots.find(s => s.type === 'passphrase');
+        const { salt, ...current } = slot.kdf;
+        return { current, target: this.getKdfTarget(header) };
+    }
+
+    /**
+     * Stores new target KDF parameters in the vault header. The passphrase slot
+     * is re-wrapped with them on the next unlock or passphrase change.
+     * @param {Object} params - Argon2id parameters ({ memory, iterations, parallelism })
+     * @param {string} userId - Unique user identifier
+     * @returns {Object} - The parameters that will actually be used after clamping
+     */
+    setKdfTarget(params, userId) {
+        const header = this.getVaultHeader(userId);
+        header.options = { ...header.options, kdf: { name: 'argon2id', ...params } };
+        header.options.kdf = this.getKdfTarget(header);
+        this.saveVaultHeader(userId, header);
+        return header.options.kdf;
+    }
+
+    /**
+     * Times Argon2id on this device and picks parameters that should take about
+     * targetMs to unlock. Memory is raised first since it is what makes the KDF
+     * expensive on GPUs; extra passes are only added once memory hits its cap.
+     * @param {number} targetMs - Desired unlock time in milliseconds
+     * @returns {Promise<Object>} - { params, estimatedMs }
+     */
+    async benchmarkKdf(targetMs) {
+        const sample = (memory, iterations) => Argon2.hash({
+            password: crypto.getRandomValues(new Uint8Array(16)),
+            salt: crypto.getRandomValues(new Uint8Array(16)),
+            memory: memory,
+            iterations: iterations,
+            parallelism: 1,
+            hashLength: 32
+        });
+
+        // A small warm-up run first, so JIT compilation isn't counted as hashing time
+        await sample(1024, 1);
+
+        const sampleMemory = 8192;
+        const sampleIterations = 1;
+        const started = performance.now();
+        await sample(sampleMemory, sampleIterations);
+        const msPerKiBPass = (performance.now() - started) / (sampleMemory * sampleIterations);
+
+        let iterations = this.minimumKdf.iterations;
+        let memory = Math.floor(targetMs / (msPerKiBPass * iterations) / 1024) * 1024;
+        memory = Math.min(Math.max(memory, this.minimumKdf.memory), this.maximumKdf.memory);
+
+        if (memory === this.maximumKdf.memory) {
+            iterations = Math.floor(targetMs / (msPerKiBPass * memory));
+            iterations = Math.min(Math.max(iterations, this.minimumKdf.iterations), this.maximumKdf.iterations);
+        }
+
+        return {
+            params: { name: 'argon2id', memory, iterations, parallelism: 1 },
+            estimatedMs: Math.round(msPerKiBPass * memory * iterations)
+        };
+    }
+
+    /**
+     * Hashes the contents of a keyfile. Any file works; only its SHA-256 is used.
+     * @param {Uint8Array} bytes - Keyfile contents
+     * @returns {Promise<Uint8Array>} - 32-byte keyfile hash
+     */
+    async hashKeyfile(bytes) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    }
+
+    /**
+     * Generates the contents of a new random keyfile
+     * @returns {Uint8Array} - 64 random bytes
+     */
+    generateKeyfile() {
+        return crypto.getRandomValues(new Uint8Array(64));
+    }
+
+    /**
+     * Computes the short check value stored with a keyfile slot. It only tells a
+     * wrong keyfile apart from a wrong passphrase; the keyfile itself still has to
+     * go through the KDF to unwrap anything.
+     * @param {Uint8Array} keyfileHash - SHA-256 of the keyfile
+     * @param {string} salt - Hex salt of the slot
+     * @returns {Promise<string>} - 8-byte check as hex
+     */
+    async keyfileCheck(keyfileHash, salt) {
+        const input = this.concatBytes(new TextEncoder().encode('securenotes:keyfile:'), this.hexToBytes(salt), keyfileHash);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        return this.bytesToHex(digest.subarray(0, 8));
+    }
+
+    /**
+     * Reports whether the vault's passphrase slot also requires a keyfile
+     * @param {string} userId - Unique user identifier
+     * @returns {boolean} - True if a keyfile is needed to unlock
+     */
+    requiresKeyfile(userId) {
+        const header = this.getVaultHeader(userId);
+        const slot = header && header.slots.find(s => s.type === 'passphrase');
+        return Boolean(slot && slot.keyfile);
+    }
+
+    /**
+     * Checks a keyfile against the vault before the passphrase is tried
+     * @param {Uint8Array} keyfileHash - SHA-256 of the chosen keyfile
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - True if it is the vault's keyfile
+     */
+    async checkKeyfile(keyfileHash, userId) {
+        const header = this.getVaultHeader(userId);
+        const slot = header && header.slots.find(s => s.type === 'passphrase');
+        if (!slot || !slot.keyfile) return false;
+
+        return await this.keyfileCheck(keyfileHash, slot.kdf.salt) === slot.keyfile.check;
+    }
+
+    /**
+     * Adds, replaces or removes the keyfile the passphrase slot requires
+     * @param {string} passphrase - Current passphrase
+     * @param {Uint8Array|null} keyfileHash - SHA-256 of the new keyfile, or null to stop requiring one
+     * @param {string} userId - Unique user identifier
+     * @returns {Promise<boolean>} - False if the passphrase is wrong
+     */
+    async setKeyfile(passphrase, keyfileHash, userId) {
+        const header = this.getVaultHeader(userId);
+        if (!header) return false;
+
+        const dataKey = await this.unlockWithPassphrase(passphrase, header, true);
+        if (!dataKey) return false;
+
+        const slot = await this.createPassphraseSlot(passphrase, dataKey, this.getKdfTarget(header), keyfileHash);
+        header.slots = header.slots.map(existing => existing.type === 'passphrase' ? slot : existing);
+        this.saveVaultHeader(userId, header);
+        this.keyfileHash = keyfileHash;
+        return true;
+    }
+
+    /**
+     * Reads the vault header (sealed vault state, options and wrapped data key slots)
+     * @param {string} userId - Unique user identifier
+     * @returns {Object|null} - Vault header or null for legacy and missing vaults
+     */
+    getVaultHeader(userId) {
+        const raw = localStorage.getItem(`vault_header_${userId}`);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    /**
+     * Persists the vault header. When it is the open vault's and its companion is known
+     * to be chaff, the chaff is brought to the same shape; a header whose sealed state
+     * isn't the one this manager opened (e.g. from another tab) never touches it.
+     * @param {string} userId - Unique user identifier
+     * @param {Object} header - Vault header
+     */
+    saveVaultHeader(userId, header) {
+        localStorage.setItem(`vault_header_${userId}`, JSON.stringify(header));
+
+        if (userId === this.vaultId && this.companion === 'chaff' && header.sealed === this.sealedState) {
+            const companionId = this.getVaultIds(this.userId).find(id => id !== userId);
+            const chaff = this.createChaffHeader(header, this.getVaultHeader(companionId));
+            localStorage.setItem(`vault_header_${companionId}`, JSON.stringify(chaff));
+        }
+    }
+
+    /**
+     * Loads the vault state of the open vault's header into this manager
+     * @param {Object} header - Vault header
+     * @param {Object} state - Its vault state from openVaultState()
+     */
+    applyVaultHeader(header, state) {
+        this.keyId = state.keyId;
+        this.companion = state.companion;
+        this.sealedState = header.sealed || null;
+    }
+
+    /**
+     * Loads the header of the vault whose data key was just set. Headers from before
+     * the vault state was sealed are brought to the current format, and lose the
+     * metadata encryption option: notes are always written with encrypted metadata now.
+     * @param {string} vaultId - Id of the open vault
+     * @param {string|null} companion - 'chaff' if chaff was just written as its companion
+     */
+    async openVaultHeader(vaultId, companion = null) {
+        let header = this.getVaultHeader(vaultId);
+        let state = await this.openVaultState(header);
+        let outdated = header.version !== this.headerVersion;
+
+        if (!state) {
+            // The state was replaced with chaff while this vault was the other one's companion
+            state = this.createVaultState('vault');
+            outdated = true;
+        }
+        if (companion && state.companion !== companion) {
+            state.companion = companion;
+            outdated = true;
+        }
+
+        if (outdated) {
+            const { encryptMetadata, ...options } = header.options || {};
+            header = {
+                version: this.headerVersion,
+                sealed: await this.sealVaultState(state),
+                options: options,
+                slots: header.slots
+            };
+        }
+        this.applyVaultHeader(header, state);
+        if (outdated) {
+            this.saveVaultHeader(vaultId, header);
+        }
+    }
+
+    /**
+     * Makes a vault state. Its companion key is random until the vault creates its
+     * companion, so every state has the same length whether the key is known or not.
+     * @param {string} companion - 'chaff' or 'vault'
+     * @param {string|null} keyId - Key id to keep, or null for a new one
+     * @returns {Object} - { keyId, companion, companionKey }
+     */
+    createVaultState(companion, keyId = null) {
+        return {
+            keyId: keyId || this.bytesToHex(crypto.getRandomValues(new Uint8Array(8))),
+            companion: companion,
+            companionKey: this.bytesToHex(crypto.getRandomValues(new Uint8Array(this.keyLength / 8)))
+        };
+    }
+
+    /**
+     * Seals what only the vault's own key may know about it: its key id, whether its
+     * companion is chaff (which may be rewritten to follow it) or a vault, and the
+     * companion's data key if this vault created it
+     * @param {Object} state - { keyId, companion: 'chaff' or 'vault', companionKey }
+     * @returns {Promise<string>} - Ciphertext envelope for the header
+     */
+    async sealVaultState(state) {
+        // 'chaff' and 'vault' have the same length, so the ciphertext doesn't tell them apart
+        const sealed = { keyId: state.keyId, companion: state.companion, companionKey: state.companionKey };
+        return this.encrypt(JSON.stringify(sealed), 'securenotes:vault:state');
+    }
+
+    /**
+     * Opens the vault state sealed in a header with this manager's key
+     * @param {Object} header - Vault header
+     * @returns {Promise<Object|null>} - { keyId, companion, companionKey }, or null if the header
+     * isn't this key's. Headers from before the state was sealed name their key id in the clear
+     * and are taken to have a vault as companion, whose key can't be known.
+     */
+    async openVaultState(header) {
+        if (typeof header.keyId === 'string') {
+            return this.createVaultState('vault', header.keyId);
+        }
+
+        const opened = typeof header.sealed === 'string'
+            ? await this.tryDecrypt(header.sealed, 'securenotes:vault:state')
+            : null;
+        return opened === null ? null : JSON.parse(opened);
     }
 
     /**
-     * Initializes the crypto manager with a passphrase
-     * @param {string} passphrase - User's passphrase
+     * Starts moving the vault to a fresh data key wrapped by the passphrase. The new
+     * header is recorded in a pending rekey journal; the live header is only replaced
+     * by commitRekey() once every note has been re-encrypted under the new key.
+     * @param {string} passphrase - Passphrase that wraps the new data key
      * @param {string} userId - Unique user identifier
-     * @returns {Promise<boolean>} - Success status
+     * @returns {Promise<Object>} - Rekey handle ({ id, crypto }) where crypto holds the new key
      */
-    async initialize(passphrase, userId = 'default') {
-        try {
-            // Generate or retrieve user-specific salt
-            const saltKey = `app_salt_${userId}`;
-            let salt = localStorage.getItem(saltKey);
-            if (!salt) {
-                const saltArray = crypto.getRandomValues(new Uint8Array(16));
-                salt = Array.from(saltArray).map(b => b.toString(16).padStart(2, '0')).join('');
-                localStorage.setItem(saltKey, salt);
-            }
-
-            // Convert salt back to Uint8Array
-            const saltArray = new Uint8Array(salt.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+    async beginRekey(passphrase, userId) {
+        // Its chaff companion is written when the rekey is committed
+        const vault = await this.generateVault(passphrase);
+        const next = new CryptoManager();
+        next.key = vault.key;
+        next.applyVaultHeader(vault.header, vault.state);
+        next.userId = userId;
 
-            // Derive key from passphrase
-            this.key = await this.deriveKey(passphrase, saltArray);
-            this.userId = userId;
+        const pending = {
+            id: this.bytesToHex(crypto.getRandomValues(new Uint8Array(8))),
+            header: vault.header
+        };
+        localStorage.setItem(`rekey_pending_${userId}`, JSON.stringify(pending));
 
-            // Always set the test value if missing, and validate
-            const testKey = `key_test_${userId}`;
-            let testData = localStorage.getItem(testKey);
-            const testMessage = 'key_validation_test';
-            if (!testData) {
-                // No test data exists, create one for new users
-                const encrypted = await this.encrypt(testMessage);
-                localStorage.setItem(testKey, encrypted);
-                testData = encrypted;
-                // For new vaults, always return true
-                return true;
-            }
-            // Try to decrypt existing test data
-            try {
-                const decrypted = await this.decrypt(testData);
-                return decrypted === testMessage;
-            } catch (decryptError) {
-                // Invalid passphrase for this user
-                return false;
-            }
-        } catch (error) {
-            console.error('Failed to initialize crypto:', error);
-            return false;
-        }
+        return { id: pending.id, crypto: next };
     }
 
     /**
-     * Creates a new user vault with passphrase
-     * @param {string} passphrase - User's new passphrase
+     * Promotes the pending rekey journal to the live vault header and
+     * switches this manager over to the new key
+     * @param {Object} rekey - Handle returned by beginRekey()
      * @param {string} userId - Unique user identifier
-     * @returns {Promise<boolean>} - Success status
      */
-    async createUserVault(passphrase, userId) {
-        try {
-            // Always create a new salt for the vault
-            const vaultKey = `user_vault_${userId}`;
-            const saltKey = `app_salt_${userId}`;
-            const testKey = `key_test_${userId}`;
-            
-            // Clear any existing vault data
-            localStorage.removeItem(vaultKey);
-            localStorage.removeItem(saltKey);
-            localStorage.removeItem(testKey);
-            
-            // Generate new salt
-            const saltArray = crypto.getRandomValues(new Uint8Array(16));
-            const salt = Array.from(saltArray).map(b => b.toString(16).padStart(2, '0')).join('');
-            localStorage.setItem(saltKey, salt);
+    commitRekey(rekey, userId) {
+        this.key = rekey.crypto.key;
+        this.keyId = rekey.crypto.keyId;
+        this.companion = rekey.crypto.companion;
+        this.sealedState = rekey.crypto.sealedState;
+        this.legacyVault = false;
+        // Switched over first, so saving the new header also writes its chaff companion
+        this.promotePendingRekey(userId);
+    }
 
-            // Initialize with new passphrase
-            const success = await this.initialize(passphrase, userId);
+    /**
+     * Discards a pending rekey journal, leaving the current key in place
+     * @param {string} userId - Unique user identifier
+     */
+    abortRekey(userId) {
+        localStorage.removeItem(`rekey_pending_${userId}`);
+    }
 
-            if (success) {
-                // Mark user as having a vault
-                localStorage.setItem(vaultKey, 'true');
-                localStorage.setItem('current_user', userId);
-            }
+    /**
+     * Resolves a rekey that was interrupted by a reload. The notes store records the
+     * id of the last rekey whose re-encrypted notes were committed; if it matches the
+     * journal the new header is promoted, otherwise the journal is dropped
+     * because the notes are still under the old key.
+     * @param {string|null} committedId - Rekey id recorded alongside the notes
+     * @param {string} userId - Unique user identifier
+     * @returns {boolean} - True if a pending rekey was promoted
+     */
+    recoverRekey(committedId, userId) {
+        const raw = localStorage.getItem(`rekey_pending_${userId}`);
+        if (!raw) return false;
 
-            return success;
-        } catch (error) {
-            console.error('Failed to create user vault:', error);
-            return false;
+        const pending = JSON.parse(raw);
+        if (committedId && pending.id === committedId) {
+            this.promotePendingRekey(userId);
+            return true;
         }
+
+        this.abortRekey(userId);
+        return false;
+    }
+
+    /**
+     * Replaces the live vault header with the pending one and drops the
+     * legacy salt and key test it supersedes
+     * @param {string} userId - Unique user identifier
+     */
+    promotePendingRekey(userId) {
+        const pending = JSON.parse(localStorage.getItem(`rekey_pending_${userId}`));
+        this.saveVaultHeader(userId, pending.header);
+        localStorage.removeItem(`app_salt_${userId}`);
+        localStorage.removeItem(`key_test_${userId}`);
+        localStorage.removeItem(`rekey_pending_${userId}`);
     }
 
     /**
@@ -165,9 +1391,10 @@ class CryptoManager {
     /**
      * Encrypts data using AES-GCM
      * @param {string} data - Data to encrypt
-     * @returns {Promise<string>} - Base64 encoded encrypted data with IV
+     * @param {string} associatedData - Optional context authenticated alongside the data
+     * @returns {Promise<string>} - Versioned ciphertext envelope (see encodeEnvelope)
      */
-    async encrypt(data) {
+    async encrypt(data, associatedData = '') {
         if (!this.key) {
             throw new Error('Crypto not initialized. Call initialize() first.');
         }
@@ -175,26 +1402,23 @@ class CryptoManager {
         try {
             const encoder = new TextEncoder();
             const dataBuffer = encoder.encode(data);
+            const cipher = this.ciphers[this.cipherId];
             
             // Generate random IV for each encryption
-            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const iv = crypto.getRandomValues(new Uint8Array(cipher.ivLength));
             
             const encrypted = await crypto.subtle.encrypt(
-                {
-                    name: this.algorithm,
-                    iv: iv
-                },
+                this.cipherParams(cipher, iv, associatedData),
                 this.key,
                 dataBuffer
             );
 
-            // Combine IV and encrypted data
-            const combined = new Uint8Array(iv.length + encrypted.byteLength);
-            combined.set(iv);
-            combined.set(new Uint8Array(encrypted), iv.length);
-
-            // Convert to base64 for storage
-            return btoa(String.fromCharCode.apply(null, combined));
+            return this.encodeEnvelope({
+                version: this.envelopeVersion,
+                cipher: this.cipherId,
+                iv: iv,
+                ciphertext: new Uint8Array(encrypted)
+            });
         } catch (error) {
             console.error('Encryption failed:', error);
             throw new Error('Failed to encrypt data');
@@ -203,31 +1427,27 @@ class CryptoManager {
 
     /**
      * Decrypts data using AES-GCM
-     * @param {string} encryptedData - Base64 encoded encrypted data with IV
+     * @param {string} encryptedData - Ciphertext envelope or legacy base64 IV + ciphertext
+     * @param {string} associatedData - Context the data was encrypted with, if any
      * @returns {Promise<string>} - Decrypted data
      */
-    async decrypt(encryptedData) {
+    async decrypt(encryptedData, associatedData = '') {
         if (!this.key) {
             throw new Error('Crypto not initialized. Call initialize() first.');
         }
 
-        try {
-            // Convert from base64
-            const combined = new Uint8Array(
-                atob(encryptedData).split('').map(char => char.charCodeAt(0))
-            );
-
-            // Extract IV and encrypted data
-            const iv = combined.slice(0, 12);
-            const encrypted = combined.slice(12);
+        // Format errors are reported as-is rather than as a wrong passphrase
+        const envelope = this.parseEnvelope(encryptedData);
+        const cipher = this.ciphers[envelope.cipher];
+        if (!cipher) {
+            throw new Error(`Unsupported cipher: ${envelope.cipher}`);
+        }
 
+        try {
             const decrypted = await crypto.subtle.decrypt(
-                {
-                    name: this.algorithm,
-                    iv: iv
-                },
+                this.cipherParams(cipher, envelope.iv, associatedData),
                 this.key,
-                encrypted
+                envelope.ciphertext
             );
 
             const decoder = new TextDecoder();
@@ -239,28 +1459,193 @@ class CryptoManager {
     }
 
     /**
-     * Encrypts a note object
-     * @param {Object} note - Note object to encrypt
-     * @returns {Promise<Object>} - Encrypted note object
+     * Decrypts data that may be under another key, such as the other vault's, without
+     * reporting a failure
+     * @param {string} encryptedData - Ciphertext envelope
+     * @param {string} associatedData - Context the data was encrypted with, if any
+     * @returns {Promise<string|null>} - Decrypted data, or null if it doesn't open under this key
      */
-    async encryptNote(note) {
-        const encryptedNote = { ...note };
-        
-        // Encrypt sensitive fields
-        if (note.title) {
-            encryptedNote.title = await this.encrypt(note.title);
+    async tryDecrypt(encryptedData, associatedData = '') {
+        try {
+            const envelope = this.parseEnvelope(encryptedData);
+            const cipher = this.ciphers[envelope.cipher];
+            if (!cipher) return null;
+
+            const decrypted = await crypto.subtle.decrypt(
+                this.cipherParams(cipher, envelope.iv, associatedData),
+                this.key,
+                envelope.ciphertext
+            );
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            return null;
         }
-        if (note.content) {
-            encryptedNote.content = await this.encrypt(note.content);
+    }
+
+    /**
+     * Builds Web Crypto parameters for a cipher, adding associated data when given
+     * @param {Object} cipher - Entry from this.ciphers
+     * @param {Uint8Array} iv - Initialization vector
+     * @param {string} associatedData - Context to authenticate, or empty
+     * @returns {Object} - Algorithm parameters for encrypt/decrypt
+     */
+    cipherParams(cipher, iv, associatedData) {
+        const params = { name: cipher.name, iv: iv };
+        if (associatedData) {
+            params.additionalData = new TextEncoder().encode(associatedData);
         }
-        if (note.tags && note.tags.length > 0) {
-            encryptedNote.tags = await Promise.all(
-                note.tags.map(tag => this.encrypt(tag))
-            );
+        return params;
+    }
+
+    /**
+     * Serializes a ciphertext envelope as "sn<version>.<cipher>.<iv>.<ciphertext>".
+     * IV and ciphertext are base64. Nothing in it says which vault key produced it, so
+     * the two vaults' ciphertexts look alike. The dots can never occur in legacy blobs,
+     * which are plain base64.
+     * @param {Object} envelope - { version, cipher, iv, ciphertext }
+     * @returns {string} - Serialized envelope
+     */
+    encodeEnvelope(envelope) {
+        return [
+            `sn${envelope.version}`,
+            envelope.cipher,
+            this.bytesToBase64(envelope.iv),
+            this.bytesToBase64(envelope.ciphertext)
+        ].join('.');
+    }
+
+    /**
+     * Parses a serialized envelope, dispatching on its format version
+     * @param {string} encryptedData - Serialized envelope or legacy blob
+     * @returns {Object} - { version, cipher, iv, ciphertext }
+     */
+    parseEnvelope(encryptedData) {
+        if (!encryptedData.includes('.')) {
+            // Legacy format: bare base64 of a 12-byte IV followed by AES-GCM ciphertext
+            const combined = this.base64ToBytes(encryptedData);
+            return {
+                version: 0,
+                cipher: 'A256GCM',
+                iv: combined.slice(0, 12),
+                ciphertext: combined.slice(12)
+            };
+        }
+
+        const fields = encryptedData.split('.');
+        switch (fields[0]) {
+            case 'sn1':
+                // Version 1 also named the vault key; that id is no longer checked
+                if (fields.length !== 5) {
+                    throw new Error('Malformed ciphertext envelope');
+                }
+                return {
+                    version: 1,
+                    cipher: fields[1],
+                    iv: this.base64ToBytes(fields[3]),
+                    ciphertext: this.base64ToBytes(fields[4])
+                };
+            case 'sn2':
+                if (fields.length !== 4) {
+                    throw new Error('Malformed ciphertext envelope');
+                }
+                return {
+                    version: 2,
+                    cipher: fields[1],
+                    iv: this.base64ToBytes(fields[2]),
+                    ciphertext: this.base64ToBytes(fields[3])
+                };
+            default:
+                throw new Error(`Unsupported ciphertext format: ${fields[0]}`);
+        }
+    }
+
+    /**
+     * Builds the associated data that binds an encrypted field to its note.
+     * Moving a ciphertext to another note, field or tag position changes this
+     * value, so AES-GCM authentication fails on decrypt.
+     * @param {string} noteId - Note ID
+     * @param {string} field - Field name
+     * @param {number} index - Position within a list field
+     * @param {number} count - Length of the list field
+     * @returns {string} - Associated data string
+     */
+    fieldContext(noteId, field, index, count) {
+        const context = `securenotes:note:${noteId}:${field}`;
+        return index === undefined ? context : `${context}:${index}/${count}`;
+    }
+
+    /**
+     * Checks whether a stored note differs from the format this vault writes, including
+     * envelopes from before they stopped naming the vault key
+     * @param {Object} encryptedNote - Encrypted note record
+     * @returns {boolean} - True if the note should be re-encrypted
+     */
+    needsUpgrade(encryptedNote) {
+        const sample = this.noteSample(encryptedNote);
+        return encryptedNote.schema !== this.noteSchema ||
+            Boolean(sample && !sample.data.startsWith(`sn${this.envelopeVersion}.`));
+    }
+
+    /**
+     * Checks whether a stored note belongs to the open vault by decrypting one of its
+     * fields. Nothing stored says which vault a note is from, so the other vault's notes
+     * (and notes too damaged to decrypt) simply don't open; notes with nothing
+     * encrypted in them are claimed.
+     * @param {Object} encryptedNote - Encrypted note record
+     * @returns {Promise<boolean>} - True if the note decrypts under this vault's key
+     */
+    async ownsNote(encryptedNote) {
+        return !this.noteSample(encryptedNote) || await this.decryptsNote(encryptedNote);
+    }
+
+    /**
+     * Checks whether a stored note was encrypted under this manager's key. Unlike
+     * ownsNote(), a note with nothing encrypted in it is nobody's.
+     * @param {Object} encryptedNote - Encrypted note record
+     * @returns {Promise<boolean>} - True if one of its fields decrypts under this key
+     */
+    async decryptsNote(encryptedNote) {
+        const sample = this.noteSample(encryptedNote);
+        return Boolean(sample) && await this.tryDecrypt(sample.data, sample.context) !== null;
+    }
+
+    /**
+     * Picks the first encrypted field of a stored note, with the context it was bound to
+     * @param {Object} encryptedNote - Encrypted note record
+     * @returns {Object|null} - { data, context }, or null if nothing in the note is encrypted
+     */
+    noteSample(encryptedNote) {
+        if (!encryptedNote.encrypted) return null;
+
+        // Notes written before field binding were encrypted without associated data
+        const bound = Boolean(encryptedNote.payload) || encryptedNote.schema >= 2;
+        const context = (field, index, count) =>
+            bound ? this.fieldContext(encryptedNote.id, field, index, count) : '';
+
+        const field = ['payload', 'title', 'content', 'fields'].find(name => typeof encryptedNote[name] === 'string' && encryptedNote[name]);
+        if (field) {
+            return { data: encryptedNote[field], context: context(field) };
         }
+        if (Array.isArray(encryptedNote.tags) && encryptedNote.tags.length > 0) {
+            return { data: encryptedNote.tags[0], context: context('tags', 0, encryptedNote.tags.length) };
+        }
+        return null;
+    }
 
-        encryptedNote.encrypted = true;
-        return encryptedNote;
+    /**
+     * Encrypts a note object
+     * @param {Object} note - Note object to encrypt
+     * @returns {Promise<Object>} - Encrypted note object
+     */
+    async encryptNote(note) {
+        // Everything but the id goes into the payload, including fields added later
+        const { id, userId, encrypted, schema, payload, ...fields } = note;
+        return {
+            id: id,
+            payload: await this.encrypt(JSON.stringify(fields), this.fieldContext(id, 'payload')),
+            encrypted: true,
+            schema: this.noteSchema
+        };
     }
 
     /**
@@ -273,36 +1658,305 @@ class CryptoManager {
             return encryptedNote; // Already decrypted
         }
 
+        if (encryptedNote.payload) {
+            const fields = JSON.parse(
+                await this.decrypt(encryptedNote.payload, this.fieldContext(encryptedNote.id, 'payload'))
+            );
+            return {
+                ...fields,
+                id: encryptedNote.id,
+                encrypted: false,
+                schema: encryptedNote.schema
+            };
+        }
+
         const note = { ...encryptedNote };
+        // Notes written before field binding were encrypted without associated data
+        const bound = encryptedNote.schema >= 2;
+        const context = (field, index, count) =>
+            bound ? this.fieldContext(encryptedNote.id, field, index, count) : '';
         
         // Decrypt sensitive fields
         if (encryptedNote.title) {
-            note.title = await this.decrypt(encryptedNote.title);
+            note.title = await this.decrypt(encryptedNote.title, context('title'));
         }
         if (encryptedNote.content) {
-            note.content = await this.decrypt(encryptedNote.content);
+            note.content = await this.decrypt(encryptedNote.content, context('content'));
         }
         if (encryptedNote.tags && encryptedNote.tags.length > 0) {
             note.tags = await Promise.all(
-                encryptedNote.tags.map(tag => this.decrypt(tag))
+                encryptedNote.tags.map((tag, index) =>
+                    this.decrypt(tag, context('tags', index, encryptedNote.tags.length))
+                )
             );
         }
+        if (encryptedNote.fields) {
+            note.fields = JSON.parse(await this.decrypt(encryptedNote.fields, context('fields')));
+        }
 
         note.encrypted = false;
         return note;
     }
 
     /**
-     * Generates a secure random password
+     * Creates a secondary lock for a note, keyed by its own passphrase
+     * @param {string} passphrase - Passphrase for this note only
+     * @returns {Promise<Object>} - { lock, crypto }: lock is stored with the note, crypto seals its content
+     */
+    async createNoteLock(passphrase) {
+        const lock = {
+            keyId: this.bytesToHex(crypto.getRandomValues(new Uint8Array(8))),
+            kdf: {
+                ...this.defaultKdf,
+                salt: this.bytesToHex(crypto.getRandomValues(new Uint8Array(16)))
+            }
+        };
+        return { lock, crypto: await this.deriveNoteLock(lock, passphrase) };
+    }
+
+    /**
+     * Derives the key for a note lock into its own manager, so sealed content
+     * can't be opened with the vault key
+     * @param {Object} lock - Lock stored with the note
+     * @param {string} passphrase - Note passphrase
+     * @returns {Promise<CryptoManager>} - Manager holding the note key
+     */
+    async deriveNoteLock(lock, passphrase) {
+        const derived = await this.stretchPassphrase(passphrase, lock.kdf);
+        const noteLock = new CryptoManager();
+
+        try {
+            noteLock.key = await crypto.subtle.importKey('raw', derived, this.algorithm, false, ['encrypt', 'decrypt']);
+        } finally {
+            derived.fill(0);
+        }
+        noteLock.keyId = lock.keyId;
+        return noteLock;
+    }
+
+    /**
+     * Opens a locked note's content
+     * @param {Object} note - Decrypted note whose content is sealed
+     * @param {string} passphrase - Note passphrase
+     * @returns {Promise<Object|null>} - { crypto, content }, or null if the passphrase is wrong
+     */
+    async openNoteLock(note, passphrase) {
+        const noteLock = await this.deriveNoteLock(note.lock, passphrase);
+
+        try {
+            return {
+                crypto: noteLock,
+                content: await noteLock.unsealNoteContent(note.id, note.content),
+                fields: typeof note.fields === 'string'
+                    ? await noteLock.unsealNoteFields(note.id, note.fields)
+                    : note.fields
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Encrypts a locked note's content with this manager's note key
+     * @param {string} noteId - Note id the content is bound to
+     * @param {string} content - Plain content
+     * @returns {Promise<string>} - Sealed content
+     */
+    async sealNoteContent(noteId, content) {
+        return this.encrypt(content, this.fieldContext(noteId, 'locked-content'));
+    }
+
+    /**
+     * Decrypts a locked note's content with this manager's note key
+     * @param {string} noteId - Note id the content is bound to
+     * @param {string} sealed - Sealed content
+     * @returns {Promise<string>} - Plain content
+     */
+    async unsealNoteContent(noteId, sealed) {
+        return this.decrypt(sealed, this.fieldContext(noteId, 'locked-content'));
+    }
+
+    /**
+     * Encrypts a locked credential note's fields with this manager's note key
+     * @param {string} noteId - Note id the fields are bound to
+     * @param {Object} fields - Plain credential fields
+     * @returns {Promise<string>} - Sealed fields
+     */
+    async sealNoteFields(noteId, fields) {
+        return this.encrypt(JSON.stringify(fields), this.fieldContext(noteId, 'locked-fields'));
+    }
+
+    /**
+     * Decrypts a locked credential note's fields with this manager's note key
+     * @param {string} noteId - Note id the fields are bound to
+     * @param {string} sealed - Sealed fields
+     * @returns {Promise<Object>} - Plain credential fields
+     */
+    async unsealNoteFields(noteId, sealed) {
+        return JSON.parse(await this.decrypt(sealed, this.fieldContext(noteId, 'locked-fields')));
+    }
+
+    /**
+     * Encrypts this device's settings for a backup
+     * @param {Object} settings - Settings by name
+     * @returns {Promise<string>} - Ciphertext envelope
+     */
+    async sealBackupSettings(settings) {
+        return this.encrypt(JSON.stringify(settings), 'securenotes:backup:settings');
+    }
+
+    /**
+     * Decrypts the settings from a backup of this vault
+     * @param {string} sealed - Ciphertext envelope from sealBackupSettings()
+     * @returns {Promise<Object>} - Settings by name
+     */
+    async openBackupSettings(sealed) {
+        return JSON.parse(await this.decrypt(sealed, 'securenotes:backup:settings'));
+    }
+
+    /**
+     * Seals a backup manifest under the vault key. AES-GCM authenticates it, and its own
+     * context keeps it from being passed off as any other ciphertext of the vault.
+     * @param {Object} manifest - Manifest from Backup.createManifest
+     * @returns {Promise<string>} - Ciphertext envelope
+     */
+    async sealBackupManifest(manifest) {
+        return this.encrypt(JSON.stringify(manifest), 'securenotes:backup:manifest');
+    }
+
+    /**
+     * Opens the manifest of a backup of this vault
+     * @param {string} sealed - Ciphertext envelope from sealBackupManifest()
+     * @returns {Promise<Object|null>} - Manifest, or null if it was altered or sealed under another key
+     */
+    async openBackupManifest(sealed) {
+        try {
+            return JSON.parse(await this.decrypt(sealed, 'securenotes:backup:manifest'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Generates a secure random password with PasswordGenerator, free of modulo bias
      * @param {number} length - Password length
+     * @param {Object} [options] - Generator options: mode ('random' or 'pronounceable'),
+     * lowercase, uppercase, digits, symbols, custom, exclude, excludeLookalikes and requireEach
      * @returns {string} - Generated password
      */
-    generateSecurePassword(length = 16) {
-        const charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
-        const array = new Uint8Array(length);
-        crypto.getRandomValues(array);
-        
-        return Array.from(array, byte => charset[byte % charset.length]).join('');
+    generateSecurePassword(length = 16, options = {}) {
+        return PasswordGenerator.generate({ ...options, length: length });
+    }
+
+    /**
+     * Converts bytes to a lowercase hex string
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Converts a hex string back to bytes
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    hexToBytes(hex) {
+        return new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    /**
+     * Encodes bytes as base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64 string
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        // Chunked so large buffers don't exceed the argument limit of fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes a base64 string to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encodes bytes as Crockford base32 (no padding)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base32 string
+     */
+    bytesToBase32(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += this.base32Alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += this.base32Alphabet[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    /**
+     * Decodes Crockford base32, ignoring case, whitespace and dashes
+     * @param {string} text - Base32 string
+     * @returns {Uint8Array|null} - Decoded bytes, or null if the text has invalid characters
+     */
+    base32ToBytes(text) {
+        const normalized = text.toUpperCase().replace(/[\s-]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of normalized) {
+            const index = this.base32Alphabet.indexOf(char);
+            if (index === -1) return null;
+            value = ((value << 5) | index) & 0xfff;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Concatenates byte arrays
+     * @param {...Uint8Array} parts - Arrays to join
+     * @returns {Uint8Array} - Joined bytes
+     */
+    concatBytes(...parts) {
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
     }
 
     /**
@@ -310,6 +1964,16 @@ class CryptoManager {
      */
     clear() {
         this.key = null;
+        this.keyId = null;
+        this.vaultId = null;
+        this.companion = null;
+        this.sealedState = null;
+        this.session = null;
+        if (this.keyfileHash) {
+            this.keyfileHash.fill(0);
+            this.keyfileHash = null;
+        }
+        this.legacyVault = false;
     }
 
     /**
@@ -321,40 +1985,74 @@ class CryptoManager {
     }
 
     /**
-     * Estimates password strength
+     * Estimates password strength from the guesses an attacker would need (see StrengthEstimator)
      * @param {string} password - Password to analyze
-     * @returns {Object} - Strength analysis
+     * @returns {Object} - Strength analysis: score (0-4), strength, feedback, entropy in bits,
+     * guesses, and crackTime, the time to crack it offline against a slow hash like Argon2id
      */
     analyzePasswordStrength(password) {
-        const analysis = {
-            score: 0,
-            feedback: [],
-            strength: 'weak'
+        const estimate = StrengthEstimator.estimate(password);
+        const feedback = [estimate.feedback.warning, ...estimate.feedback.suggestions].filter(Boolean);
+
+        // Keep the old hint for short passwords; length is the first thing setup checks
+        if (password.length < 8) feedback.unshift('Use at least 8 characters');
+
+        let strength = 'weak';
+        if (estimate.score >= 4) strength = 'strong';
+        else if (estimate.score === 3) strength = 'medium';
+
+        return {
+            score: estimate.score,
+            feedback: feedback,
+            strength: strength,
+            entropy: estimate.entropy,
+            guesses: estimate.guesses,
+            crackTime: estimate.crackTimesDisplay.offlineSlow
         };
+    }
+
+    /**
+     * Audits the passwords in decrypted login notes. Passwords are compared by their
+     * SHA-256 hashes, and the report only names notes, so no password is copied into it.
+     * @param {Array} notes - Decrypted notes
+     * @param {number} maxAgeMonths - Report passwords in notes not updated for this long (0 = never)
+     * @returns {Promise<Object>} - { checked, skipped, reused, weak, old }: reused is a list of
+     * note id groups sharing a password, weak lists { noteId, feedback } and old { noteId, updatedAt }
+     */
+    async auditPasswords(notes, maxAgeMonths = 12) {
+        const report = { checked: 0, skipped: 0, reused: [], weak: [], old: [] };
+        const byHash = new Map();
+        const cutoff = new Date();
+        cutoff.setMonth(cutoff.getMonth() - maxAgeMonths);
 
-        // Length check
-        if (password.length >= 12) analysis.score += 2;
-        else if (password.length >= 8) analysis.score += 1;
-        else analysis.feedback.push('Use at least 8 characters');
+        for (const note of notes) {
+            if (note.type !== 'login' || !note.fields) continue;
+            // Fields sealed behind a note lock can't be read without its passphrase
+            if (typeof note.fields === 'string') {
+                report.skipped++;
+                continue;
+            }
 
-        // Character variety
-        if (/[a-z]/.test(password)) analysis.score += 1;
-        if (/[A-Z]/.test(password)) analysis.score += 1;
-        if (/[0-9]/.test(password)) analysis.score += 1;
-        if (/[^A-Za-z0-9]/.test(password)) analysis.score += 1;
+            const password = note.fields.password;
+            if (!password) continue;
+            report.checked++;
 
-        // Common patterns
-        if (/(.)\1{2,}/.test(password)) {
-            analysis.score -= 1;
-            analysis.feedback.push('Avoid repeated characters');
-        }
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+            const hash = this.bytesToHex(new Uint8Array(digest));
+            byHash.set(hash, [...(byHash.get(hash) || []), note.id]);
 
-        // Determine strength
-        if (analysis.score >= 5) analysis.strength = 'strong';
-        else if (analysis.score >= 3) analysis.strength = 'medium';
-        else analysis.strength = 'weak';
+            const analysis = this.analyzePasswordStrength(password);
+            if (analysis.strength === 'weak') {
+                report.weak.push({ noteId: note.id, feedback: analysis.feedback });
+            }
+
+            if (maxAgeMonths > 0 && new Date(note.updatedAt) < cutoff) {
+                report.old.push({ noteId: note.id, updatedAt: note.updatedAt });
+            }
+        }
 
-        return analysis;
+        report.reused = [...byHash.values()].filter(noteIds => noteIds.length > 1);
+        return report;
     }
 }
 
@@ -0,0 +1,123 @@
+/**
+ * Diceware Module - Passphrases made of words picked at random from a built-in list
+ * The list has 1296 (6^4) short, common English words, so a word can also be chosen
+ * with four dice, and every word adds log2(1296), about 10.3 bits
+ */
+
+const DICEWARE_WORDS = (
+    'able about above absorb accent accept access acorn acre across act actor adapt add adept adobe ' +
+    'adopt adult advice affair afford afraid after agent agile aging agree aid aim air aisle album ' +
+    'alert algae alias alien align alike alive allow alloy almond alone aloud alpha already also ' +
+    'alter amber amend amino amount amuse anchor angel angle ankle annex answer ant anvil anyone ' +
+    'apart apple apron aqua arbor arch argue arise arm armor aroma around arrow art ask aspen asset ' +
+    'atlas attic audio august aunt avenue avid avoid awake aware away axis baby badge bagel baker ' +
+    'balance balcony bamboo banana band banjo banner barber barley barn basin basket bath batch beach ' +
+    'beacon beak beam bear beard beast beaver beef beet before begin being bell belly belt berry best ' +
+    'better bicycle bird birth biscuit bison blade blank blanket blast blend bless blimp blink bliss ' +
+    'blond blossom blouse blue blunt blush board boat boil bold bolt bonus boost boot border bottle ' +
+    'bounce bowl box brain brand brass brave bread breeze brick bride bridge bright bring brisk broad ' +
+    'brook broom brother brown bubble bucket buckle budget bugle build bulb bull bumper bunny burger ' +
+    'burst bus butter button buyer buzz cable cactus cadet cage calf call calm camel camp canal ' +
+    'candle candy canoe canvas canyon cape carbon card cargo carpet cart carve case cash cat catch ' +
+    'cattle cause cedar ceiling celery cell cement cereal chair chalk change chapel charm chart chase ' +
+    'check cheek cheer cheese cherry chess chest chew chief child chili chime chip chord chorus ' +
+    'chrome cider cinema circle circus city civic civil claim clap class clay clean clerk click cliff ' +
+    'climb clip clock close cloth clown club clue coach coat cobra cocoa coconut code coil coin cold ' +
+    'collar column comb comet comfort common copper coral cord cork corn corner cotton count course ' +
+    'cousin cover coyote crab craft crane crayon cream credit creek cricket crisp crop cross crown ' +
+    'crumb crust cube curb curve cushion cycle dance dash data date dawn deal decade decent decide ' +
+    'decor deer degree delay denim dense depth desert desk detail device dial diesel digit dinner ' +
+    'dish doctor dog dollar dolphin donkey door double dove draft dragon drama drawer dress drift ' +
+    'drill drink drop drum duck dune duty eagle early earn easel east easy echo edge effort egg eight ' +
+    'elbow elegant element elk elm ember emblem emerald empty energy engine enjoy enter envoy epic ' +
+    'equal era escape essay estate even ever evoke exact exam exhale exit exotic expand extra fabric ' +
+    'face fact fair fairy faith falcon fame family fan fancy farm fast father feast feather fence ' +
+    'fern ferry fiber field fig figure film finch finger finish fire first fish fit five flame flash ' +
+    'flask flat fleet flint float flock floor flour flower fluid foam focus fog fold food foot forest ' +
+    'fork fort forum fossil fox frame friend frog frost fruit fun funnel fur future galaxy gallon ' +
+    'game garage garlic gas gate gauge gecko gem genius gentle giant gift ginger giraffe glacier glad ' +
+    'glass glide glove glow glue goat golf good goose gorilla grace grade grain grand graph grass ' +
+    'gravel gravy green grid grill grin grip group grove guard guest guitar gulf gum gust habit hair ' +
+    'half hall hammock hand happy harbor harvest hat hawk hazel health heart heat hedge helmet help ' +
+    'hen herb heron hidden high hike hint hip history hobby hold hole holiday home hood hook hope ' +
+    'horn horse hotel hour house hover hug human humble humor hurry husky hut ice icon idea idle ' +
+    'igloo impact inch index indoor ink inlet input insect invite iron island issue ivory ivy jacket ' +
+    'jaguar jar jazz jeans jelly jewel job jog join journal joy judge juice jump junior jury just ' +
+    'kayak kettle key kick kid king kiosk kit kitchen kitten kiwi knee knife knob knot koala label ' +
+    'ladder lady lake lamb land lane laptop large latch later laugh lava layer lead leaf lean leather ' +
+    'lemon lend lens leopard lesson letter level liberty library lid lift light lily limb lime limit ' +
+    'lion lip liquid list live lizard llama load lobby lobster local lock loft logic long loop loud ' +
+    'lounge love loyal lumber lunar lunch lyric magic magnet maid mail major mango manor maple march ' +
+    'margin marine market mask mason mast match math meadow meal measure medal melon member memory ' +
+    'menu mesa metal meter middle mile milk mill mimic mineral minor mint minute mist mitten mixer ' +
+    'model modest moment monkey month moose morning mosaic moss moth motor mound mouse movie muffin ' +
+    'mule muscle music mustard nail name napkin nation native nature navy neat neck nectar needle ' +
+    'nephew nerve nest net new next nice niece nimble noble noise noodle north nose note notice ' +
+    'number nurse nut oak oat object ocean octave offer office often oil olive omega onion open ' +
+    'option orange orbit orchard orchid organ origin ostrich otter outer oval oven over owner oxygen ' +
+    'oyster pace paddle page paint pair palm panda panel pantry parade parcel parent park party pass ' +
+    'pasta paste path patio pause paw peach peak peanut pear pecan pedal pelican pen people pepper ' +
+    'perch permit pet petal phone photo piano picture pie pier pig pillow pilot pine pink pioneer ' +
+    'pipe pirate pitch place plain planet plank plate play plaza pledge plot plum plus pocket poet ' +
+    'point polar pole pond pony pool poppy port pose post pot pouch pound powder power praise press ' +
+    'price pride prince prism prize profit prompt proud prune pudding pulse pumpkin punch pupil puppy ' +
+    'purse puzzle pyramid quail quarry quart quartz queen quest quick quiet quilt quiz quota rabbit ' +
+    'raccoon rack radar radio raft rain rainbow raisin rake ramp ranch range rapid raven razor reach ' +
+    'ready realm record reef region relax relic remedy remote rent rescue resort rest result reward ' +
+    'rhino rhyme rhythm rice rich riddle ride right rigid ring rinse rise ritual river road robe ' +
+    'robin robot rock rodeo roof room rooster rope rose rotor rough route royal rubber ruby rug rule ' +
+    'ruler runway rural safari safe saga sage salad salmon salon salt sand sandal satin sauce sauna ' +
+    'scale scarf scene school science scoop scooter scout screen script scroll seal season seat ' +
+    'second seed senior sense sequel set settle seven shade shallow shape share shark sheep shelf ' +
+    'shell shelter shield shine ship shirt shoe short shovel shower shrimp sign silk silver simple ' +
+    'sister sitcom six size sketch ski skill skirt slate sled sleep sleeve slide slope slot slow ' +
+    'smile smoke snack snail snow soap soccer sock sofa soft soil solar solo sonic soup south space ' +
+    'spark speak spear speed sphere spice spider spike spiral splash spoon sport spray spring sprout ' +
+    'spruce square squid stable stack stage stairs stamp stand start state station statue steel stem ' +
+    'step stereo still stone stool storm stove straw stream street stripe strong studio study sugar ' +
+    'suit summer summit sun sunset super supper supply surge swamp swan sweater swift swim swing ' +
+    'switch syrup system table tablet taco tail talent talk tango tank tape target taste tavern taxi ' +
+    'tea team teapot temple tennis term test text thank theory thick thin thread throne thumb thunder ' +
+    'ticket tide tile timber time tiny title toast today toe tomato tone tongue tool topic torch ' +
+    'total tower toy track trade trail tray treat tree trend tribe trick trip trophy trumpet trunk ' +
+    'trust truth tuna tunnel turkey turtle twelve twin type ultra under unicorn union unit until ' +
+    'urban usage useful usual valid valley value valve vapor vase vault vector vendor venue verse ' +
+    'vessel veteran video view villa vine vinyl violin visit vital vivid vocal voice volume vote ' +
+    'voyage wafer waist wait walk wall walrus wander warm wash watch water wave wax wealth weather ' +
+    'weave wedge weekend west whale wheat wheel whistle white wide width willow win wind window wing ' +
+    'winter wire wise wizard wolf wonder wood word work world worm wrap wreath wrist write yard yarn ' +
+    'year yellow yoga yogurt young youth zero zigzag zinc zipper zone zoo'
+).split(' ');
+
+class Diceware {
+    /**
+     * The built-in word list
+     * @returns {Array<string>} - 1296 lower-case words
+     */
+    static get words() {
+        return DICEWARE_WORDS;
+    }
+
+    /**
+     * Generates a passphrase
+     * @param {number} wordCount - Number of words
+     * @param {string} separator - Text between the words
+     * @returns {string} - Passphrase
+     */
+    static generate(wordCount = 6, separator = '-') {
+        return Array.from({ length: wordCount }, () => DICEWARE_WORDS[PasswordGenerator.randomIndex(DICEWARE_WORDS.length)])
+            .join(separator);
+    }
+
+    /**
+     * Strength of a generated passphrase, assuming the attacker knows the list
+     * @param {number} wordCount - Number of words
+     * @returns {number} - Entropy in bits
+     */
+    static entropyBits(wordCount) {
+        return wordCount * Math.log2(DICEWARE_WORDS.length);
+    }
+}
+
+// Export for use in other modules
+window.Diceware = Diceware;
@@ -0,0 +1,190 @@
+/**
+ * Generator Module - Random passwords from crypto.getRandomValues without modulo bias
+ * Supports character classes, custom characters, exclusions, a required character from
+ * each class and pronounceable passwords
+ */
+
+const GENERATOR_CLASSES = {
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digits: '0123456789',
+    symbols: '!@#$%^&*()-_=+[]{};:,.?/~'
+};
+// Characters that are easy to misread for one another in many fonts
+const GENERATOR_LOOKALIKES = 'Il1|O0o';
+const GENERATOR_CONSONANTS = 'bcdfghjklmnprstvwxz';
+const GENERATOR_VOWELS = 'aeiou';
+const GENERATOR_DEFAULTS = {
+    length: 20,
+    mode: 'random',
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: true,
+    custom: '',
+    exclude: '',
+    excludeLookalikes: false,
+    requireEach: true
+};
+
+class PasswordGenerator {
+    /**
+     * Default options, for callers that show or store them
+     * @returns {Object} - Copy of the defaults
+     */
+    static get defaults() {
+        return { ...GENERATOR_DEFAULTS };
+    }
+
+    /**
+     * Picks a uniformly random index. Values from the top of the 32-bit range that
+     * would favour the lower indexes are drawn again.
+     * @param {number} count - Number of choices
+     * @returns {number} - Index from 0 to count - 1
+     */
+    static randomIndex(count) {
+        const limit = Math.floor(0x100000000 / count) * count;
+        const value = new Uint32Array(1);
+        do {
+            crypto.getRandomValues(value);
+        } while (value[0] >= limit);
+        return value[0] % count;
+    }
+
+    /**
+     * Picks a random character
+     * @param {string} chars - Characters to choose from
+     * @returns {string} - One of them
+     */
+    static randomChar(chars) {
+        return chars[PasswordGenerator.randomIndex(chars.length)];
+    }
+
+    /**
+     * The character classes the options select, without excluded characters. Each character
+     * belongs to one class only, so none is more likely than the others.
+     * @param {Object} options - Generator options
+     * @returns {Array<Object>} - { name, chars } for each class that has characters left
+     */
+    static classes(options) {
+        const excluded = new Set([...options.exclude, ...(options.excludeLookalikes ? GENERATOR_LOOKALIKES : '')]);
+        const seen = new Set();
+        const pick = (chars) => [...new Set(chars)].filter(char => {
+            if (excluded.has(char) || seen.has(char) || /\s/.test(char)) return false;
+            seen.add(char);
+            return true;
+        }).join('');
+
+        const classes = Object.keys(GENERATOR_CLASSES)
+            .filter(name => options[name])
+            .map(name => ({ name: name, chars: pick(GENERATOR_CLASSES[name]) }));
+        classes.push({ name: 'custom', chars: pick(options.custom) });
+        return classes.filter(charClass => charClass.chars.length > 0);
+    }
+
+    /**
+     * Generates a password
+     * @param {Object} [options] - length, mode ('random' or 'pronounceable'), lowercase, uppercase,
+     * digits, symbols, custom (extra characters), exclude (characters never to use),
+     * excludeLookalikes and requireEach (at least one character from every class)
+     * @returns {string} - Password
+     */
+    static generate(options = {}) {
+        const settings = { ...GENERATOR_DEFAULTS, ...options };
+        if (!Number.isInteger(settings.length) || settings.length < 4 || settings.length > 256) {
+            throw new Error('Choose a length between 4 and 256');
+        }
+
+        return settings.mode === 'pronounceable'
+            ? PasswordGenerator.generatePronounceable(settings)
+            : PasswordGenerator.generateRandom(settings);
+    }
+
+    /**
+     * Every character drawn from all selected classes. When every class is required, passwords
+     * missing one are drawn again, which keeps all valid passwords equally likely.
+     * @param {Object} settings - Complete generator options
+     * @returns {string} - Password
+     */
+    static generateRandom(settings) {
+        const classes = PasswordGenerator.classes(settings);
+        if (classes.length === 0) {
+            throw new Error('Choose at least one character class');
+        }
+        if (settings.requireEach && classes.length > settings.length) {
+            throw new Error('The password is too short to include every character class');
+        }
+
+        const charset = classes.map(charClass => charClass.chars).join('');
+        for (let attempt = 0; attempt < 1000; attempt++) {
+            const password = Array.from({ length: settings.length }, () => PasswordGenerator.randomChar(charset)).join('');
+            if (!settings.requireEach || classes.every(charClass => [...password].some(char => charClass.chars.includes(char)))) {
+                return password;
+            }
+        }
+        throw new Error('Could not include every character class; try a longer password');
+    }
+
+    /**
+     * Alternating consonants and vowels, in lower case. Each other selected class puts one
+     * of its characters at a random position: a capital letter, a digit, a symbol or a
+     * custom character.
+     * @param {Object} settings - Complete generator options
+     * @returns {string} - Password
+     */
+    static generatePronounceable(settings) {
+        const excluded = new Set([...settings.exclude, ...(settings.excludeLookalikes ? GENERATOR_LOOKALIKES : '')]);
+        const allowed = (chars) => [...chars].filter(char => !excluded.has(char)).join('');
+        const consonants = allowed(GENERATOR_CONSONANTS);
+        const vowels = allowed(GENERATOR_VOWELS);
+        if (!consonants || !vowels) {
+            throw new Error('Too many letters are excluded for a pronounceable password');
+        }
+
+        const chars = Array.from({ length: settings.length }, (_, i) =>
+            PasswordGenerator.randomChar(i % 2 === 0 ? consonants : vowels));
+
+        const extras = PasswordGenerator.classes({ ...settings, lowercase: false });
+        if (extras.length > settings.length) {
+            throw new Error('The password is too short to include every character class');
+        }
+
+        const positions = [...chars.keys()];
+        for (const extra of extras) {
+            const position = positions.splice(PasswordGenerator.randomIndex(positions.length), 1)[0];
+            if (extra.name === 'uppercase') {
+                const upper = chars[position].toUpperCase();
+                chars[position] = extra.chars.includes(upper) ? upper : PasswordGenerator.randomChar(extra.chars);
+            } else {
+                chars[position] = PasswordGenerator.randomChar(extra.chars);
+            }
+        }
+        return chars.join('');
+    }
+
+    /**
+     * Approximate strength of a generated password, assuming the attacker knows the options
+     * @param {Object} [options] - Generator options, as for generate()
+     * @returns {number} - Entropy in bits
+     */
+    static entropyBits(options = {}) {
+        const settings = { ...GENERATOR_DEFAULTS, ...options };
+
+        if (settings.mode === 'pronounceable') {
+            const excluded = new Set([...settings.exclude, ...(settings.excludeLookalikes ? GENERATOR_LOOKALIKES : '')]);
+            const count = (chars) => [...chars].filter(char => !excluded.has(char)).length;
+            const consonantBits = Math.ceil(settings.length / 2) * Math.log2(count(GENERATOR_CONSONANTS));
+            const vowelBits = Math.floor(settings.length / 2) * Math.log2(count(GENERATOR_VOWELS));
+            // Each extra character adds its choice and, roughly, its position
+            const extraBits = PasswordGenerator.classes({ ...settings, lowercase: false })
+                .reduce((bits, extra) => bits + Math.log2(extra.chars.length * settings.length), 0);
+            return consonantBits + vowelBits + extraBits;
+        }
+
+        const size = PasswordGenerator.classes(settings).reduce((total, charClass) => total + charClass.chars.length, 0);
+        return size > 0 ? settings.length * Math.log2(size) : 0;
+    }
+}
+
+// Export for use in other modules
+window.PasswordGenerator = PasswordGenerator;
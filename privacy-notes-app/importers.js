@@ -0,0 +1,634 @@
+/**
+ * Importers Module - Converts notes from other note apps into this app's note model
+ * Reads Markdown and text files (alone, in a folder or in a zip) with optional front
+ * matter, Google Keep Takeout JSON, Evernote ENEX, Standard Notes decrypted backups and
+ * password manager CSV exports. Converted notes are plain; the app encrypts them like any
+ * other note.
+ */
+
+const IMPORTER_TEXT_EXTENSIONS = ['md', 'markdown', 'txt'];
+const IMPORTER_FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+// Column names used by Bitwarden, 1Password, LastPass and KeePass CSV exports, by note field
+const IMPORTER_CSV_COLUMNS = {
+    title: ['name', 'title', 'account'],
+    username: ['login_username', 'username', 'user name', 'login name', 'login'],
+    password: ['login_password', 'password'],
+    url: ['login_uri', 'url', 'website', 'web site', 'login_url'],
+    notes: ['notes', 'note', 'comments', 'extra'],
+    totp: ['login_totp', 'otpauth', 'totp', 'one-time password'],
+    group: ['folder', 'group', 'grouping', 'category'],
+    tags: ['tags'],
+    favorite: ['favorite', 'fav'],
+    archived: ['archived'],
+    type: ['type'],
+    fields: ['fields']
+};
+// ENML and HTML elements that start a new line when converted to text
+const IMPORTER_BLOCK_ELEMENTS = new Set([
+    'address', 'blockquote', 'div', 'dl', 'dt', 'dd', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'hr', 'li', 'ol', 'p', 'pre', 'table', 'tr', 'ul', 'en-note'
+]);
+
+class NoteImporter {
+    /**
+     * Converts the files chosen for import
+     * @param {Array<File>} files - Files, a folder's files or zip archives
+     * @returns {Promise<Object>} - notes (without ids), skipped: [{ label, reason }] and
+     * sources: number of notes converted from each format
+     */
+    static async convert(files) {
+        const result = { notes: [], skipped: [], sources: {} };
+        const add = (source, converted) => NoteImporter.addConverted(result, source, converted);
+
+        const entries = await NoteImporter.readEntries(files, result.skipped);
+        const paths = new Set(entries.map(entry => entry.path));
+        for (const entry of entries) {
+            // Folders from macOS carry resource forks and hidden files alongside the notes
+            const name = entry.path.split('/').pop();
+            if (name.startsWith('.') || entry.path.startsWith('__MACOSX/')) continue;
+
+            const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+            // Keep Takeout has an HTML copy of every JSON note, and a list of labels
+            if (extension === 'html' && paths.has(entry.path.replace(/\.html$/i, '.json'))) continue;
+            if (/(^|\/)Keep\/Labels\.txt$/.test(entry.path)) continue;
+            try {
+                if (IMPORTER_TEXT_EXTENSIONS.includes(extension)) {
+                    const note = NoteImporter.fromMarkdown(entry.path, NoteImporter.decodeText(entry.bytes), entry.lastModified);
+                    add('Markdown', note
+                        ? { notes: [note], skipped: [] }
+                        : { notes: [], skipped: [{ label: entry.path, reason: 'Empty note' }] });
+                } else if (extension === 'enex') {
+                    add('Evernote', NoteImporter.fromEnex(entry.path, NoteImporter.decodeText(entry.bytes)));
+                } else if (extension === 'csv') {
+                    const converted = NoteImporter.fromCsv(entry.path, NoteImporter.decodeText(entry.bytes));
+                    add(converted.source, converted);
+                } else if (extension === 'kdbx') {
+                    result.skipped.push({ label: entry.path, reason: 'Choose KeePass databases on their own, to enter their master password' });
+                } else if (extension === 'json') {
+                    const data = JSON.parse(NoteImporter.decodeText(entry.bytes));
+                    if (data && Array.isArray(data.items)) {
+                        add('Standard Notes', NoteImporter.fromStandardNotes(entry.path, data));
+                    } else if (NoteImporter.isKeepNote(data)) {
+                        add('Google Keep', NoteImporter.fromKeep(entry.path, data));
+                    } else {
+                        result.skipped.push({ label: entry.path, reason: 'Not a Google Keep note or Standard Notes backup' });
+                    }
+                } else {
+                    result.skipped.push({ label: entry.path, reason: 'Not a supported file type' });
+                }
+            } catch (error) {
+                console.error('Failed to convert', entry.path, error);
+                result.skipped.push({ label: entry.path, reason: error instanceof SyntaxError ? 'Damaged JSON' : error.message });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Adds converted notes and skipped items to an import result
+     * @param {Object} result - Result of convert()
+     * @param {string} source - Name of the app the notes came from
+     * @param {Object} converted - { notes, skipped } from one converter
+     */
+    static addConverted(result, source, converted) {
+        converted.notes.forEach(note => result.notes.push(note));
+        converted.skipped.forEach(item => result.skipped.push(item));
+        if (converted.notes.length) {
+            result.sources[source] = (result.sources[source] || 0) + converted.notes.length;
+        }
+    }
+
+    /**
+     * Reads the chosen files, unpacking zip archives
+     * @param {Array<File>} files - Chosen files
+     * @param {Array} skipped - Receives archives and entries that can't be read
+     * @returns {Promise<Array<Object>>} - { path, bytes, lastModified } for each file
+     */
+    static async readEntries(files, skipped) {
+        const entries = [];
+        for (const file of files) {
+            const path = file.webkitRelativePath || file.name;
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            if (!/\.zip$/i.test(file.name)) {
+                entries.push({ path: path, bytes: bytes, lastModified: file.lastModified });
+                continue;
+            }
+
+            try {
+                (await NoteImporter.unzip(bytes, skipped)).forEach(entry => entries.push(entry));
+            } catch (error) {
+                console.error('Failed to read zip archive', path, error);
+                skipped.push({ label: path, reason: error.message });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Reads the files in a zip archive. Stored and deflated entries are supported.
+     * @param {Uint8Array} bytes - Archive contents
+     * @param {Array} skipped - Receives entries that can't be read
+     * @returns {Promise<Array<Object>>} - { path, bytes, lastModified } for each file
+     * @throws {Error} - If the archive can't be read
+     */
+    static async unzip(bytes, skipped) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('This zip archive is damaged');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error('Zip archives over 4 GB are not supported');
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('This zip archive is damaged');
+            }
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const time = view.getUint16(offset + 12, true);
+            const date = view.getUint16(offset + 14, true);
+            const size = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const path = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/')) continue;
+            if (flags & 1) {
+                skipped.push({ label: path, reason: 'Encrypted inside the zip archive' });
+                continue;
+            }
+            if (method !== 0 && method !== 8) {
+                skipped.push({ label: path, reason: 'Compressed with a method this browser cannot read' });
+                continue;
+            }
+
+            const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(start, start + size);
+            const contents = method === 0 ? data : new Uint8Array(await new Response(
+                new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+            ).arrayBuffer());
+
+            // MS-DOS date and time, in local time
+            const lastModified = new Date(1980 + (date >> 9), ((date >> 5) & 15) - 1, date & 31,
+                time >> 11, (time >> 5) & 63, (time & 31) * 2).getTime();
+            entries.push({ path: path, bytes: contents, lastModified: lastModified });
+        }
+        return entries;
+    }
+
+    /**
+     * Decodes a text file as UTF-8, without a byte order mark
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string} - Text
+     */
+    static decodeText(bytes) {
+        return new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Converts a Markdown or text file. Front matter may set the title, tags, dates and
+     * pinning; otherwise the title is the first heading or the file name.
+     * @param {string} path - File path, for the title
+     * @param {string} text - File contents
+     * @param {number} lastModified - File modification time in milliseconds
+     * @returns {Object|null} - Note, or null if the file is empty
+     */
+    static fromMarkdown(path, text, lastModified) {
+        const match = text.match(IMPORTER_FRONT_MATTER);
+        const meta = match ? NoteImporter.parseFrontMatter(match[1]) : {};
+        const content = (match ? text.slice(match[0].length) : text).replace(/\r\n/g, '\n').trim();
+
+        const heading = content.match(/^#\s+(.+)$/m);
+        const fileName = path.split('/').pop().replace(/\.[^.]+$/, '');
+        const title = String(meta.title || (heading && heading[1]) || fileName).trim();
+        if (!content && !meta.title) return null;
+
+        const fallback = new Date(lastModified || Date.now()).toISOString();
+        const tags = [].concat(meta.tags || meta.tag || meta.keywords || [])
+            .flatMap(tag => String(tag).split(','))
+            .map(tag => tag.trim().replace(/^#/, ''))
+            .filter(Boolean);
+
+        return NoteImporter.createNote({
+            title: title,
+            content: content,
+            tags: tags,
+            pinned: meta.pinned === true || meta.pinned === 'true',
+            createdAt: NoteImporter.parseDate(meta.created || meta.date) || fallback,
+            updatedAt: NoteImporter.parseDate(meta.updated || meta.modified || meta.lastmod) || fallback
+        });
+    }
+
+    /**
+     * Reads simple YAML front matter: scalars, [inline, lists] and "- item" lists
+     * @param {string} yaml - Text between the --- lines
+     * @returns {Object} - Values by lower-case key
+     */
+    static parseFrontMatter(yaml) {
+        const meta = {};
+        const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+        let listKey = null;
+
+        yaml.split(/\r?\n/).forEach(line => {
+            const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+            if (item && listKey) {
+                meta[listKey].push(unquote(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+            if (!pair) return;
+            const key = pair[1].toLowerCase();
+            const value = pair[2].trim();
+            listKey = null;
+
+            if (value === '') {
+                meta[key] = [];
+                listKey = key;
+            } else if (/^\[.*\]$/.test(value)) {
+                meta[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+            } else {
+                meta[key] = unquote(value);
+            }
+        });
+        return meta;
+    }
+
+    /**
+     * Checks whether JSON looks like a note from Google Keep Takeout
+     * @param {any} data - Parsed JSON
+     * @returns {boolean} - True for a Keep note
+     */
+    static isKeepNote(data) {
+        return Boolean(data) && typeof data === 'object' &&
+            ('textContent' in data || 'listContent' in data) && 'userEditedTimestampUsec' in data;
+    }
+
+    /**
+     * Converts a Google Keep note. Checklists become "- [ ]" lines and labels become tags.
+     * @param {string} path - File path, for the summary
+     * @param {Object} data - Parsed Keep JSON
+     * @returns {Object} - { notes, skipped }
+     */
+    static fromKeep(path, data) {
+        const skipped = [];
+        if (data.isTrashed) {
+            return { notes: [], skipped: [{ label: data.title || path, reason: 'In the Google Keep trash' }] };
+        }
+
+        let content = typeof data.textContent === 'string' ? data.textContent : '';
+        if (Array.isArray(data.listContent)) {
+            content = data.listContent.map(item => `- [${item.isChecked ? 'x' : ' '}] ${item.text || ''}`).join('\n');
+        }
+        if (Array.isArray(data.annotations)) {
+            const links = data.annotations.filter(link => link.url).map(link => link.url);
+            if (links.length) content += `\n\n${links.join('\n')}`;
+        }
+        if (Array.isArray(data.attachments) && data.attachments.length) {
+            skipped.push({ label: `${data.title || path}: ${data.attachments.length} ${data.attachments.length === 1 ? 'attachment' : 'attachments'}`, reason: 'Attachments are not imported' });
+        }
+
+        content = content.trim();
+        if (!content && !data.title) {
+            skipped.push({ label: path, reason: 'Empty note' });
+            return { notes: [], skipped: skipped };
+        }
+
+        const date = (usec) => Number.isFinite(Number(usec)) && Number(usec) > 0
+            ? new Date(Number(usec) / 1000).toISOString()
+            : null;
+        const updatedAt = date(data.userEditedTimestampUsec) || new Date().toISOString();
+        const note = NoteImporter.createNote({
+            title: data.title || path.split('/').pop().replace(/\.json$/i, ''),
+            content: content,
+            tags: Array.isArray(data.labels) ? data.labels.map(label => label.name).filter(Boolean) : [],
+            pinned: Boolean(data.isPinned),
+            archived: Boolean(data.isArchived),
+            createdAt: date(data.createdTimestampUsec) || updatedAt,
+            updatedAt: updatedAt
+        });
+        return { notes: [note], skipped: skipped };
+    }
+
+    /**
+     * Converts an Evernote ENEX export. Note content is converted from ENML to plain text.
+     * @param {string} path - File path, for the summary
+     * @param {string} xml - File contents
+     * @returns {Object} - { notes, skipped }
+     * @throws {Error} - If the file is not ENEX
+     */
+    static fromEnex(path, xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length || doc.documentElement.nodeName !== 'en-export') {
+            throw new Error('Not an Evernote export');
+        }
+
+        const notes = [];
+        const skipped = [];
+        const text = (parent, name) => {
+            const element = Array.from(parent.children).find(child => child.nodeName === name);
+            return element ? element.textContent : '';
+        };
+
+        Array.from(doc.documentElement.children).filter(child => child.nodeName === 'note').forEach((element, index) => {
+            const title = text(element, 'title').trim();
+            const label = title || `${path} #${index + 1}`;
+            const resources = Array.from(element.children).filter(child => child.nodeName === 'resource').length;
+            if (resources) {
+                skipped.push({ label: `${label}: ${resources} ${resources === 1 ? 'attachment' : 'attachments'}`, reason: 'Attachments are not imported' });
+            }
+
+            const content = NoteImporter.enmlToText(text(element, 'content'));
+            if (!content && !title) {
+                skipped.push({ label: label, reason: 'Empty note' });
+                return;
+            }
+
+            const updatedAt = NoteImporter.parseDate(text(element, 'updated')) || new Date().toISOString();
+            notes.push(NoteImporter.createNote({
+                title: title || 'Untitled',
+                content: content,
+                tags: Array.from(element.children).filter(child => child.nodeName === 'tag')
+                    .map(tag => tag.textContent.trim()).filter(Boolean),
+                createdAt: NoteImporter.parseDate(text(element, 'created')) || updatedAt,
+                updatedAt: updatedAt
+            }));
+        });
+        return { notes: notes, skipped: skipped };
+    }
+
+    /**
+     * Converts ENML (Evernote's XHTML) to plain text, keeping line breaks, list items and
+     * checkboxes
+     * @param {string} enml - Note content
+     * @returns {string} - Text
+     */
+    static enmlToText(enml) {
+        if (!enml.trim()) return '';
+        // Parsed as HTML, a self-closing <en-todo/> or <en-media/> would swallow the text after it
+        const html = enml.replace(/<!DOCTYPE[^>]*>/i, '').replace(/<(en-[a-z]+)([^>]*?)\/>/gi, '<$1$2></$1>');
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        let text = '';
+        const newline = () => {
+            if (text && !text.endsWith('\n')) text += '\n';
+        };
+
+        const walk = (node, preformatted) => {
+            if (node.nodeType === 3) {
+                text += preformatted ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            const name = node.nodeName.toLowerCase();
+            if (name === 'br') {
+                text += '\n';
+                return;
+            }
+            if (name === 'en-todo') {
+                text += node.getAttribute('checked') === 'true' ? '[x] ' : '[ ] ';
+                return;
+            }
+            if (name === 'en-media' || name === 'en-crypt' || name === 'script' || name === 'style') return;
+
+            const block = IMPORTER_BLOCK_ELEMENTS.has(name);
+            if (block) newline();
+            if (name === 'li') text += '- ';
+            Array.from(node.childNodes).forEach(child => walk(child, preformatted || name === 'pre'));
+            if (block) newline();
+        };
+        walk(doc.body, false);
+
+        return text.split('\n').map(line => line.replace(/^ +| +$/g, '')).join('\n')
+            .replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Converts a decrypted Standard Notes backup. Tags are attached to the notes they
+     * reference; other item types are left out.
+     * @param {string} path - File path, for the summary
+     * @param {Object} data - Parsed backup
+     * @returns {Object} - { notes, skipped }
+     */
+    static fromStandardNotes(path, data) {
+        const notes = [];
+        const skipped = [];
+        const tagsByNote = new Map();
+        const otherTypes = {};
+        let encrypted = 0;
+
+        data.items.forEach(item => {
+            if (!item || item.deleted) return;
+            if (typeof item.content === 'string') {
+                encrypted++;
+            } else if (item.content_type === 'Tag' && item.content) {
+                (item.content.references || []).filter(ref => ref.content_type === 'Note').forEach(ref => {
+                    if (!tagsByNote.has(ref.uuid)) tagsByNote.set(ref.uuid, []);
+                    tagsByNote.get(ref.uuid).push(item.content.title);
+                });
+            } else if (item.content_type !== 'Note') {
+                otherTypes[item.content_type] = (otherTypes[item.content_type] || 0) + 1;
+            }
+        });
+
+        if (encrypted) {
+            skipped.push({ label: `${path}: ${encrypted} encrypted ${encrypted === 1 ? 'item' : 'items'}`, reason: 'Encrypted; export a decrypted backup from Standard Notes' });
+        }
+        Object.entries(otherTypes).forEach(([type, count]) => {
+            skipped.push({ label: `${path}: ${count} ${type} ${count === 1 ? 'item' : 'items'}`, reason: 'Not a note' });
+        });
+
+        data.items.filter(item => item && !item.deleted && item.content_type === 'Note' && item.content && typeof item.content === 'object')
+            .forEach(item => {
+                const content = item.content;
+                const appData = (content.appData && content.appData['org.standardnotes.sn']) || {};
+                const title = typeof content.title === 'string' ? content.title.trim() : '';
+                const label = title || item.uuid || path;
+
+                if (content.trashed || appData.trashed) {
+                    skipped.push({ label: label, reason: 'In the Standard Notes trash' });
+                    return;
+                }
+                if (content.noteType === 'super') {
+                    skipped.push({ label: label, reason: 'Super notes are not supported; export them as Markdown' });
+                    return;
+                }
+
+                const text = typeof content.text === 'string' ? content.text.trim() : '';
+                if (!text && !title) {
+                    skipped.push({ label: label, reason: 'Empty note' });
+                    return;
+                }
+
+                const updatedAt = NoteImporter.parseDate(item.updated_at) || new Date().toISOString();
+                notes.push(NoteImporter.createNote({
+                    title: title || 'Untitled',
+                    content: text,
+                    tags: (tagsByNote.get(item.uuid) || []).filter(Boolean),
+                    pinned: Boolean(content.pinned || appData.pinned),
+                    archived: Boolean(content.archived || appData.archived),
+                    createdAt: NoteImporter.parseDate(item.created_at) || updatedAt,
+                    updatedAt: updatedAt
+                }));
+            });
+        return { notes: notes, skipped: skipped };
+    }
+
+    /**
+     * Converts a password manager CSV export. Logins become login notes, folders and groups
+     * become tags; Bitwarden secure notes become plain notes.
+     * @param {string} path - File path, for the summary
+     * @param {string} text - File contents
+     * @returns {Object} - { notes, skipped, source }: source names the app the columns match
+     */
+    static fromCsv(path, text) {
+        const rows = NoteImporter.parseCsv(text);
+        const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+        const column = {};
+        Object.entries(IMPORTER_CSV_COLUMNS).forEach(([field, names]) => {
+            column[field] = header.findIndex(name => names.includes(name));
+        });
+        if (column.password < 0 || (column.title < 0 && column.url < 0)) {
+            return { notes: [], skipped: [{ label: path, reason: 'Not a password manager export' }], source: 'CSV' };
+        }
+
+        let source = 'CSV';
+        if (header.includes('login_password')) source = 'Bitwarden';
+        else if (header.includes('otpauth')) source = '1Password';
+        else if (header.includes('grouping')) source = 'LastPass';
+        else if (header.includes('login name')) source = 'KeePass';
+
+        const notes = [];
+        const skipped = [];
+        const now = new Date().toISOString();
+        rows.forEach((row, index) => {
+            const value = (field) => (column[field] >= 0 && row[column[field]] ? row[column[field]].trim() : '');
+            const label = value('title') || value('url') || `${path} row ${index + 2}`;
+            const type = value('type').toLowerCase();
+            if (type && type !== 'login' && type !== 'note') {
+                skipped.push({ label: label, reason: `${type} items are not imported` });
+                return;
+            }
+            if (!value('title') && !value('username') && !row[column.password] && !value('url') && !value('notes')) {
+                skipped.push({ label: label, reason: 'Empty row' });
+                return;
+            }
+
+            const flag = (field) => ['1', 'true', 'yes'].includes(value(field).toLowerCase());
+            const content = [value('notes'), value('fields')].filter(Boolean).join('\n\n');
+            const note = NoteImporter.createNote({
+                title: value('title') || value('url') || 'Untitled',
+                content: content,
+                tags: [value('group')].concat(value('tags').split(/[,;]/)).map(tag => tag.trim()).filter(Boolean),
+                pinned: flag('favorite'),
+                archived: flag('archived'),
+                createdAt: now,
+                updatedAt: now
+            });
+            if (type !== 'note') {
+                note.type = 'login';
+                note.fields = {
+                    username: value('username'),
+                    // Passwords are kept exactly, including surrounding spaces
+                    password: column.password >= 0 ? row[column.password] || '' : '',
+                    url: value('url'),
+                    totp: value('totp')
+                };
+            }
+            notes.push(note);
+        });
+        return { notes: notes, skipped: skipped, source: source };
+    }
+
+    /**
+     * Splits CSV (RFC 4180) into rows of fields. Quoted fields may hold commas, quotes
+     * and line breaks.
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} - Rows, without empty lines
+     */
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+        return rows.filter(fields => fields.some(value => value !== ''));
+    }
+
+    /**
+     * Reads a date in ISO 8601 or Evernote's compact form (20240131T120000Z)
+     * @param {any} value - Date from the imported file
+     * @returns {string|null} - ISO date, or null if there is none
+     */
+    static parseDate(value) {
+        if (!value) return null;
+        const compact = String(value).match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        const date = compact
+            ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3], compact[4], compact[5], compact[6]))
+            : new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * Fills in the fields every note has
+     * @param {Object} fields - Converted fields
+     * @returns {Object} - Note without an id
+     */
+    static createNote(fields) {
+        return {
+            title: '',
+            content: '',
+            tags: [],
+            pinned: false,
+            archived: false,
+            ...fields,
+            tags: [...new Set(fields.tags || [])]
+        };
+    }
+}
+
+// Export for use in other modules
+window.NoteImporter = NoteImporter;
@@ -0,0 +1,523 @@
+/**
+ * KDBX Module - Reads KeePass KDBX 4 databases in the browser
+ * The database is opened with its master password: the key is derived with Argon2 (or
+ * AES-KDF), the header and every block are checked with HMAC-SHA-256, the payload is
+ * decrypted (AES-256-CBC or ChaCha20) and protected values are unmasked. Entries are
+ * converted to login notes; nothing is written back.
+ */
+
+const KDBX_SIGNATURE = [0x9AA2D903, 0xB54BFB67];
+const KDBX_CIPHERS = {
+    '31c1f2e6bf714350be5805216afc5aff': 'aes256',
+    'd6038a2b8b6f4cb5a524339a31dbb59a': 'chacha20',
+    'ad68f29f576f4bb9a36ad47af965346c': 'twofish'
+};
+const KDBX_KDFS = {
+    'ef636ddf8c29444b91f7a9a403e30a0c': 'argon2d',
+    '9e298b1956db4773b23dfc3ec6f0a1e6': 'argon2id',
+    'c9d9f39a628a4460bf740d08c18a4fea': 'aes',
+    '7c02bb8279a74ac0927d114a00648238': 'aes'
+};
+// Inner random stream that masks protected values; KDBX 4 writers use ChaCha20
+const KDBX_INNER_CHACHA20 = 3;
+// Seconds from 0001-01-01 to the Unix epoch, for KDBX 4 timestamps
+const KDBX_EPOCH_OFFSET = 62135596800;
+// Strings every entry has, or that become login fields
+const KDBX_STANDARD_FIELDS = ['Title', 'UserName', 'Password', 'URL', 'Notes', 'otp'];
+
+class Kdbx {
+    /**
+     * Checks whether file contents start like a KeePass database
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} - True for a KDBX file of any version
+     */
+    static isKdbx(bytes) {
+        if (bytes.length < 12) return false;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return view.getUint32(0, true) === KDBX_SIGNATURE[0] && view.getUint32(4, true) === KDBX_SIGNATURE[1];
+    }
+
+    /**
+     * Opens a KDBX 4 database and converts its entries to login notes
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} password - Master password
+     * @returns {Promise<Object|null>} - { notes, skipped } as for NoteImporter, or null if the
+     * master password is wrong
+     * @throws {Error} - With a user-facing message if the database can't be read
+     */
+    static async read(bytes, password) {
+        const doc = await Kdbx.open(bytes, password);
+        return doc ? Kdbx.toNotes(doc) : null;
+    }
+
+    /**
+     * Opens a KDBX 4 database
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} password - Master password
+     * @returns {Promise<Document|null>} - Database XML with protected values unmasked, or
+     * null if the master password is wrong
+     * @throws {Error} - With a user-facing message if the database can't be read
+     */
+    static async open(bytes, password) {
+        if (!Kdbx.isKdbx(bytes)) {
+            throw new Error('This is not a KeePass database');
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const major = view.getUint16(10, true);
+        if (major !== 4) {
+            throw new Error(`Only KDBX 4 databases can be imported; this one is KDBX ${major}. Save it with KeePass 2.35 or KeePassXC 2.7 or later first.`);
+        }
+
+        const header = Kdbx.readHeader(bytes, 12, 4);
+        const headerBytes = bytes.subarray(0, header.end);
+        const storedHash = bytes.subarray(header.end, header.end + 32);
+        const storedHmac = bytes.subarray(header.end + 32, header.end + 64);
+        if (!Kdbx.equal(await Kdbx.sha256(headerBytes), storedHash)) {
+            throw new Error('This KeePass database is damaged');
+        }
+
+        const cipher = KDBX_CIPHERS[Kdbx.hex(header.fields[2] || new Uint8Array(0))];
+        if (!cipher) {
+            throw new Error('This KeePass database uses an unknown cipher');
+        }
+        if (cipher === 'twofish') {
+            throw new Error('Twofish-encrypted databases are not supported. Switch the database to AES or ChaCha20 in KeePass first.');
+        }
+        const masterSeed = header.fields[4];
+        const iv = header.fields[7];
+        const kdfParameters = header.fields[11];
+        if (!masterSeed || masterSeed.length !== 32 || !iv || !kdfParameters) {
+            throw new Error('This KeePass database is damaged');
+        }
+
+        const compositeKey = await Kdbx.sha256(await Kdbx.sha256(new TextEncoder().encode(password)));
+        const transformedKey = await Kdbx.transformKey(compositeKey, Kdbx.readVariantDictionary(kdfParameters));
+        const encryptionKey = await Kdbx.sha256(Kdbx.concat(masterSeed, transformedKey));
+        const hmacBaseKey = await Kdbx.sha512(Kdbx.concat(masterSeed, transformedKey, new Uint8Array([1])));
+
+        // A header that doesn't authenticate means a wrong master password (its hash already matched)
+        const headerKey = await Kdbx.sha512(Kdbx.concat(new Uint8Array(8).fill(0xFF), hmacBaseKey));
+        if (!Kdbx.equal(await Kdbx.hmac(headerKey, headerBytes), storedHmac)) {
+            return null;
+        }
+
+        const encrypted = await Kdbx.readBlocks(bytes.subarray(header.end + 64), hmacBaseKey);
+        let payload = await Kdbx.decryptPayload(cipher, encryptionKey, iv, encrypted);
+
+        const compression = header.fields[3] ? new DataView(header.fields[3].buffer, header.fields[3].byteOffset).getUint32(0, true) : 0;
+        if (compression === 1) {
+            payload = new Uint8Array(await new Response(
+                new Blob([payload]).stream().pipeThrough(new DecompressionStream('gzip'))
+            ).arrayBuffer());
+        }
+
+        const inner = Kdbx.readHeader(payload, 0, 4);
+        const streamId = inner.fields[1] ? new DataView(inner.fields[1].buffer, inner.fields[1].byteOffset).getUint32(0, true) : 0;
+        if (streamId !== KDBX_INNER_CHACHA20 || !inner.fields[2]) {
+            throw new Error('This KeePass database protects its values with an unsupported stream cipher');
+        }
+
+        const doc = new DOMParser().parseFromString(new TextDecoder().decode(payload.subarray(inner.end)), 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length || doc.documentElement.nodeName !== 'KeePassFile') {
+            throw new Error('This KeePass database is damaged');
+        }
+        await Kdbx.unprotect(doc, inner.fields[2]);
+        return doc;
+    }
+
+    /**
+     * Reads type-length-value header fields up to the end field
+     * @param {Uint8Array} bytes - Data holding the header
+     * @param {number} offset - Where the fields start
+     * @param {number} sizeBytes - Width of the length (4 in KDBX 4)
+     * @returns {Object} - { fields: bytes by field id, end: offset after the end field }
+     */
+    static readHeader(bytes, offset, sizeBytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const fields = {};
+        while (offset + 1 + sizeBytes <= bytes.length) {
+            const id = bytes[offset];
+            const size = view.getUint32(offset + 1, true);
+            const start = offset + 1 + sizeBytes;
+            if (start + size > bytes.length) break;
+            offset = start + size;
+            if (id === 0) return { fields: fields, end: offset };
+            // Inner headers repeat the binary field for each attachment; only the first of each id is needed here
+            if (!(id in fields)) fields[id] = bytes.subarray(start, start + size);
+        }
+        throw new Error('This KeePass database is damaged');
+    }
+
+    /**
+     * Reads a KeePass VariantDictionary (used for the KDF parameters)
+     * @param {Uint8Array} bytes - Serialized dictionary
+     * @returns {Object} - Values by key: numbers, booleans, strings or byte arrays
+     */
+    static readVariantDictionary(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint16(0, true) >> 8 !== 1) {
+            throw new Error('This KeePass database has KDF settings this version cannot read');
+        }
+
+        const values = {};
+        let offset = 2;
+        while (offset < bytes.length) {
+            const type = bytes[offset];
+            if (type === 0) break;
+            const keyLength = view.getUint32(offset + 1, true);
+            const key = new TextDecoder().decode(bytes.subarray(offset + 5, offset + 5 + keyLength));
+            offset += 5 + keyLength;
+            const valueLength = view.getUint32(offset, true);
+            const value = bytes.subarray(offset + 4, offset + 4 + valueLength);
+            const valueView = new DataView(value.buffer, value.byteOffset, value.byteLength);
+            offset += 4 + valueLength;
+
+            if (type === 0x04) values[key] = valueView.getUint32(0, true);
+            else if (type === 0x05) values[key] = Number(valueView.getBigUint64(0, true));
+            else if (type === 0x08) values[key] = value[0] !== 0;
+            else if (type === 0x0C) values[key] = valueView.getInt32(0, true);
+            else if (type === 0x0D) values[key] = Number(valueView.getBigInt64(0, true));
+            else if (type === 0x18) values[key] = new TextDecoder().decode(value);
+            else values[key] = value;
+        }
+        return values;
+    }
+
+    /**
+     * Derives the transformed key from the composite key with the database's KDF
+     * @param {Uint8Array} compositeKey - SHA-256 of the hashed master password
+     * @param {Object} params - KDF parameters from the header
+     * @returns {Promise<Uint8Array>} - 32-byte transformed key
+     */
+    static async transformKey(compositeKey, params) {
+        const kdf = KDBX_KDFS[Kdbx.hex(params.$UUID || new Uint8Array(0))];
+        if (kdf === 'argon2d' || kdf === 'argon2id') {
+            // Memory is given in bytes; the Argon2 module works in KiB
+            const memory = Math.floor(params.M / 1024);
+            if (!memory || memory > 1024 * 1024) {
+                throw new Error('This KeePass database needs more memory to open than a browser tab can use');
+            }
+            return Argon2.hash({
+                password: compositeKey,
+                salt: params.S,
+                memory: memory,
+                iterations: params.I,
+                parallelism: params.P,
+                hashLength: 32,
+                type: kdf,
+                version: params.V,
+                secret: params.K,
+                associatedData: params.A
+            });
+        }
+        if (kdf === 'aes') {
+            return Kdbx.aesKdf(compositeKey, params.S, params.R);
+        }
+        throw new Error('This KeePass database uses an unknown key derivation function');
+    }
+
+    /**
+     * KeePass's AES-KDF: each half of the key is encrypted with AES-256-ECB, rounds times,
+     * under the seed, then hashed. Web Crypto has no ECB mode; CBC with a zero IV gives the
+     * same first block.
+     * @param {Uint8Array} compositeKey - Composite key
+     * @param {Uint8Array} seed - 32-byte transform seed
+     * @param {number} rounds - Number of rounds
+     * @returns {Promise<Uint8Array>} - Transformed key
+     */
+    static async aesKdf(compositeKey, seed, rounds) {
+        const key = await crypto.subtle.importKey('raw', seed, 'AES-CBC', false, ['encrypt']);
+        const iv = new Uint8Array(16);
+        const transform = async (block) => {
+            for (let i = 0; i < rounds; i++) {
+                block = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: iv }, key, block), 0, 16);
+            }
+            return block;
+        };
+        const halves = await Promise.all([transform(compositeKey.slice(0, 16)), transform(compositeKey.slice(16, 32))]);
+        return Kdbx.sha256(Kdbx.concat(halves[0], halves[1]));
+    }
+
+    /**
+     * Reads the HMAC-authenticated blocks that follow the header
+     * @param {Uint8Array} bytes - Data after the header hash and HMAC
+     * @param {Uint8Array} hmacBaseKey - 64-byte HMAC base key
+     * @returns {Promise<Uint8Array>} - Encrypted payload
+     * @throws {Error} - If a block doesn't authenticate
+     */
+    static async readBlocks(bytes, hmacBaseKey) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const blocks = [];
+        let offset = 0;
+        for (let index = 0n; ; index++) {
+            if (offset + 36 > bytes.length) {
+                throw new Error('This KeePass database is damaged or incomplete');
+            }
+            const storedHmac = bytes.subarray(offset, offset + 32);
+            const size = view.getInt32(offset + 32, true);
+            if (size < 0 || offset + 36 + size > bytes.length) {
+                throw new Error('This KeePass database is damaged or incomplete');
+            }
+            const data = bytes.subarray(offset + 36, offset + 36 + size);
+
+            const blockIndex = new Uint8Array(8);
+            new DataView(blockIndex.buffer).setBigUint64(0, index, true);
+            const blockKey = await Kdbx.sha512(Kdbx.concat(blockIndex, hmacBaseKey));
+            const hmac = await Kdbx.hmac(blockKey, Kdbx.concat(blockIndex, bytes.subarray(offset + 32, offset + 36), data));
+            if (!Kdbx.equal(hmac, storedHmac)) {
+                throw new Error('This KeePass database is damaged');
+            }
+
+            offset += 36 + size;
+            if (size === 0) break;
+            blocks.push(data);
+        }
+        return Kdbx.concat(...blocks);
+    }
+
+    /**
+     * Decrypts the payload with the database's cipher
+     * @param {string} cipher - 'aes256' or 'chacha20'
+     * @param {Uint8Array} key - Encryption key
+     * @param {Uint8Array} iv - IV from the header
+     * @param {Uint8Array} data - Encrypted payload
+     * @returns {Promise<Uint8Array>} - Inner header and XML, possibly compressed
+     */
+    static async decryptPayload(cipher, key, iv, data) {
+        if (cipher === 'chacha20') {
+            return Kdbx.chacha20(key, iv)(data);
+        }
+        const aesKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['decrypt']);
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv: iv }, aesKey, data));
+        } catch (error) {
+            throw new Error('This KeePass database is damaged');
+        }
+    }
+
+    /**
+     * Unmasks protected values (passwords and other protected strings) in document order,
+     * as the inner ChaCha20 stream requires
+     * @param {Document} doc - Database XML
+     * @param {Uint8Array} streamKey - Inner random stream key
+     */
+    static async unprotect(doc, streamKey) {
+        const hash = await Kdbx.sha512(streamKey);
+        const stream = Kdbx.chacha20(hash.subarray(0, 32), hash.subarray(32, 44));
+        Array.from(doc.getElementsByTagName('Value')).forEach(value => {
+            if (value.getAttribute('Protected') !== 'True') return;
+            const masked = Uint8Array.from(atob(value.textContent.trim()), char => char.charCodeAt(0));
+            value.textContent = new TextDecoder().decode(stream(masked));
+            value.removeAttribute('Protected');
+        });
+    }
+
+    /**
+     * ChaCha20 (RFC 8439) keystream with a 96-bit nonce and the block counter starting at 0
+     * @param {Uint8Array} key - 32-byte key
+     * @param {Uint8Array} nonce - 12-byte nonce
+     * @returns {Function} - XORs each call's data with the next bytes of the keystream
+     */
+    static chacha20(key, nonce) {
+        const keyView = new DataView(key.buffer, key.byteOffset, 32);
+        const nonceView = new DataView(nonce.buffer, nonce.byteOffset, 12);
+        const state = new Uint32Array(16);
+        state.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+        for (let i = 0; i < 8; i++) state[4 + i] = keyView.getUint32(i * 4, true);
+        for (let i = 0; i < 3; i++) state[13 + i] = nonceView.getUint32(i * 4, true);
+
+        const working = new Uint32Array(16);
+        const keystream = new Uint8Array(64);
+        const keystreamView = new DataView(keystream.buffer);
+        let used = 64;
+
+        const rotl = (value, shift) => (value << shift) | (value >>> (32 - shift));
+        const quarterRound = (a, b, c, d) => {
+            working[a] += working[b]; working[d] = rotl(working[d] ^ working[a], 16);
+            working[c] += working[d]; working[b] = rotl(working[b] ^ working[c], 12);
+            working[a] += working[b]; working[d] = rotl(working[d] ^ working[a], 8);
+            working[c] += working[d]; working[b] = rotl(working[b] ^ working[c], 7);
+        };
+        const nextBlock = () => {
+            working.set(state);
+            for (let round = 0; round < 10; round++) {
+                quarterRound(0, 4, 8, 12); quarterRound(1, 5, 9, 13);
+                quarterRound(2, 6, 10, 14); quarterRound(3, 7, 11, 15);
+                quarterRound(0, 5, 10, 15); quarterRound(1, 6, 11, 12);
+                quarterRound(2, 7, 8, 13); quarterRound(3, 4, 9, 14);
+            }
+            for (let i = 0; i < 16; i++) keystreamView.setUint32(i * 4, (working[i] + state[i]) >>> 0, true);
+            state[12]++;
+            used = 0;
+        };
+
+        return (data) => {
+            const output = new Uint8Array(data.length);
+            for (let i = 0; i < data.length; i++) {
+                if (used === 64) nextBlock();
+                output[i] = data[i] ^ keystream[used++];
+            }
+            return output;
+        };
+    }
+
+    /**
+     * Converts the database's entries to login notes. Groups become tags; entries in the
+     * recycle bin and old entry versions are left out.
+     * @param {Document} doc - Unprotected database XML
+     * @returns {Object} - { notes, skipped } as for NoteImporter
+     */
+    static toNotes(doc) {
+        const child = (parent, name) => Array.from(parent.children).find(element => element.nodeName === name);
+        const children = (parent, name) => Array.from(parent.children).filter(element => element.nodeName === name);
+        const text = (parent, name) => {
+            const element = parent && child(parent, name);
+            return element ? element.textContent : '';
+        };
+
+        const meta = child(doc.documentElement, 'Meta');
+        const recycleBin = meta && text(meta, 'RecycleBinEnabled') !== 'False' ? text(meta, 'RecycleBinUUID') : '';
+        const root = child(doc.documentElement, 'Root');
+        const notes = [];
+        const skipped = [];
+
+        const walk = (group, path, inRecycleBin) => {
+            children(group, 'Entry').forEach(entry => {
+                const strings = {};
+                children(entry, 'String').forEach(string => {
+                    strings[text(string, 'Key')] = text(string, 'Value');
+                });
+                const title = strings.Title || 'Untitled';
+                if (inRecycleBin) {
+                    skipped.push({ label: title, reason: 'In the KeePass recycle bin' });
+                    return;
+                }
+
+                const attachments = children(entry, 'Binary').length;
+                if (attachments) {
+                    skipped.push({ label: `${title}: ${attachments} ${attachments === 1 ? 'attachment' : 'attachments'}`, reason: 'Attachments are not imported' });
+                }
+
+                // Custom strings have no field of their own, so they are kept in the note text
+                const custom = Object.keys(strings)
+                    .filter(key => !KDBX_STANDARD_FIELDS.includes(key) && !key.startsWith('TimeOtp-') && strings[key])
+                    .map(key => `${key}: ${strings[key]}`);
+                const content = [strings.Notes || '', custom.join('\n')].filter(Boolean).join('\n\n');
+
+                const times = child(entry, 'Times');
+                const updatedAt = Kdbx.parseTime(text(times, 'LastModificationTime')) || new Date().toISOString();
+                notes.push(NoteImporter.createNote({
+                    type: 'login',
+                    title: title,
+                    content: content,
+                    fields: {
+                        username: strings.UserName || '',
+                        password: strings.Password || '',
+                        url: strings.URL || '',
+                        totp: strings.otp || strings['TimeOtp-Secret-Base32'] || ''
+                    },
+                    tags: path.concat(text(entry, 'Tags').split(/[;,]/)).map(tag => tag.trim()).filter(Boolean),
+                    createdAt: Kdbx.parseTime(text(times, 'CreationTime')) || updatedAt,
+                    updatedAt: updatedAt
+                }));
+            });
+
+            children(group, 'Group').forEach(subgroup => {
+                const recycled = inRecycleBin || (recycleBin && text(subgroup, 'UUID') === recycleBin);
+                walk(subgroup, path.concat(text(subgroup, 'Name')), recycled);
+            });
+        };
+
+        // The root group is the database itself, so only the groups below it become tags
+        const top = root && child(root, 'Group');
+        if (top) walk(top, [], false);
+        return { notes: notes, skipped: skipped };
+    }
+
+    /**
+     * Reads a KDBX timestamp: base64 seconds since year 1 in KDBX 4, or an ISO date
+     * @param {string} value - Timestamp text
+     * @returns {string|null} - ISO date, or null if there is none
+     */
+    static parseTime(value) {
+        if (!value) return null;
+        if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return NoteImporter.parseDate(value);
+        try {
+            const bytes = Uint8Array.from(atob(value.trim()), char => char.charCodeAt(0));
+            if (bytes.length !== 8) return null;
+            const seconds = Number(new DataView(bytes.buffer).getBigInt64(0, true)) - KDBX_EPOCH_OFFSET;
+            return new Date(seconds * 1000).toISOString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * SHA-256 digest
+     * @param {Uint8Array} data - Input
+     * @returns {Promise<Uint8Array>} - Digest
+     */
+    static async sha256(data) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    }
+
+    /**
+     * SHA-512 digest
+     * @param {Uint8Array} data - Input
+     * @returns {Promise<Uint8Array>} - Digest
+     */
+    static async sha512(data) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-512', data));
+    }
+
+    /**
+     * HMAC-SHA-256
+     * @param {Uint8Array} key - Key
+     * @param {Uint8Array} data - Message
+     * @returns {Promise<Uint8Array>} - Tag
+     */
+    static async hmac(key, data) {
+        const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+    }
+
+    /**
+     * Joins byte arrays
+     * @param {...Uint8Array} parts - Byte arrays
+     * @returns {Uint8Array} - Their concatenation
+     */
+    static concat(...parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Compares two byte arrays without stopping at the first difference
+     * @param {Uint8Array} a - Bytes
+     * @param {Uint8Array} b - Bytes
+     * @returns {boolean} - True if they are equal
+     */
+    static equal(a, b) {
+        if (a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+        return difference === 0;
+    }
+
+    /**
+     * Hex string of a UUID or other bytes
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} - Lower-case hex
+     */
+    static hex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other modules
+window.Kdbx = Kdbx;
@@ -0,0 +1,172 @@
+/**
+ * Merge Module - Validates imported notes and merges them into the vault
+ * An import is first compared with the notes already in the vault (a dry run), then
+ * applied with the merge strategy the user picks. Timestamps of imported notes are kept.
+ */
+
+const MERGE_STRATEGIES = ['newer', 'both', 'overwrite'];
+// Note ids are made by StorageManager.generateId(): base-36 time and randomness
+const NOTE_ID_PATTERN = /^[0-9a-z]+$/;
+// Fields that say nothing about a note's content when comparing two copies of it
+const MERGE_IGNORED_FIELDS = ['id', 'userId', 'encrypted', 'schema', 'payload', 'updatedAt', 'revision'];
+
+class NoteMerge {
+    /**
+     * The merge strategies, for callers that list them
+     * @returns {Array<string>} - 'newer' keeps the newer copy, 'both' keeps both as duplicates,
+     * 'overwrite' replaces notes in the vault with the imported ones
+     */
+    static get strategies() {
+        return [...MERGE_STRATEGIES];
+    }
+
+    /**
+     * Checks a note as stored before it is decrypted
+     * @param {Object} record - Stored note from a backup or export
+     * @returns {string|null} - Why it can't be imported, or null if it looks right
+     */
+    static validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return 'Not a note';
+        }
+        if (typeof record.id !== 'string' || !record.id) {
+            return 'No note id';
+        }
+        if (!NOTE_ID_PATTERN.test(record.id)) {
+            return 'Note id is damaged';
+        }
+        if (!record.encrypted) {
+            return 'Not encrypted';
+        }
+        if (record.schema === 3) {
+            return typeof record.payload === 'string' ? null : 'Encrypted contents are missing';
+        }
+        if (typeof record.title !== 'string' || typeof record.content !== 'string') {
+            return 'Title or content is missing';
+        }
+        if (record.tags !== undefined && !Array.isArray(record.tags)) {
+            return 'Tags are damaged';
+        }
+        return null;
+    }
+
+    /**
+     * Checks a decrypted note
+     * @param {Object} note - Decrypted note
+     * @returns {string|null} - Why it can't be imported, or null if it looks right
+     */
+    static validateNote(note) {
+        if (typeof note.title !== 'string' || typeof note.content !== 'string') {
+            return 'Title or content is missing';
+        }
+        if (!Array.isArray(note.tags) || note.tags.some(tag => typeof tag !== 'string')) {
+            return 'Tags are damaged';
+        }
+        if (Number.isNaN(Date.parse(note.createdAt)) || Number.isNaN(Date.parse(note.updatedAt))) {
+            return 'Dates are missing or damaged';
+        }
+        if (note.type !== undefined && note.type !== 'login') {
+            return `Unknown note type "${note.type}"`;
+        }
+        if (note.type === 'login' && !note.lock && (!note.fields || typeof note.fields !== 'object')) {
+            return 'Login details are missing';
+        }
+        return null;
+    }
+
+    /**
+     * Dry run: sorts imported notes by how they relate to the vault's notes
+     * @param {Array} incoming - Decrypted, valid imported notes with unique ids
+     * @param {Array} existing - Decrypted notes in the vault
+     * @returns {Object} - { added, identical, conflicts: [{ incoming, existing }] }
+     */
+    static compare(incoming, existing) {
+        const byId = new Map(existing.map(note => [note.id, note]));
+        const preview = { added: [], identical: [], conflicts: [] };
+
+        incoming.forEach(note => {
+            const current = byId.get(note.id);
+            if (!current) {
+                preview.added.push(note);
+            } else if (NoteMerge.isSame(note, current)) {
+                preview.identical.push(note);
+            } else {
+                preview.conflicts.push({ incoming: note, existing: current });
+            }
+        });
+        return preview;
+    }
+
+    /**
+     * Whether two copies of a note have the same content, whenever they were saved
+     * @param {Object} a - Decrypted note
+     * @param {Object} b - Decrypted note
+     * @returns {boolean} - True if nothing but the save time and counter differs
+     */
+    static isSame(a, b) {
+        const content = (note) => {
+            const fields = {};
+            Object.keys(note).filter(key => !MERGE_IGNORED_FIELDS.includes(key)).forEach(key => {
+                fields[key] = note[key];
+            });
+            return Backup.canonicalJson(fields);
+        };
+        return content(a) === content(b);
+    }
+
+    /**
+     * Whether the imported copy of a conflicting note is the newer one
+     * @param {Object} conflict - { incoming, existing }
+     * @returns {boolean} - True if the imported copy was saved later
+     */
+    static isNewer(conflict) {
+        const incoming = Date.parse(conflict.incoming.updatedAt);
+        const existing = Date.parse(conflict.existing.updatedAt);
+        if (incoming !== existing) return incoming > existing;
+        return (conflict.incoming.revision || 0) > (conflict.existing.revision || 0);
+    }
+
+    /**
+     * Applies a merge strategy to a dry run
+     * @param {Object} preview - Result of compare()
+     * @param {string} strategy - One of NoteMerge.strategies
+     * @param {Function} generateId - Makes an id for a duplicate
+     * @returns {Object} - notes to write (decrypted, with their original timestamps) and counts:
+     * added, replaced, duplicated, kept (vault copy kept) and identical
+     */
+    static resolve(preview, strategy, generateId) {
+        if (!MERGE_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown merge strategy "${strategy}"`);
+        }
+
+        const result = {
+            notes: [...preview.added],
+            added: preview.added.length,
+            replaced: 0,
+            duplicated: 0,
+            kept: 0,
+            identical: preview.identical.length
+        };
+
+        preview.conflicts.forEach(conflict => {
+            if (strategy === 'overwrite' || (strategy === 'newer' && NoteMerge.isNewer(conflict))) {
+                result.notes.push(conflict.incoming);
+                result.replaced++;
+            } else if (strategy === 'both' && !conflict.incoming.lock) {
+                result.notes.push({
+                    ...conflict.incoming,
+                    id: generateId(),
+                    title: `${conflict.incoming.title || 'Untitled'} (imported)`
+                });
+                result.duplicated++;
+            } else {
+                // A locked note's sealed content is bound to its id, so it can't be copied under a new one
+                result.kept++;
+            }
+        });
+        return result;
+    }
+}
+
+// Export for use in other modules
+window.NoteMerge = NoteMerge;
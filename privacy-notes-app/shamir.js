@@ -0,0 +1,119 @@
+/**
+ * Shamir Module - Shamir's Secret Sharing over GF(256)
+ * Splits a secret byte by byte so that any threshold of the shares rebuilds it
+ * and fewer reveal nothing about it
+ */
+
+// Log and antilog tables for GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1,
+// using 3 as the generator. EXP is doubled so products never need a modulo.
+const GF256_EXP = new Uint8Array(510);
+const GF256_LOG = new Uint8Array(256);
+
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF256_EXP[i] = x;
+        GF256_EXP[i + 255] = x;
+        GF256_LOG[x] = i;
+        // Multiply by the generator: x * 3 = x ^ (x * 2)
+        x ^= ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff;
+    }
+})();
+
+class Shamir {
+    /**
+     * Multiplies two field elements
+     * @param {number} a - Field element
+     * @param {number} b - Field element
+     * @returns {number} - Product
+     */
+    static mul(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return GF256_EXP[GF256_LOG[a] + GF256_LOG[b]];
+    }
+
+    /**
+     * Divides two field elements
+     * @param {number} a - Dividend
+     * @param {number} b - Non-zero divisor
+     * @returns {number} - Quotient
+     */
+    static div(a, b) {
+        if (b === 0) throw new Error('Division by zero in GF(256)');
+        if (a === 0) return 0;
+        return GF256_EXP[GF256_LOG[a] + 255 - GF256_LOG[b]];
+    }
+
+    /**
+     * Splits a secret into shares
+     * @param {Uint8Array} secret - Secret bytes
+     * @param {number} count - Number of shares to create (N, at most 255)
+     * @param {number} threshold - Shares needed to rebuild the secret (K)
+     * @returns {Array<Object>} - Shares as { x, y } where y has the secret's length
+     */
+    static split(secret, count, threshold) {
+        if (!Number.isInteger(count) || !Number.isInteger(threshold) ||
+            threshold < 2 || threshold > count || count > 255) {
+            throw new Error('Invalid share count or threshold');
+        }
+
+        const shares = [];
+        for (let x = 1; x <= count; x++) {
+            shares.push({ x: x, y: new Uint8Array(secret.length) });
+        }
+
+        // One random polynomial of degree threshold - 1 per byte, with the byte as its constant term
+        const coefficients = new Uint8Array(threshold - 1);
+        for (let i = 0; i < secret.length; i++) {
+            crypto.getRandomValues(coefficients);
+            for (const share of shares) {
+                // Horner's method, highest coefficient first
+                let y = 0;
+                for (let c = coefficients.length - 1; c >= 0; c--) {
+                    y = Shamir.mul(y, share.x) ^ coefficients[c];
+                }
+                share.y[i] = Shamir.mul(y, share.x) ^ secret[i];
+            }
+        }
+        coefficients.fill(0);
+
+        return shares;
+    }
+
+    /**
+     * Rebuilds a secret from shares by Lagrange interpolation at x = 0. Given fewer
+     * shares than the threshold this returns unrelated bytes, so callers must know
+     * the threshold and check the result.
+     * @param {Array<Object>} shares - Shares as { x, y } with distinct non-zero x
+     * @returns {Uint8Array} - Secret bytes
+     */
+    static combine(shares) {
+        const xs = shares.map(share => share.x);
+        if (xs.some(x => x < 1 || x > 255) || new Set(xs).size !== xs.length) {
+            throw new Error('Shares must have distinct indexes between 1 and 255');
+        }
+
+        const weights = shares.map((share, i) => {
+            let weight = 1;
+            shares.forEach((other, j) => {
+                if (i !== j) {
+                    // In GF(256) subtraction is XOR, so 0 - x_j is x_j
+                    weight = Shamir.mul(weight, Shamir.div(other.x, other.x ^ share.x));
+                }
+            });
+            return weight;
+        });
+
+        const secret = new Uint8Array(shares[0].y.length);
+        for (let i = 0; i < secret.length; i++) {
+            let value = 0;
+            shares.forEach((share, s) => {
+                value ^= Shamir.mul(share.y[i], weights[s]);
+            });
+            secret[i] = value;
+        }
+        return secret;
+    }
+}
+
+window.Shamir = Shamir;
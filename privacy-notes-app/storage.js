@@ -6,21 +6,25 @@
 class StorageManager {
     constructor() {
         this.dbName = 'SecureNotesDB';
-        this.dbVersion = 1;
+        this.dbVersion = 2;
         this.db = null;
         this.userId = 'default';
+        this.formerIds = [];
         this.stores = {
             notes: 'notes',
-            settings: 'settings'
+            settings: 'settings',
+            sessions: 'sessions'
         };
     }
 
     /**
      * Set the current user ID for storage separation
      * @param {string} userId - User identifier
+     * @param {Array<string>} [formerIds] - Ids older versions filed this user's notes under
      */
-    setUserId(userId) {
+    setUserId(userId, formerIds = []) {
         this.userId = userId;
+        this.formerIds = formerIds;
     }
 
     /**
@@ -38,6 +42,8 @@ class StorageManager {
 
             request.onsuccess = () => {
                 this.db = request.result;
+                // Let a newer version open in another tab upgrade the schema instead of blocking
+                this.db.onversionchange = () => this.db.close();
                 // Database opened successfully
                 resolve(true);
             };
@@ -65,6 +71,14 @@ class StorageManager {
                         keyPath: 'key' 
                     });
                 }
+
+                // Create sessions store (version 2); holds non-extractable session keys,
+                // kept apart from settings so they are never exported
+                if (!db.objectStoreNames.contains(this.stores.sessions)) {
+                    db.createObjectStore(this.stores.sessions, {
+                        keyPath: 'id'
+                    });
+                }
             };
         });
     }
@@ -79,7 +93,7 @@ class StorageManager {
 
     /**
      * Saves a note to the database
-     * @param {Object} note - Note object to save
+     * @param {Object} note - Encrypted note from CryptoManager.encryptNote()
      * @returns {Promise<Object>} - Saved note with ID
      */
     async saveNote(note) {
@@ -92,17 +106,12 @@ class StorageManager {
             const transaction = this.db.transaction([this.stores.notes], 'readwrite');
             const store = transaction.objectStore(this.stores.notes);
 
-            // Ensure note has required fields and user separation
+            // Metadata is inside the encrypted payload; keep only what's needed to store it
             const noteToSave = {
                 id: note.id || this.generateId(),
-                userId: this.userId, // Add user separation
-                title: note.title || 'Untitled',
-                content: note.content || '',
-                tags: note.tags || [],
-                pinned: note.pinned || false,
-                createdAt: note.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
-                encrypted: note.encrypted || false
+                payload: note.payload,
+                encrypted: true,
+                schema: note.schema
             };
 
             const request = store.put(noteToSave);
@@ -118,6 +127,48 @@ class StorageManager {
         });
     }
 
+    /**
+     * Writes already-encrypted notes back unchanged, together with an optional settings
+     * marker, in a single transaction. Either every note and the marker are stored or
+     * none are, which is what makes re-encrypting the vault safe against reloads.
+     * @param {Array} notes - Encrypted note records to store as-is
+     * @param {Object} [marker] - Setting ({ key, value }) committed with the notes
+     * @returns {Promise<boolean>} - Success status
+     */
+    async replaceNotes(notes, marker) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.stores.notes, this.stores.settings], 'readwrite');
+            const notesStore = transaction.objectStore(this.stores.notes);
+
+            notes.forEach(note => notesStore.put(note));
+            if (marker) {
+                transaction.objectStore(this.stores.settings).put({
+                    key: marker.key,
+                    value: marker.value,
+                    updatedAt: new Date().toISOString()
+                });
+            }
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to replace notes:', transaction.error);
+                reject(new Error('Failed to replace notes'));
+            };
+
+            transaction.onabort = () => {
+                reject(new Error('Failed to replace notes'));
+            };
+        });
+    }
+
     /**
      * Retrieves a note by ID
      * @param {string} id - Note ID
@@ -146,11 +197,12 @@ class StorageManager {
     }
 
     /**
-     * Retrieves all notes from the database for current user
-     * @param {Object} options - Query options
+     * Retrieves all stored (encrypted) notes for current user. Notes whose metadata is
+     * encrypted carry no user id and are returned for every user; they only decrypt
+     * under their own vault key.
      * @returns {Promise<Array>} - Array of notes
      */
-    async getAllNotes(options = {}) {
+    async getAllNotes() {
         return new Promise((resolve, reject) => {
             if (!this.db) {
                 reject(new Error('Database not initialized'));
@@ -159,47 +211,19 @@ class StorageManager {
 
             const transaction = this.db.transaction([this.stores.notes], 'readonly');
             const store = transaction.objectStore(this.stores.notes);
-            
-            let request;
-            
-            // Use index if sorting by specific field
-            if (options.sortBy === 'createdAt' || options.sortBy === 'updatedAt') {
-                const index = store.index(options.sortBy);
-                request = index.openCursor(null, options.sortOrder === 'asc' ? 'next' : 'prev');
-            } else {
-                request = store.openCursor();
-            }
-
+            const request = store.openCursor();
             const notes = [];
 
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
                 if (cursor) {
                     // Only include notes for current user
-                    if (cursor.value.userId === this.userId || !cursor.value.userId) {
+                    if (this.isUserNote(cursor.value)) {
                         notes.push(cursor.value);
                     }
                     cursor.continue();
                 } else {
-                    // Apply filters
-                    let filteredNotes = notes;
-
-                    if (options.pinned !== undefined) {
-                        filteredNotes = filteredNotes.filter(note => note.pinned === options.pinned);
-                    }
-
-                    if (options.tags && options.tags.length > 0) {
-                        filteredNotes = filteredNotes.filter(note => 
-                            options.tags.some(tag => note.tags.includes(tag))
-                        );
-                    }
-
-                    // Default sort by updatedAt descending if no specific sort
-                    if (!options.sortBy) {
-                        filteredNotes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-                    }
-
-                    resolve(filteredNotes);
+                    resolve(notes);
                 }
             };
 
@@ -210,6 +234,34 @@ class StorageManager {
         });
     }
 
+    /**
+     * Sorts and filters decrypted notes. Metadata may be encrypted at rest, so this
+     * runs after decryption instead of through IndexedDB indexes.
+     * @param {Array} notes - Array of decrypted notes
+     * @param {Object} options - Query options (pinned, tags, sortBy, sortOrder)
+     * @returns {Array} - Filtered and sorted notes
+     */
+    queryNotes(notes, options = {}) {
+        let filteredNotes = [...notes];
+
+        if (options.pinned !== undefined) {
+            filteredNotes = filteredNotes.filter(note => note.pinned === options.pinned);
+        }
+
+        if (options.tags && options.tags.length > 0) {
+            filteredNotes = filteredNotes.filter(note => 
+                options.tags.some(tag => note.tags.includes(tag))
+            );
+        }
+
+        // Default sort by updatedAt descending
+        const sortBy = options.sortBy === 'createdAt' ? 'createdAt' : 'updatedAt';
+        const direction = options.sortOrder === 'asc' ? 1 : -1;
+        filteredNotes.sort((a, b) => direction * (new Date(a[sortBy]) - new Date(b[sortBy])));
+
+        return filteredNotes;
+    }
+
     /**
      * Deletes a note by ID
      * @param {string} id - Note ID
@@ -237,6 +289,98 @@ class StorageManager {
         });
     }
 
+    /**
+     * Whether a stored note is the current user's (see getAllNotes)
+     * @param {Object} note - Stored (encrypted) note
+     * @returns {boolean} - True if it carries no user id or one of the current user's
+     */
+    isUserNote(note) {
+        const owner = note.userId;
+        return !owner || owner === this.userId || this.formerIds.includes(owner);
+    }
+
+    /**
+     * Replaces every note of the current user with a restored vault's, in a single
+     * transaction, so notes no key on this device opens any more don't stay behind
+     * @param {Array} notes - Encrypted note records to store as-is
+     * @returns {Promise<boolean>} - Success status
+     */
+    async restoreNotes(notes) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.stores.notes], 'readwrite');
+            const store = transaction.objectStore(this.stores.notes);
+            const request = store.openCursor();
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (this.isUserNote(cursor.value)) cursor.delete();
+                    cursor.continue();
+                } else {
+                    // Written once the cursor is done, so it never visits the restored notes
+                    notes.forEach(note => store.put(note));
+                }
+            };
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to restore notes:', transaction.error);
+                reject(new Error('Failed to restore notes'));
+            };
+
+            transaction.onabort = () => {
+                reject(new Error('Failed to restore notes'));
+            };
+        });
+    }
+
+    /**
+     * Deletes every stored note a predicate matches, whichever user it belongs to,
+     * in a single transaction
+     * @param {Function} predicate - Called with each stored (encrypted) note
+     * @returns {Promise<number>} - Number of notes deleted
+     */
+    async deleteNotesWhere(predicate) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.stores.notes], 'readwrite');
+            const request = transaction.objectStore(this.stores.notes).openCursor();
+            let deleted = 0;
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (predicate(cursor.value)) {
+                        cursor.delete();
+                        deleted++;
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => {
+                resolve(deleted);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to delete notes:', transaction.error);
+                reject(new Error('Failed to delete notes'));
+            };
+        });
+    }
+
     /**
      * Searches notes by content (works on decrypted notes)
      * @param {string} query - Search query
@@ -256,8 +400,15 @@ class StorageManager {
                 return true;
             }
             
-            // Search in content
-            if (note.content && note.content.toLowerCase().includes(searchTerm)) {
+            // Search in content, unless it is sealed behind a note lock
+            if (note.content && !note.lock && note.content.toLowerCase().includes(searchTerm)) {
+                return true;
+            }
+
+            // Search in credential fields other than the password
+            if (note.fields && !note.lock && ['username', 'url'].some(field =>
+                note.fields[field] && note.fields[field].toLowerCase().includes(searchTerm)
+            )) {
                 return true;
             }
             
@@ -355,12 +506,92 @@ class StorageManager {
         });
     }
 
+    /**
+     * Stores a remembered session's key
+     * @param {Object} session - { id, key, expiresAt } where key is a non-extractable CryptoKey
+     * @returns {Promise<boolean>} - Success status
+     */
+    async saveSession(session) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.stores.sessions], 'readwrite');
+            const request = transaction.objectStore(this.stores.sessions).put(session);
+
+            request.onsuccess = () => {
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to save session:', request.error);
+                reject(new Error('Failed to save session'));
+            };
+        });
+    }
+
+    /**
+     * Retrieves a remembered session's key
+     * @param {string} id - Session id
+     * @returns {Promise<Object|null>} - { id, key, expiresAt } or null
+     */
+    async getSession(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.stores.sessions], 'readonly');
+            const request = transaction.objectStore(this.stores.sessions).get(id);
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get session:', request.error);
+                reject(new Error('Failed to retrieve session'));
+            };
+        });
+    }
+
+    /**
+     * Deletes a remembered session's key
+     * @param {string} id - Session id
+     * @returns {Promise<boolean>} - Success status
+     */
+    async deleteSession(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.stores.sessions], 'readwrite');
+            const request = transaction.objectStore(this.stores.sessions).delete(id);
+
+            request.onsuccess = () => {
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to delete session:', request.error);
+                reject(new Error('Failed to delete session'));
+            };
+        });
+    }
+
     /**
      * Exports all notes (encrypted) for backup
+     * @param {Array<string>|null} noteIds - Only export these notes, e.g. those of the open vault
      * @returns {Promise<Object>} - Backup data
      */
-    async exportData() {
-        const notes = await this.getAllNotes();
+    async exportData(noteIds = null) {
+        const wanted = noteIds ? new Set(noteIds) : null;
+        const notes = (await this.getAllNotes()).filter(note => !wanted || wanted.has(note.id));
         const settings = await this.getAllSettings();
         
         return {
@@ -372,24 +603,18 @@ class StorageManager {
     }
 
     /**
-     * Imports notes from backup data
-     * @param {Object} backupData - Backup data to import
+     * Imports notes from backup data. Notes are written as they are, keeping their
+     * timestamps; the caller decides beforehand which notes to import and how to merge them.
+     * @param {Object} backupData - { notes } with the encrypted notes to import
      * @returns {Promise<boolean>} - Success status
      */
     async importData(backupData) {
         try {
             if (backupData.notes) {
-                for (const note of backupData.notes) {
-                    await this.saveNote(note);
-                }
+                // Notes without encrypted metadata are filed under this vault
+                await this.replaceNotes(backupData.notes.map(note => note.payload ? note : { ...note, userId: this.userId }));
             }
-            
-            if (backupData.settings) {
-                for (const setting of backupData.settings) {
-                    await this.saveSetting(setting.key, setting.value);
-                }
-            }
-            
+
             return true;
         } catch (error) {
             console.error('Failed to import data:', error);
@@ -434,10 +659,11 @@ class StorageManager {
                 return;
             }
 
-            const transaction = this.db.transaction([this.stores.notes, this.stores.settings], 'readwrite');
+            const transaction = this.db.transaction([this.stores.notes, this.stores.settings, this.stores.sessions], 'readwrite');
             
             const clearNotes = transaction.objectStore(this.stores.notes).clear();
             const clearSettings = transaction.objectStore(this.stores.settings).clear();
+            transaction.objectStore(this.stores.sessions).clear();
 
             transaction.oncomplete = () => {
                 resolve(true);
@@ -452,10 +678,10 @@ class StorageManager {
 
     /**
      * Gets database statistics
-     * @returns {Promise<Object>} - Database statistics
+     * @param {Array} notes - Array of decrypted notes
+     * @returns {Object} - Database statistics
      */
-    async getStats() {
-        const notes = await this.getAllNotes();
+    getStats(notes) {
         const tags = this.getAllTags(notes);
         
         return {
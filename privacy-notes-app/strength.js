@@ -0,0 +1,849 @@
+/**
+ * Strength Module - Estimates how many guesses a password would take to crack
+ * Follows the approach of zxcvbn: the password is split into the cheapest sequence
+ * of patterns an attacker would try (dictionary words, l33t, keyboard walks,
+ * sequences, repeats and dates), and the guesses for each are multiplied together
+ */
+
+// Ranked by how common they are; a password's rank is roughly its guess count
+const STRENGTH_PASSWORDS = (
+    '123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon 123123 baseball ' +
+    'abc123 football monkey letmein shadow master 666666 qwertyuiop 123321 mustang 1234567890 ' +
+    'michael 654321 superman 1qaz2wsx 7777777 121212 000000 qazwsx 123qwe killer trustno1 jordan ' +
+    'jennifer zxcvbnm asdfgh hunter buster soccer harley batman andrew tigger sunshine iloveyou ' +
+    'charlie robert thomas hockey ranger daniel starwars 112233 george computer michelle jessica ' +
+    'pepper 1111 zxcvbn 555555 11111111 131313 freedom 777777 pass maggie 159753 aaaaaa ginger ' +
+    'princess joshua cheese amanda summer love ashley nicole chelsea matthew access yankees ' +
+    '987654321 dallas austin thunder taylor matrix william corvette hello martin heather secret ' +
+    'merlin diamond 1234qwer hammer silver 222222 88888888 anthony justin test bailey q1w2e3r4t5 ' +
+    'patrick internet scooter orange 11111 golfer cookie richard samantha bigdog guitar jackson ' +
+    'whatever mickey chicken sparky snoopy maverick phoenix camaro peanut morgan welcome falcon ' +
+    'cowboy ferrari samsung andrea smokey steelers joseph mercedes dakota arsenal eagles melissa ' +
+    'boomer booboo spider nascar monster tigers yellow xxxxxx 123123123 gateway marina diablo ' +
+    'bulldog qwer1234 compaq purple banana junior hannah 123654 porsche lakers iceman money ' +
+    'cowboys 987654 london tennis 999999 coffee scooby 0000 miller boston q1w2e3r4 brandon yamaha ' +
+    'chester mother forever johnny edward 333333 oliver redsox player nikita knight fender barney ' +
+    'midnight please brandy chicago badboy slayer rangers charles angel flower rabbit wizard jasper ' +
+    'enter rachel chris steven winner adidas victoria natasha 1q2w3e4r jasmine winter prince ' +
+    'marine fishing cocacola casper james 232323 raiders 888888 marlboro gandalf asdfasdf crystal ' +
+    '87654321 12344321 golden 8675309 disney bandit admin login passw0rd password1 password123 ' +
+    'qwerty123 welcome1 admin123 letmein1 abcdef abcd1234 qwerty1 iloveyou1 monkey1 dragon1 ' +
+    'football1 baseball1 superman1 sunshine1 princess1 master1 shadow1 changeme default root ' +
+    'guest user secret1 p@ssw0rd passwort motdepasse contrasena'
+).split(' ');
+
+// Common English words, most frequent first
+const STRENGTH_ENGLISH = (
+    'the and for are but not you all any can had her was one our out day get has him his how man ' +
+    'new now old see two way who boy did its let put say she too use that with have this will ' +
+    'your from they know want been good much some time very when come here just like long make ' +
+    'many more only over such take than them well were what into year back after work first give ' +
+    'most find thing tell great where help through life child there world school still state ' +
+    'never become between high really something another family own leave while point house group ' +
+    'country problem hand part place case week company system question government number night ' +
+    'home water room mother area money story fact month right study book eye job word business ' +
+    'issue side kind head service friend father power hour game line end member law car city ' +
+    'community name president team minute idea kid body information nothing ago lead social ' +
+    'understand whether watch together follow around parent stop face anything create public ' +
+    'already speak others read level allow office spend door health person art sure war history ' +
+    'party within result change morning reason research girl guy moment air teacher force ' +
+    'education foot boy age policy everything process music market sense nation plan college ' +
+    'interest death experience effect class control care field development role effort rate heart ' +
+    'drug show leader light voice wife police mind price report decision son view relationship ' +
+    'town road arm difference value building action model season society tax director position ' +
+    'player record paper space ground form event official matter center couple site project ' +
+    'activity star table need court american oil situation cost industry figure street image ' +
+    'phone data picture practice piece land product doctor wall patient worker news test movie ' +
+    'north love happy summer winter spring autumn sunday monday friday black white green blue ' +
+    'orange purple yellow silver golden dog cat horse tiger lion eagle dragon apple cherry lemon ' +
+    'secret magic dream angel heaven hello welcome freedom forever friend princess queen king ' +
+    'soccer hockey baseball football tennis guitar piano pizza coffee chocolate cookie flower'
+).split(' ');
+
+const STRENGTH_L33T = {
+    '4': ['a'], '@': ['a'], '8': ['b'], '(': ['c'], '{': ['c'], '[': ['c'], '<': ['c'],
+    '3': ['e'], '6': ['g'], '9': ['g'], '1': ['i', 'l'], '!': ['i'], '|': ['i', 'l'],
+    '0': ['o'], '$': ['s'], '5': ['s'], '+': ['t'], '7': ['t', 'l'], '%': ['x'], '2': ['z']
+};
+
+// US keyboard rows, unshifted and shifted, with the horizontal offset of each row's first key
+const STRENGTH_KEYBOARD_ROWS = [
+    ['`1234567890-=', '~!@#$%^&*()_+', 0],
+    ['qwertyuiop[]\\', 'QWERTYUIOP{}|', 1.5],
+    ['asdfghjkl;\'', 'ASDFGHJKL:"', 1.75],
+    ['zxcvbnm,./', 'ZXCVBNM<>?', 2.25]
+];
+
+// Guesses per second: a throttled login form, an unthrottled one, a slow hash such as
+// Argon2id or bcrypt, and a fast unsalted hash on many GPUs
+const STRENGTH_ATTACK_RATES = {
+    onlineThrottled: 100 / 3600,
+    onlineUnthrottled: 10,
+    offlineSlow: 1e4,
+    offlineFast: 1e10
+};
+
+class StrengthEstimator {
+    /**
+     * Estimates a password's strength
+     * @param {string} password - Password to estimate
+     * @param {Array<string>} [userInputs] - Words an attacker would try first, such as the user's name
+     * @returns {Object} - { guesses, entropy (bits), score (0-4), crackTimes (seconds),
+     * crackTimesDisplay, feedback: { warning, suggestions }, sequence }
+     */
+    static estimate(password, userInputs = []) {
+        // Beyond this length the estimate is already astronomical; keep the work bounded
+        const text = password.slice(0, 100);
+        const dictionaries = StrengthEstimator.dictionaries(userInputs);
+        const matches = [
+            ...StrengthEstimator.dictionaryMatches(text, dictionaries),
+            ...StrengthEstimator.reversedMatches(text, dictionaries),
+            ...StrengthEstimator.l33tMatches(text, dictionaries),
+            ...StrengthEstimator.spatialMatches(text),
+            ...StrengthEstimator.sequenceMatches(text),
+            ...StrengthEstimator.repeatMatches(text),
+            ...StrengthEstimator.dateMatches(text)
+        ];
+        const { guesses, sequence } = StrengthEstimator.mostGuessableSequence(text, matches);
+        const capped = Math.min(guesses, 1e300);
+
+        const crackTimes = {};
+        const crackTimesDisplay = {};
+        for (const [scenario, rate] of Object.entries(STRENGTH_ATTACK_RATES)) {
+            crackTimes[scenario] = capped / rate;
+            crackTimesDisplay[scenario] = StrengthEstimator.displayTime(crackTimes[scenario]);
+        }
+
+        const score = StrengthEstimator.score(capped);
+        return {
+            guesses: capped,
+            entropy: Math.round(Math.log2(capped) * 10) / 10,
+            score: score,
+            crackTimes: crackTimes,
+            crackTimesDisplay: crackTimesDisplay,
+            feedback: StrengthEstimator.feedback(score, sequence),
+            sequence: sequence
+        };
+    }
+
+    /**
+     * Ranked dictionaries, built once. User inputs are checked first.
+     * @param {Array<string>} userInputs - Extra words ranked ahead of everything else
+     * @returns {Object} - Maps of word to rank, keyed by dictionary name
+     */
+    static dictionaries(userInputs) {
+        if (!StrengthEstimator.ranked) {
+            const rank = (words) => {
+                const map = new Map();
+                words.forEach((word, index) => {
+                    if (!map.has(word)) map.set(word, index + 1);
+                });
+                return map;
+            };
+            // Every word of the diceware list is equally likely, so each costs the list size
+            StrengthEstimator.ranked = {
+                passwords: rank(STRENGTH_PASSWORDS),
+                english: rank(STRENGTH_ENGLISH),
+                diceware: new Map(Diceware.words.map(word => [word, Diceware.words.length]))
+            };
+        }
+
+        const inputs = userInputs.map(input => String(input).toLowerCase()).filter(Boolean);
+        return inputs.length
+            ? { userInputs: new Map(inputs.map((word, index) => [word, index + 1])), ...StrengthEstimator.ranked }
+            : StrengthEstimator.ranked;
+    }
+
+    /**
+     * Finds every dictionary word in the password, ignoring case
+     * @param {string} password - Password to search
+     * @param {Object} dictionaries - Ranked dictionaries
+     * @returns {Array<Object>} - Dictionary matches
+     */
+    static dictionaryMatches(password, dictionaries) {
+        const lower = password.toLowerCase();
+        const matches = [];
+
+        for (let i = 0; i < lower.length; i++) {
+            for (let j = i + 2; j < lower.length; j++) {
+                const word = lower.slice(i, j + 1);
+                for (const [dictionary, ranks] of Object.entries(dictionaries)) {
+                    if (!ranks.has(word)) continue;
+                    matches.push({
+                        pattern: 'dictionary',
+                        i: i,
+                        j: j,
+                        token: password.slice(i, j + 1),
+                        matchedWord: word,
+                        rank: ranks.get(word),
+                        dictionary: dictionary,
+                        reversed: false,
+                        l33t: false
+                    });
+                }
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Finds dictionary words spelled backwards
+     * @param {string} password - Password to search
+     * @param {Object} dictionaries - Ranked dictionaries
+     * @returns {Array<Object>} - Dictionary matches marked as reversed
+     */
+    static reversedMatches(password, dictionaries) {
+        const reversed = [...password].reverse().join('');
+        const n = password.length;
+
+        return StrengthEstimator.dictionaryMatches(reversed, dictionaries)
+            .map(match => ({
+                ...match,
+                token: [...match.token].reverse().join(''),
+                i: n - 1 - match.j,
+                j: n - 1 - match.i,
+                reversed: true
+            }))
+            // Palindromes are already found the right way round
+            .filter(match => match.token.toLowerCase() !== match.matchedWord);
+    }
+
+    /**
+     * Finds dictionary words written with l33t substitutions, like p4ssw0rd
+     * @param {string} password - Password to search
+     * @param {Object} dictionaries - Ranked dictionaries
+     * @returns {Array<Object>} - Dictionary matches with the substitutions used
+     */
+    static l33tMatches(password, dictionaries) {
+        const present = [...new Set(password)].filter(char => STRENGTH_L33T[char]);
+        if (present.length === 0) return [];
+
+        // Every way of reading the substituted characters, capped for pathological input
+        let tables = [{}];
+        for (const char of present) {
+            tables = tables.flatMap(table => STRENGTH_L33T[char].map(letter => ({ ...table, [char]: letter })));
+            if (tables.length > 64) {
+                tables = tables.slice(0, 64);
+            }
+        }
+
+        const matches = [];
+        const seen = new Set();
+        for (const table of tables) {
+            const unsubbed = [...password].map(char => table[char] || char).join('');
+            for (const match of StrengthEstimator.dictionaryMatches(unsubbed, dictionaries)) {
+                const token = password.slice(match.i, match.j + 1);
+                if (token.toLowerCase() === match.matchedWord) continue;
+
+                const key = `${match.i}:${match.j}:${match.dictionary}:${match.matchedWord}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                const sub = {};
+                for (const char of token) {
+                    if (table[char]) sub[char] = table[char];
+                }
+                matches.push({ ...match, token: token, l33t: true, sub: sub });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Position of every key on the keyboard
+     * @returns {Map} - Character to { row, x, shifted }
+     */
+    static keyboard() {
+        if (!StrengthEstimator.keys) {
+            StrengthEstimator.keys = new Map();
+            STRENGTH_KEYBOARD_ROWS.forEach(([plain, shifted, offset], row) => {
+                [...plain].forEach((char, index) => {
+                    StrengthEstimator.keys.set(char, { row: row, x: offset + index, shifted: false });
+                    StrengthEstimator.keys.set(shifted[index], { row: row, x: offset + index, shifted: true });
+                });
+            });
+
+            // Average number of neighbours per key, used to count the walks of a given length
+            const plainKeys = [...StrengthEstimator.keys.entries()].filter(([, key]) => !key.shifted);
+            const degrees = plainKeys.map(([char]) =>
+                plainKeys.filter(([other]) => StrengthEstimator.adjacent(char, other)).length
+            );
+            StrengthEstimator.keyboardDegree = degrees.reduce((sum, degree) => sum + degree, 0) / degrees.length;
+            StrengthEstimator.keyboardStarts = StrengthEstimator.keys.size;
+        }
+        return StrengthEstimator.keys;
+    }
+
+    /**
+     * Checks whether two characters are on neighbouring keys
+     * @param {string} a - Character
+     * @param {string} b - Character
+     * @returns {boolean} - True if the keys touch
+     */
+    static adjacent(a, b) {
+        const keys = StrengthEstimator.keys;
+        const first = keys.get(a);
+        const second = keys.get(b);
+        if (!first || !second) return false;
+
+        const dx = Math.abs(first.x - second.x);
+        const dy = Math.abs(first.row - second.row);
+        return (dy === 0 && dx === 1) || (dy === 1 && dx < 1);
+    }
+
+    /**
+     * Finds walks of three or more neighbouring keys, like qwerty or zaq1
+     * @param {string} password - Password to search
+     * @returns {Array<Object>} - Spatial matches with their turns and shifted keys
+     */
+    static spatialMatches(password) {
+        const keys = StrengthEstimator.keyboard();
+        const matches = [];
+        let i = 0;
+
+        while (i < password.length - 2) {
+            let j = i;
+            let turns = 0;
+            let lastDirection = null;
+            while (j + 1 < password.length && StrengthEstimator.adjacent(password[j], password[j + 1])) {
+                const from = keys.get(password[j]);
+                const to = keys.get(password[j + 1]);
+                const direction = `${to.row - from.row}:${Math.sign(to.x - from.x)}`;
+                if (direction !== lastDirection) turns++;
+                lastDirection = direction;
+                j++;
+            }
+
+            if (j - i >= 2) {
+                const token = password.slice(i, j + 1);
+                matches.push({
+                    pattern: 'spatial',
+                    i: i,
+                    j: j,
+                    token: token,
+                    turns: turns,
+                    shiftedCount: [...token].filter(char => keys.get(char).shifted).length
+                });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Finds runs of evenly spaced letters or digits, like abcd, 9753 or ACEG
+     * @param {string} password - Password to search
+     * @returns {Array<Object>} - Sequence matches
+     */
+    static sequenceMatches(password) {
+        const matches = [];
+        const consider = (i, j, delta) => {
+            const token = password.slice(i, j + 1);
+            if (j - i < 2 || delta === 0 || Math.abs(delta) > 5) return;
+            if (!/^[a-z]+$/.test(token) && !/^[A-Z]+$/.test(token) && !/^[0-9]+$/.test(token)) return;
+            matches.push({ pattern: 'sequence', i: i, j: j, token: token, ascending: delta > 0 });
+        };
+
+        let i = 0;
+        let lastDelta = null;
+        for (let k = 1; k < password.length; k++) {
+            const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+            if (lastDelta === null) lastDelta = delta;
+            if (delta === lastDelta) continue;
+
+            consider(i, k - 1, lastDelta);
+            i = k - 1;
+            lastDelta = delta;
+        }
+        if (password.length > 0) consider(i, password.length - 1, lastDelta);
+        return matches;
+    }
+
+    /**
+     * Finds repeated characters or chunks, like aaa or abcabc
+     * @param {string} password - Password to search
+     * @returns {Array<Object>} - Repeat matches with the guesses for the repeated part
+     */
+    static repeatMatches(password) {
+        const matches = [];
+        const greedy = /(.+)\1+/g;
+        const lazy = /(.+?)\1+/g;
+        let lastIndex = 0;
+
+        while (lastIndex < password.length) {
+            greedy.lastIndex = lastIndex;
+            lazy.lastIndex = lastIndex;
+            const greedyMatch = greedy.exec(password);
+            const lazyMatch = lazy.exec(password);
+            if (!greedyMatch) break;
+
+            let match;
+            let baseToken;
+            if (greedyMatch[0].length > lazyMatch[0].length) {
+                // abcabcabc: the greedy match is longer, and its shortest repeating unit is the base
+                match = greedyMatch;
+                baseToken = /^(.+?)\1+$/.exec(match[0])[1];
+            } else {
+                match = lazyMatch;
+                baseToken = match[1];
+            }
+
+            const i = match.index;
+            const j = match.index + match[0].length - 1;
+            matches.push({
+                pattern: 'repeat',
+                i: i,
+                j: j,
+                token: match[0],
+                baseToken: baseToken,
+                baseGuesses: StrengthEstimator.estimate(baseToken).guesses,
+                repeatCount: match[0].length / baseToken.length
+            });
+            lastIndex = j + 1;
+        }
+        return matches;
+    }
+
+    /**
+     * Finds years and dates, with or without separators, like 1987, 3/14/15 or 19870314
+     * @param {string} password - Password to search
+     * @returns {Array<Object>} - Date matches
+     */
+    static dateMatches(password) {
+        const matches = [];
+        const referenceYear = new Date().getFullYear();
+        const closest = (candidates) => candidates.reduce((best, date) =>
+            !best || Math.abs(date.year - referenceYear) < Math.abs(best.year - referenceYear) ? date : best, null);
+
+        // Years on their own
+        const years = /(?:19|20)\d\d/g;
+        let year;
+        while ((year = years.exec(password)) !== null) {
+            matches.push({
+                pattern: 'date',
+                i: year.index,
+                j: year.index + 3,
+                token: year[0],
+                year: Number(year[0]),
+                separator: '',
+                yearOnly: true
+            });
+            years.lastIndex = year.index + 1;
+        }
+
+        // Digit runs of four to eight, split every way a day, month and year could be
+        const splits = {
+            4: [[1, 2], [2, 3]],
+            5: [[1, 3], [2, 3]],
+            6: [[1, 2], [2, 4], [4, 5]],
+            7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+            8: [[2, 4], [4, 6]]
+        };
+        for (let i = 0; i < password.length - 3; i++) {
+            for (let j = i + 3; j < i + 8 && j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                if (!/^\d+$/.test(token)) break;
+
+                const candidates = splits[token.length]
+                    .map(([k, l]) => StrengthEstimator.toDate([token.slice(0, k), token.slice(k, l), token.slice(l)].map(Number)))
+                    .filter(Boolean);
+                const date = closest(candidates);
+                if (date) {
+                    matches.push({ pattern: 'date', i: i, j: j, token: token, year: date.year, separator: '' });
+                }
+            }
+        }
+
+        // Dates with separators
+        for (let i = 0; i < password.length - 5; i++) {
+            for (let j = i + 5; j < i + 10 && j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                const parts = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+                if (!parts) continue;
+
+                const date = StrengthEstimator.toDate([parts[1], parts[3], parts[4]].map(Number));
+                if (date) {
+                    matches.push({ pattern: 'date', i: i, j: j, token: token, year: date.year, separator: parts[2] });
+                }
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Reads three numbers as a day, month and year in any common order
+     * @param {Array<number>} ints - Three numbers
+     * @returns {Object|null} - { year, month, day }, or null if they can't be a date
+     */
+    static toDate(ints) {
+        if (ints[1] > 31 || ints[1] <= 0) return null;
+        if (ints.some(value => (value > 99 && value < 1000) || value > 2050)) return null;
+        if (ints.filter(value => value > 31).length >= 2 ||
+            ints.filter(value => value > 12).length === 3 ||
+            ints.filter(value => value <= 0).length >= 2) {
+            return null;
+        }
+
+        const dayMonth = ([a, b]) => {
+            if (a >= 1 && a <= 31 && b >= 1 && b <= 12) return { day: a, month: b };
+            if (b >= 1 && b <= 31 && a >= 1 && a <= 12) return { day: b, month: a };
+            return null;
+        };
+        const splits = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+
+        for (const [year, rest] of splits) {
+            if (year >= 1000 && year <= 2050) {
+                const dm = dayMonth(rest);
+                return dm ? { year: year, ...dm } : null;
+            }
+        }
+        for (const [year, rest] of splits) {
+            const dm = dayMonth(rest);
+            if (dm) {
+                // Two-digit years: 51-99 are the 1900s, 00-50 the 2000s
+                return { year: year > 99 ? year : year > 50 ? year + 1900 : year + 2000, ...dm };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Counts the guesses for one match
+     * @param {Object} match - Match from one of the matchers
+     * @param {number} passwordLength - Length of the whole password
+     * @returns {number} - Guesses
+     */
+    static matchGuesses(match, passwordLength) {
+        if (match.guesses) return match.guesses;
+
+        let guesses;
+        const length = match.token.length;
+        switch (match.pattern) {
+            case 'bruteforce':
+                guesses = Math.max(10 ** length, length === 1 ? 11 : 51);
+                break;
+            case 'dictionary':
+                guesses = match.rank *
+                    StrengthEstimator.uppercaseVariations(match.token) *
+                    (match.l33t ? StrengthEstimator.l33tVariations(match) : 1) *
+                    (match.reversed ? 2 : 1);
+                break;
+            case 'spatial':
+                guesses = StrengthEstimator.spatialGuesses(match);
+                break;
+            case 'sequence': {
+                const first = match.token[0];
+                const base = 'aAzZ019'.includes(first) ? 4 : /\d/.test(first) ? 10 : 26;
+                guesses = base * (match.ascending ? 1 : 2) * length;
+                break;
+            }
+            case 'repeat':
+                guesses = match.baseGuesses * match.repeatCount;
+                break;
+            case 'date': {
+                const yearSpace = Math.max(Math.abs(match.year - new Date().getFullYear()), 20);
+                guesses = match.yearOnly ? yearSpace : yearSpace * 365 * (match.separator ? 4 : 1);
+                break;
+            }
+            default:
+                guesses = 10 ** length;
+        }
+
+        // Short parts of a longer password are never quite free
+        if (length < passwordLength && match.pattern !== 'bruteforce') {
+            guesses = Math.max(guesses, length === 1 ? 10 : 50);
+        }
+        match.guesses = guesses;
+        return guesses;
+    }
+
+    /**
+     * Extra guesses for the ways a word's letters could be capitalised
+     * @param {string} token - Matched text
+     * @returns {number} - Multiplier
+     */
+    static uppercaseVariations(token) {
+        if (!/[A-Z]/.test(token) || token.toLowerCase() === token) return 1;
+        // Capitalised, all caps or only the last letter upper: the first things tried
+        if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) return 2;
+
+        const upper = [...token].filter(char => /[A-Z]/.test(char)).length;
+        const lower = [...token].filter(char => /[a-z]/.test(char)).length;
+        let variations = 0;
+        for (let i = 1; i <= Math.min(upper, lower); i++) {
+            variations += StrengthEstimator.choose(upper + lower, i);
+        }
+        return variations;
+    }
+
+    /**
+     * Extra guesses for the ways a word's letters could be substituted
+     * @param {Object} match - l33t dictionary match
+     * @returns {number} - Multiplier
+     */
+    static l33tVariations(match) {
+        const token = match.token.toLowerCase();
+        let variations = 1;
+
+        for (const [subbed, letter] of Object.entries(match.sub)) {
+            const substituted = [...token].filter(char => char === subbed).length;
+            const unsubstituted = [...token].filter(char => char === letter).length;
+            if (substituted === 0 || unsubstituted === 0) {
+                // Every instance substituted: about as hard as knowing the rule exists
+                variations *= 2;
+            } else {
+                let possibilities = 0;
+                for (let i = 1; i <= Math.min(substituted, unsubstituted); i++) {
+                    possibilities += StrengthEstimator.choose(substituted + unsubstituted, i);
+                }
+                variations *= possibilities;
+            }
+        }
+        return variations;
+    }
+
+    /**
+     * Guesses for a keyboard walk: every start key, length up to this one and number of turns
+     * @param {Object} match - Spatial match
+     * @returns {number} - Guesses
+     */
+    static spatialGuesses(match) {
+        StrengthEstimator.keyboard();
+        const starts = StrengthEstimator.keyboardStarts;
+        const degree = StrengthEstimator.keyboardDegree;
+        const length = match.token.length;
+        let guesses = 0;
+
+        for (let i = 2; i <= length; i++) {
+            for (let j = 1; j <= Math.min(match.turns, i - 1); j++) {
+                guesses += StrengthEstimator.choose(i - 1, j - 1) * starts * degree ** j;
+            }
+        }
+
+        const shifted = match.shiftedCount;
+        const unshifted = length - shifted;
+        if (shifted > 0) {
+            if (unshifted === 0) {
+                guesses *= 2;
+            } else {
+                let variations = 0;
+                for (let i = 1; i <= Math.min(shifted, unshifted); i++) {
+                    variations += StrengthEstimator.choose(shifted + unshifted, i);
+                }
+                guesses *= variations;
+            }
+        }
+        return guesses;
+    }
+
+    /**
+     * Picks the sequence of non-overlapping matches, with brute force for the gaps, that
+     * needs the fewest guesses. An attacker also has to guess how many parts there are,
+     * so a sequence of l parts costs l! times the product of its parts.
+     * @param {string} password - Password the matches were found in
+     * @param {Array<Object>} matches - Candidate matches
+     * @returns {Object} - { guesses, sequence }
+     */
+    static mostGuessableSequence(password, matches) {
+        const n = password.length;
+        if (n === 0) return { guesses: 1, sequence: [] };
+
+        const byEnd = Array.from({ length: n }, () => []);
+        matches.forEach(match => byEnd[match.j].push(match));
+
+        // For each end position and sequence length: the best last match, product and total guesses
+        const best = Array.from({ length: n }, () => new Map());
+        const factorial = (l) => {
+            let value = 1;
+            for (let i = 2; i <= l; i++) value *= i;
+            return value;
+        };
+
+        const update = (match, length) => {
+            const k = match.j;
+            let product = StrengthEstimator.matchGuesses(match, n);
+            if (length > 1) {
+                product *= best[match.i - 1].get(length - 1).product;
+            }
+            const guesses = factorial(length) * product;
+
+            // Skip it if an equal or shorter sequence to this point is already no worse
+            for (const [otherLength, other] of best[k]) {
+                if (otherLength <= length && other.guesses <= guesses) return;
+            }
+            best[k].set(length, { match: match, product: product, guesses: guesses });
+        };
+
+        const bruteforce = (i, j) => ({ pattern: 'bruteforce', i: i, j: j, token: password.slice(i, j + 1) });
+
+        for (let k = 0; k < n; k++) {
+            for (const match of byEnd[k]) {
+                if (match.i > 0) {
+                    for (const length of [...best[match.i - 1].keys()]) {
+                        update(match, length + 1);
+                    }
+                } else {
+                    update(match, 1);
+                }
+            }
+
+            // Brute force from the start, or after any sequence not already ending in brute force
+            update(bruteforce(0, k), 1);
+            for (let i = 1; i <= k; i++) {
+                for (const [length, entry] of [...best[i - 1].entries()]) {
+                    if (entry.match.pattern === 'bruteforce') continue;
+                    update(bruteforce(i, k), length + 1);
+                }
+            }
+        }
+
+        // Walk back from the cheapest sequence covering the whole password
+        let bestLength = null;
+        let guesses = Infinity;
+        for (const [length, entry] of best[n - 1]) {
+            if (entry.guesses < guesses) {
+                guesses = entry.guesses;
+                bestLength = length;
+            }
+        }
+
+        const sequence = [];
+        let k = n - 1;
+        let length = bestLength;
+        while (k >= 0) {
+            const match = best[k].get(length).match;
+            sequence.unshift(match);
+            k = match.i - 1;
+            length--;
+        }
+        return { guesses: guesses, sequence: sequence };
+    }
+
+    /**
+     * Binomial coefficient
+     * @param {number} n - Set size
+     * @param {number} k - Subset size
+     * @returns {number} - n choose k
+     */
+    static choose(n, k) {
+        if (k > n) return 0;
+        if (k === 0) return 1;
+        let result = 1;
+        for (let d = 1; d <= k; d++) {
+            result = result * (n - d + 1) / d;
+        }
+        return Math.round(result);
+    }
+
+    /**
+     * Score from 0 (too guessable) to 4 (very unguessable), on the zxcvbn scale
+     * @param {number} guesses - Estimated guesses
+     * @returns {number} - Score
+     */
+    static score(guesses) {
+        const delta = 5;
+        if (guesses < 1e3 + delta) return 0;
+        if (guesses < 1e6 + delta) return 1;
+        if (guesses < 1e8 + delta) return 2;
+        if (guesses < 1e10 + delta) return 3;
+        return 4;
+    }
+
+    /**
+     * Formats a duration for people
+     * @param {number} seconds - Duration
+     * @returns {string} - For example "3 hours" or "centuries"
+     */
+    static displayTime(seconds) {
+        const units = [
+            ['year', 31536000],
+            ['month', 2678400],
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60],
+            ['second', 1]
+        ];
+
+        if (seconds < 1) return 'less than a second';
+        if (seconds >= 100 * 31536000) return 'centuries';
+
+        const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds);
+        const count = Math.round(seconds / size);
+        return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Explains what makes a weak password guessable
+     * @param {number} score - Score from score()
+     * @param {Array<Object>} sequence - Matches the password was split into
+     * @returns {Object} - { warning, suggestions }
+     */
+    static feedback(score, sequence) {
+        if (sequence.length === 0) {
+            return { warning: '', suggestions: ['Use a few words, avoid common phrases', 'No need for symbols, digits, or uppercase letters'] };
+        }
+        if (score > 2) {
+            return { warning: '', suggestions: [] };
+        }
+
+        const longest = sequence.reduce((a, b) => b.token.length > a.token.length ? b : a);
+        const suggestions = ['Add another word or two. Uncommon words are better.'];
+        let warning = '';
+
+        switch (longest.pattern) {
+            case 'dictionary':
+                if (longest.dictionary === 'passwords') {
+                    warning = sequence.length === 1 && !longest.l33t && !longest.reversed && longest.rank <= 10
+                        ? 'This is a top-10 common password'
+                        : sequence.length === 1 && longest.rank <= 100
+                            ? 'This is a very common password'
+                            : 'This is similar to a commonly used password';
+                } else if (longest.dictionary === 'userInputs') {
+                    warning = 'Avoid words connected to you or this account';
+                } else if (sequence.length === 1) {
+                    warning = 'A word by itself is easy to guess';
+                }
+                if (/^[A-Z][^A-Z]+$/.test(longest.token)) {
+                    suggestions.push('Capitalization doesn\'t help very much');
+                } else if (/^[^a-z]+$/.test(longest.token) && longest.token.toLowerCase() !== longest.token) {
+                    suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+                }
+                if (longest.reversed) {
+                    suggestions.push('Reversed words aren\'t much harder to guess');
+                }
+                if (longest.l33t) {
+                    suggestions.push('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+                }
+                break;
+            case 'spatial':
+                warning = longest.turns === 1
+                    ? 'Straight rows of keys are easy to guess'
+                    : 'Short keyboard patterns are easy to guess';
+                suggestions.push('Use a longer keyboard pattern with more turns');
+                break;
+            case 'repeat':
+                warning = longest.baseToken.length === 1
+                    ? 'Repeats like "aaa" are easy to guess'
+                    : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"';
+                suggestions.push('Avoid repeated words and characters');
+                break;
+            case 'sequence':
+                warning = 'Sequences like abc or 6543 are easy to guess';
+                suggestions.push('Avoid sequences');
+                break;
+            case 'date':
+                warning = 'Dates are often easy to guess';
+                suggestions.push('Avoid dates and years that are associated with you');
+                break;
+            default:
+                break;
+        }
+
+        return { warning: warning, suggestions: suggestions };
+    }
+}
+
+// Export for use in other modules
+window.StrengthEstimator = StrengthEstimator;
@@ -0,0 +1,140 @@
+/**
+ * TOTP Module - Time-based one-time passwords (RFC 6238) for two-factor secrets
+ * Codes are computed with Web Crypto HMAC, so the secret never leaves the page
+ */
+
+const TOTP_BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_ALGORITHMS = { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' };
+
+class Totp {
+    /**
+     * Reads a TOTP secret pasted as a bare base32 key or an otpauth:// URI
+     * @param {string} input - Secret or otpauth://totp/... URI
+     * @returns {Object} - { secret, algorithm, digits, period, issuer, account }
+     */
+    static parse(input) {
+        const text = input.trim();
+        const params = { algorithm: 'SHA1', digits: 6, period: 30, issuer: '', account: '' };
+
+        if (!/^otpauth:/i.test(text)) {
+            params.secret = Totp.normalizeSecret(text);
+            return params;
+        }
+
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            throw new Error('That otpauth:// link is not valid');
+        }
+        if (url.host.toLowerCase() !== 'totp') {
+            throw new Error('Only time-based (TOTP) codes are supported');
+        }
+
+        // The label is "Issuer:account" or just the account
+        const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+        const separator = label.indexOf(':');
+        params.account = (separator >= 0 ? label.slice(separator + 1) : label).trim();
+        params.issuer = url.searchParams.get('issuer') || (separator >= 0 ? label.slice(0, separator).trim() : '');
+        params.secret = Totp.normalizeSecret(url.searchParams.get('secret') || '');
+
+        const algorithm = (url.searchParams.get('algorithm') || 'SHA1').toUpperCase();
+        if (!TOTP_ALGORITHMS[algorithm]) {
+            throw new Error(`Unsupported TOTP algorithm ${algorithm}`);
+        }
+        params.algorithm = algorithm;
+
+        const digits = Number(url.searchParams.get('digits') || 6);
+        if (digits !== 6 && digits !== 8) {
+            throw new Error('TOTP codes must have 6 or 8 digits');
+        }
+        params.digits = digits;
+
+        const period = Number(url.searchParams.get('period') || 30);
+        if (!Number.isInteger(period) || period < 1) {
+            throw new Error('The TOTP period must be a whole number of seconds');
+        }
+        params.period = period;
+
+        return params;
+    }
+
+    /**
+     * Checks a base32 secret and strips the spaces, dashes and padding people paste with it
+     * @param {string} secret - Base32 secret
+     * @returns {string} - Upper-case secret without separators
+     */
+    static normalizeSecret(secret) {
+        const normalized = secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+        if (!normalized) {
+            throw new Error('The TOTP secret is missing');
+        }
+        if ([...normalized].some(char => !TOTP_BASE32_ALPHABET.includes(char))) {
+            throw new Error('The TOTP secret is not valid base32');
+        }
+        return normalized;
+    }
+
+    /**
+     * Decodes a normalized base32 secret
+     * @param {string} secret - Secret from normalizeSecret()
+     * @returns {Uint8Array} - Key bytes
+     */
+    static base32Decode(secret) {
+        const bytes = new Uint8Array(Math.floor(secret.length * 5 / 8));
+        let buffer = 0;
+        let bits = 0;
+        let index = 0;
+
+        for (const char of secret) {
+            buffer = (buffer << 5) | TOTP_BASE32_ALPHABET.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[index++] = (buffer >> bits) & 0xff;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Computes the code for a point in time
+     * @param {Object} params - Parsed secret from parse()
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {Promise<string>} - Zero-padded code
+     */
+    static async generate(params, time = Date.now()) {
+        const counter = Math.floor(time / 1000 / params.period);
+        const message = new Uint8Array(8);
+        // 64-bit big-endian counter; the high word only matters after the year 2106 at 30 s
+        new DataView(message.buffer).setUint32(0, Math.floor(counter / 0x100000000));
+        new DataView(message.buffer).setUint32(4, counter >>> 0);
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            Totp.base32Decode(params.secret),
+            { name: 'HMAC', hash: TOTP_ALGORITHMS[params.algorithm] },
+            false,
+            ['sign']
+        );
+        const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+
+        // Dynamic truncation (RFC 4226 section 5.3)
+        const offset = mac[mac.length - 1] & 0x0f;
+        const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+        return String(binary % 10 ** params.digits).padStart(params.digits, '0');
+    }
+
+    /**
+     * Seconds until the current code expires
+     * @param {number} period - Code lifetime in seconds
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {number} - Seconds left, from period down to 1
+     */
+    static secondsLeft(period, time = Date.now()) {
+        return period - Math.floor(time / 1000) % period;
+    }
+}
+
+// Export for use in other modules
+window.Totp = Totp;